@@ -23,6 +23,10 @@ const QuestAnalytics = (function() {
     // Event queue
     const eventQueue = [];
 
+    // Events are stored per account and chain; wallet-less visits share one key
+    const STORAGE_PREFIX = 'quest_analytics';
+    let storageKey = STORAGE_PREFIX;
+
     /**
      * Initialize analytics
      */
@@ -55,6 +59,11 @@ const QuestAnalytics = (function() {
             }
         });
 
+        // Keep each account's events apart
+        if (typeof QuestState !== 'undefined') {
+            QuestState.subscribe('wallet', ({ address, chainId }) => setAccount(address, chainId));
+        }
+
         // Track before unload
         window.addEventListener('beforeunload', () => {
             track('session_end', {
@@ -66,6 +75,24 @@ const QuestAnalytics = (function() {
         log('Analytics initialized', { sessionId });
     }
 
+    /**
+     * Store events under an account and chain from now on. Events queued
+     * for the previous account are flushed to its key first.
+     * @param {string|null} address - Wallet address (null when disconnected)
+     * @param {number|null} chainId - Chain ID
+     */
+    function setAccount(address, chainId) {
+        const key = address && chainId
+            ? `${STORAGE_PREFIX}_${chainId}_${address.toLowerCase()}`
+            : STORAGE_PREFIX;
+        if (key === storageKey) return;
+
+        while (eventQueue.length > 0) {
+            flush();
+        }
+        storageKey = key;
+    }
+
     /**
      * Generate unique session ID
      */
@@ -250,22 +277,22 @@ const QuestAnalytics = (function() {
 
         // Store in localStorage for persistence
         try {
-            const stored = JSON.parse(localStorage.getItem('quest_analytics') || '[]');
+            const stored = JSON.parse(localStorage.getItem(storageKey) || '[]');
             stored.push(...events);
             // Keep only last 100 events
             const trimmed = stored.slice(-100);
-            localStorage.setItem('quest_analytics', JSON.stringify(trimmed));
+            localStorage.setItem(storageKey, JSON.stringify(trimmed));
         } catch (e) {
             // Storage full or unavailable
         }
     }
 
     /**
-     * Get analytics summary
+     * Get analytics summary for the current account
      * @returns {Object} Summary statistics
      */
     function getSummary() {
-        const stored = JSON.parse(localStorage.getItem('quest_analytics') || '[]');
+        const stored = JSON.parse(localStorage.getItem(storageKey) || '[]');
         
         const summary = {
             totalEvents: stored.length,
@@ -304,7 +331,7 @@ const QuestAnalytics = (function() {
      */
     function clear() {
         eventQueue.length = 0;
-        localStorage.removeItem('quest_analytics');
+        localStorage.removeItem(storageKey);
     }
 
     /**
@@ -338,6 +365,7 @@ const QuestAnalytics = (function() {
         trackBoosterActivate,
         trackError,
         trackTransaction,
+        setAccount,
         flush,
         getSummary,
         clear,
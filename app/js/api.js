@@ -11,9 +11,24 @@ const QuestAPI = (function() {
     baseUrl: '/api',
     timeout: 30000,
     retries: 3,
-    retryDelay: 1000
+    retryDelay: 1000,
+    // Returns the Authorization header value (SIWE session) or null
+    getAuth: null,
+    // Called when the server rejects the session
+    onUnauthorized: null
   };
 
+  /**
+   * Error for non-2xx responses
+   */
+  class ApiError extends Error {
+    constructor(status, statusText) {
+      super(`HTTP ${status}: ${statusText}`);
+      this.name = 'ApiError';
+      this.status = status;
+    }
+  }
+
   /**
    * Make an HTTP request
    * @param {string} endpoint - API endpoint
@@ -29,6 +44,11 @@ const QuestAPI = (function() {
       }
     };
 
+    const auth = config.getAuth ? config.getAuth() : null;
+    if (auth) {
+      defaultOptions.headers.Authorization = auth;
+    }
+
     const mergedOptions = {
       ...defaultOptions,
       ...options,
@@ -53,13 +73,19 @@ const QuestAPI = (function() {
         clearTimeout(timeoutId);
 
         if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          throw new ApiError(response.status, response.statusText);
         }
 
         const data = await response.json();
         return data;
       } catch (error) {
         lastError = error;
+
+        // An expired or rejected session won't get better by retrying
+        if (error.status === 401) {
+          if (config.onUnauthorized) config.onUnauthorized();
+          break;
+        }
         
         if (attempt < config.retries && !error.name?.includes('Abort')) {
           await sleep(config.retryDelay * attempt);
@@ -154,6 +180,10 @@ const QuestAPI = (function() {
     // Configure
     setBaseUrl: (url) => { config.baseUrl = url; },
     setTimeout: (ms) => { config.timeout = ms; },
+    setAuth: (getAuth, onUnauthorized = null) => {
+      config.getAuth = getAuth;
+      config.onUnauthorized = onUnauthorized;
+    },
     
     // Raw methods
     get,
@@ -14,13 +14,32 @@ export const NATIVE_CURRENCY = {
     decimals: 18
 };
 
-// Contract Addresses (Base Mainnet)
-export const CONTRACTS = {
-    QUEST_TOKEN: '0xb3E3DE7248E69B1842C274fD1304d4419a734de7',
-    QUEST_HUB: '0x957b578Ac7469BDD5f0c4097C8B98200553b12ba',
-    QUEST_VAULT: '0x449436Ed23595Fc95bf19181cca63cE83f0b5EC0',
-    QUEST_BOOSTER: '0xC13Ad15ac6c27477B8b56e242910A5b4cC7792Be'
-};
+// Networks with Quest deployments (addresses live in app/deployments.json)
+export const NETWORKS = {
+    8453: {
+        name: 'Base',
+        rpc: 'https://mainnet.base.org',
+        explorer: 'https://basescan.org',
+        opStack: true
+    },
+    84532: {
+        name: 'Base Sepolia',
+        rpc: 'https://sepolia.base.org',
+        explorer: 'https://sepolia.basescan.org',
+        opStack: true
+    },
+    31337: {
+        name: 'Hardhat',
+        rpc: 'http://127.0.0.1:8545',
+        explorer: null
+    }
+};
+
+// Multicall3 (same address on every chain it is deployed to)
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// OP Stack GasPriceOracle predeploy (L1 data fee on opStack networks)
+export const GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
 
 // Token Configuration
 export const TOKEN = {
@@ -39,6 +58,64 @@ export const QUEST_TYPES = {
     SPECIAL: 4
 };
 
+// Daily quest run (QuestHubV2 quests followed by the QuestVaultV2 claim)
+export const DAILY_QUESTS = [
+    { key: 'checkin', label: 'Check-in', contract: 'hub', method: 'completeCheckin', statusFlag: 'checkinDone' },
+    { key: 'engage', label: 'Engage', contract: 'hub', method: 'completeEngage', statusFlag: 'engageDone' },
+    { key: 'commit', label: 'Commit', contract: 'hub', method: 'completeCommit', statusFlag: 'commitDone' },
+    { key: 'claim', label: 'Claim Rewards', contract: 'vault', method: 'claimRewards', statusFlag: null }
+];
+
+// Daily run timing (mirrors QuestHubV2: getUserStatus flags last one hour,
+// _checkAllQuestsBonus needs all three quests within five minutes)
+export const QUEST_RUN = {
+    SESSION_WINDOW: 60 * 60 * 1000,
+    BONUS_WINDOW: 5 * 60 * 1000,
+    BONUS_WARNING: 90 * 1000,      // Warn when less than this is left
+    BONUS_CHECK_INTERVAL: 15000,
+    SETTLE_TIMEOUT: 60000,         // Wait for a tx found pending on resume
+    BUNDLE_POLL_INTERVAL: 2000,    // wallet_getCallsStatus polling
+    BUNDLE_TIMEOUT: 120000         // Give up waiting on a bundle (it is checked again on resume)
+};
+
+// EIP-6963 wallet discovery
+export const WALLET_DISCOVERY = {
+    TIMEOUT: 500                   // Wait this long for the saved wallet to announce itself
+};
+
+// Farcaster frame host bridge
+export const FRAME = {
+    HOST_ORIGINS: ['https://warpcast.com', 'https://farcaster.xyz'],
+    HANDSHAKE_TIMEOUT: 1500,       // Wait for the host's frame:connect
+    REQUEST_TIMEOUT: 30000,        // Reads
+    INTERACTIVE_TIMEOUT: 5 * 60 * 1000 // Requests waiting on the user in the host wallet
+};
+
+// Sign-In With Ethereum (EIP-4361)
+export const SIWE = {
+    VERSION: '1',
+    STATEMENT: 'Sign in to Quest Mini. This does not send a transaction or cost gas.',
+    SESSION_DURATION: 24 * 60 * 60 * 1000,
+    EXPIRY_MARGIN: 60 * 1000,      // Treat sessions this close to expiry as expired
+    NONCE_BYTES: 16
+};
+
+// Gasless quests through the deployment's relayer (contracts/relayer)
+export const RELAYER = {
+    REQUEST_TTL: 10 * 60 * 1000,   // Signed requests expire after this
+    REQUEST_TIMEOUT: 20000         // Wait this long for the relayer to answer
+};
+
+// Streak rule (mirrors QuestHubV2.updateStreak, called on every vault claim)
+export const STREAK = {
+    WINDOW: 48 * 60 * 60 * 1000    // Claim again within this to continue the streak
+};
+
+// Gas limits are estimated per call (see gasLimits.js); settings can override them
+export const DEFAULT_GAS_LIMIT = 200000; // Neither an estimate nor gasUsed history
+export const GAS_LIMIT_MARGIN = 25;      // Percent added to the estimate or most used
+export const GAS_LIMIT_RANGE = { MIN: 21000, MAX: 10000000 };
+
 // Quest Type Labels
 export const QUEST_TYPE_LABELS = {
     [QUEST_TYPES.DAILY_LOGIN]: 'Daily Login',
@@ -104,6 +181,22 @@ export const UI = {
     REFRESH_INTERVAL: 30000
 };
 
+// Live contract event updates
+export const LIVE_UPDATES = {
+    POLLING_INTERVAL: 2000,        // Base block time
+    RECONCILE_DELAY: 1500,         // Re-read state after a burst of events
+    FALLBACK_REFRESH: 5 * 60 * 1000 // Full refresh while subscribed
+};
+
+// Activity history rebuilt from hub and vault logs
+export const HISTORY = {
+    BLOCK_RANGE: 10000,            // getLogs span per request
+    MIN_BLOCK_RANGE: 500,          // Stop halving the span below this
+    FALLBACK_LOOKBACK: 1296000,    // ~30 days of Base blocks if the deployment block is unknown
+    MAX_ENTRIES: 1000,             // Cached per address, newest kept
+    DISPLAY_LIMIT: 20
+};
+
 // Error Messages
 export const ERRORS = {
     WALLET_NOT_CONNECTED: 'Please connect your wallet',
@@ -1,48 +1,142 @@
 /**
  * Quest Mini App - Contract Service
  * Handles all smart contract interactions
+ *
+ * ABIs are exported from the Hardhat artifacts into app/abi/ by
+ * contracts/scripts/export-abis.js, so they always match the V2 sources.
  */
 
-import { CONTRACTS } from './constants.js';
+import { DEFAULT_GAS_LIMIT } from './constants.js';
 import { wallet } from './wallet.js';
 import { toast } from './toast.js';
+import { txManager } from './transactionManager.js';
+import { Multicall } from './multicall.js';
+import { relayer } from './relayer.js';
+import { getErrorMessage } from './errors.js';
 
-// Contract ABIs (simplified - full ABIs in separate files)
-const TOKEN_ABI = [
-    'function balanceOf(address) view returns (uint256)',
-    'function approve(address spender, uint256 amount) returns (bool)',
-    'function allowance(address owner, address spender) view returns (uint256)',
-    'function totalSupply() view returns (uint256)',
-    'function name() view returns (string)',
-    'function symbol() view returns (string)',
-    'function decimals() view returns (uint8)'
-];
-
-const HUB_ABI = [
-    'function completeQuest(uint8 questType)',
-    'function getUserStreak(address user) view returns (uint256)',
-    'function getLastQuestTime(address user, uint8 questType) view returns (uint256)',
-    'function hasCompletedToday(address user, uint8 questType) view returns (bool)',
-    'function getQuestReward(uint8 questType) view returns (uint256)',
-    'event QuestCompleted(address indexed user, uint8 questType, uint256 reward)'
-];
-
-const VAULT_ABI = [
-    'function claimRewards()',
-    'function getPendingRewards(address user) view returns (uint256)',
-    'function getTotalRewardsEarned(address user) view returns (uint256)',
-    'function getClaimableAmount(address user) view returns (uint256)',
-    'event RewardsClaimed(address indexed user, uint256 amount)'
-];
-
-const BOOSTER_ABI = [
-    'function activateBooster(uint8 tier)',
-    'function getUserBooster(address user) view returns (uint8)',
-    'function getBoosterMultiplier(uint8 tier) view returns (uint256)',
-    'function getBoosterExpiry(address user) view returns (uint256)',
-    'function isBoosterActive(address user) view returns (bool)',
-    'event BoosterActivated(address indexed user, uint8 tier, uint256 expiry)'
-];
+/**
+ * Artifact names per contract key
+ */
+const ARTIFACTS = {
+    token: 'QuestToken',
+    hub: 'QuestHubV2',
+    vault: 'QuestVaultV2',
+    booster: 'QuestBooster'
+};
+
+/**
+ * Deployment address keys per contract key
+ */
+const ADDRESS_KEYS = {
+    token: 'QUEST_TOKEN',
+    hub: 'QUEST_HUB',
+    vault: 'QUEST_VAULT',
+    booster: 'QUEST_BOOSTER'
+};
+
+/**
+ * Functions the frontend calls on each contract. Checked against the
+ * deployed bytecode before the service is used.
+ */
+const REQUIRED_FUNCTIONS = {
+    token: ['balanceOf', 'symbol', 'decimals', 'remainingSupply'],
+    hub: ['completeCheckin', 'completeEngage', 'completeCommit', 'getUserStatus', 'getTotalReward'],
+    vault: ['claimRewards', 'getUserStats', 'getPendingRewards', 'getPreviewBoostedRewards'],
+    booster: ['getBoostMultiplier', 'getBoostBreakdown', 'getAllBoostTiers', 'setReferrer']
+};
+
+/**
+ * Raised when a configured address does not implement the expected contract
+ */
+class ContractVerificationError extends Error {
+    /**
+     * @param {Array<Object>} problems - { contract, address, reason, missing }
+     */
+    constructor(problems) {
+        super(problems.map(p => `${ARTIFACTS[p.contract]} at ${p.address}: ${p.reason}`).join('; '));
+        this.name = 'ContractVerificationError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Whether runtime bytecode pushes a function selector, as the dispatcher does
+ * before comparing it with the calldata's. solc drops leading zero bytes, so
+ * a selector like 0x00a1b2c3 is a PUSH3 (0x62) of a1b2c3, not a PUSH4 (0x63).
+ * @param {string} code - Lowercase bytecode hex
+ * @param {string} selector - 0x-prefixed selector
+ * @returns {boolean}
+ */
+function pushesSelector(code, selector) {
+    const value = selector.slice(2).replace(/^(00)+/, '');
+    const opcode = (0x5f + value.length / 2).toString(16); // PUSH0 + byte count
+    return code.includes(`${opcode}${value}`);
+}
+
+// Result formatters shared by the single reads and the batched dashboard read
+
+function formatUserStatus(status) {
+    return {
+        completions: Number(status.completions),
+        streak: Number(status.streak),
+        longestStreak: Number(status.longestStreak),
+        checkinDone: status.checkinDone,
+        engageDone: status.engageDone,
+        commitDone: status.commitDone
+    };
+}
+
+function formatUserStats([pending, claimed, lastClaim]) {
+    return {
+        pending: pending.toString(),
+        claimed: claimed.toString(),
+        lastClaim: Number(lastClaim)
+    };
+}
+
+function formatPreview([base, boosted, multiplier]) {
+    return {
+        base: base.toString(),
+        boosted: boosted.toString(),
+        multiplier: Number(multiplier)
+    };
+}
+
+function formatBoostBreakdown(breakdown) {
+    return {
+        streakBoost: Number(breakdown.streakBoost),
+        specialBoost: Number(breakdown.specialBoost),
+        referralBoost: Number(breakdown.referralBoost),
+        totalBoost: Number(breakdown.totalBoost),
+        currentStreak: Number(breakdown.currentStreak),
+        referrals: Number(breakdown.referrals)
+    };
+}
+
+// Loaded artifact ABIs, shared by every ContractService instance
+let abiCache = null;
+
+/**
+ * Load the exported artifact ABIs
+ * @returns {Promise<Object>} ABIs keyed by contract key
+ */
+async function loadAbis() {
+    if (abiCache) return abiCache;
+
+    const entries = await Promise.all(
+        Object.entries(ARTIFACTS).map(async ([key, name]) => {
+            const response = await fetch(new URL(`../abi/${name}.json`, import.meta.url));
+            if (!response.ok) {
+                throw new Error(`Failed to load ${name} ABI (HTTP ${response.status})`);
+            }
+            const { abi } = await response.json();
+            return [key, abi];
+        })
+    );
+
+    abiCache = Object.fromEntries(entries);
+    return abiCache;
+}
 
 class ContractService {
     constructor() {
@@ -50,31 +144,122 @@ class ContractService {
         this.hub = null;
         this.vault = null;
         this.booster = null;
+        this.provider = null;
+        this.chainId = null;
+        this.multicall = null;
+        this.addresses = {};
+        this.verifiedKey = null;
+    }
+
+    /**
+     * Set the contract addresses used by init/initReadOnly
+     * @param {Object} addresses - Deployment contracts (QUEST_TOKEN, QUEST_HUB, ...)
+     */
+    setAddresses(addresses) {
+        this.addresses = { ...addresses };
     }
 
     /**
      * Initialize contracts with signer
+     * @throws {ContractVerificationError} If a configured contract is wrong
      */
     async init() {
         if (!wallet.signer) {
             throw new Error('Wallet not connected');
         }
 
-        this.token = new ethers.Contract(CONTRACTS.QUEST_TOKEN, TOKEN_ABI, wallet.signer);
-        this.hub = new ethers.Contract(CONTRACTS.QUEST_HUB, HUB_ABI, wallet.signer);
-        this.vault = new ethers.Contract(CONTRACTS.QUEST_VAULT, VAULT_ABI, wallet.signer);
-        this.booster = new ethers.Contract(CONTRACTS.QUEST_BOOSTER, BOOSTER_ABI, wallet.signer);
+        await this.connect(wallet.signer, wallet.provider);
     }
 
     /**
      * Get read-only contracts (no signer needed)
-     * @param {ethers.Provider} provider 
+     * @param {ethers.Provider} provider
+     * @throws {ContractVerificationError} If a configured contract is wrong
+     */
+    async initReadOnly(provider) {
+        await this.connect(provider, provider);
+    }
+
+    /**
+     * Build contract instances and verify them once per address set
+     * @param {ethers.Signer|ethers.Provider} runner - Signer or provider
+     * @param {ethers.Provider} provider - Provider for bytecode checks
      */
-    initReadOnly(provider) {
-        this.token = new ethers.Contract(CONTRACTS.QUEST_TOKEN, TOKEN_ABI, provider);
-        this.hub = new ethers.Contract(CONTRACTS.QUEST_HUB, HUB_ABI, provider);
-        this.vault = new ethers.Contract(CONTRACTS.QUEST_VAULT, VAULT_ABI, provider);
-        this.booster = new ethers.Contract(CONTRACTS.QUEST_BOOSTER, BOOSTER_ABI, provider);
+    async connect(runner, provider) {
+        const abis = await loadAbis();
+
+        for (const key of Object.keys(ARTIFACTS)) {
+            this[key] = new ethers.Contract(this.addresses[ADDRESS_KEYS[key]], abis[key], runner);
+        }
+        if (this.provider !== provider) {
+            this.multicall = new Multicall(provider);
+        }
+        this.provider = provider;
+        this.chainId = Number((await provider.getNetwork()).chainId);
+
+        const verifiedKey = Object.values(ADDRESS_KEYS).map(k => this.addresses[k]).join(':');
+        if (this.verifiedKey !== verifiedKey) {
+            try {
+                await this.verify();
+            } catch (error) {
+                this.reset();
+                throw error;
+            }
+            this.verifiedKey = verifiedKey;
+        }
+    }
+
+    /**
+     * Drop contract instances (after a failed verification)
+     */
+    reset() {
+        for (const key of Object.keys(ARTIFACTS)) {
+            this[key] = null;
+        }
+        this.verifiedKey = null;
+    }
+
+    /**
+     * Check that every configured address has code implementing the
+     * functions in REQUIRED_FUNCTIONS (looks for each selector's PUSH in
+     * the dispatcher)
+     * @returns {Promise<void>}
+     * @throws {ContractVerificationError}
+     */
+    async verify() {
+        const problems = [];
+
+        await Promise.all(Object.keys(ARTIFACTS).map(async (key) => {
+            const address = this.addresses[ADDRESS_KEYS[key]];
+
+            if (!ethers.isAddress(address)) {
+                problems.push({ contract: key, address, reason: 'invalid address', missing: [] });
+                return;
+            }
+
+            const code = (await this.provider.getCode(address)).toLowerCase();
+            if (code === '0x') {
+                problems.push({ contract: key, address, reason: 'no contract deployed', missing: [] });
+                return;
+            }
+
+            const missing = REQUIRED_FUNCTIONS[key].filter(
+                name => !pushesSelector(code, this[key].interface.getFunction(name).selector)
+            );
+
+            if (missing.length > 0) {
+                problems.push({
+                    contract: key,
+                    address,
+                    reason: `missing ${missing.join(', ')}`,
+                    missing
+                });
+            }
+        }));
+
+        if (problems.length > 0) {
+            throw new ContractVerificationError(problems);
+        }
     }
 
     // ==================== Token Functions ====================
@@ -102,75 +287,95 @@ class ContractService {
         return { name, symbol, decimals, totalSupply: totalSupply.toString() };
     }
 
+    /**
+     * Tokens the token contract can still mint
+     * @returns {Promise<string>} Amount in wei
+     */
+    async getRemainingSupply() {
+        return (await this.token.remainingSupply()).toString();
+    }
+
     // ==================== Quest Functions ====================
 
     /**
-     * Complete a quest
-     * @param {number} questType - Quest type ID
-     * @returns {Promise<Object>} Transaction receipt
+     * Complete the check-in quest
+     * @param {Object} [overrides] - Transaction overrides (gasLimit, ...)
+     * @param {Object} [hooks] - txManager callbacks (onSubmit, onConfirm, onError)
+     * @returns {Promise<Object>} txManager result
      */
-    async completeQuest(questType) {
-        try {
-            const tx = await this.hub.completeQuest(questType);
-            toast.transaction(tx.hash, 'Completing quest...');
-            
-            const receipt = await tx.wait();
-            toast.success('Quest completed! Rewards added.');
-            
-            return receipt;
-        } catch (error) {
-            this.handleError(error);
-            throw error;
-        }
+    completeCheckin(overrides = {}, hooks = {}) {
+        return this.send('hub', 'completeCheckin', [], 'Check-in', overrides, hooks);
+    }
+
+    /**
+     * Complete the engage quest
+     * @param {Object} [overrides] - Transaction overrides
+     * @param {Object} [hooks] - txManager callbacks (onSubmit, onConfirm, onError)
+     * @returns {Promise<Object>} txManager result
+     */
+    completeEngage(overrides = {}, hooks = {}) {
+        return this.send('hub', 'completeEngage', [], 'Engage', overrides, hooks);
+    }
+
+    /**
+     * Complete the commit quest
+     * @param {Object} [overrides] - Transaction overrides
+     * @param {Object} [hooks] - txManager callbacks (onSubmit, onConfirm, onError)
+     * @returns {Promise<Object>} txManager result
+     */
+    completeCommit(overrides = {}, hooks = {}) {
+        return this.send('hub', 'completeCommit', [], 'Commit', overrides, hooks);
     }
 
     /**
-     * Get user streak
+     * Get user quest status for the current session window
      * @param {string} address - User address
-     * @returns {Promise<number>} Streak count
+     * @returns {Promise<Object>} Completions, streaks and per-quest flags
      */
-    async getUserStreak(address) {
-        return Number(await this.hub.getUserStreak(address));
+    async getUserStatus(address) {
+        return formatUserStatus(await this.hub.getUserStatus(address));
     }
 
     /**
-     * Check if quest completed today
+     * Get when each quest was last completed
      * @param {string} address - User address
-     * @param {number} questType - Quest type
-     * @returns {Promise<boolean>}
+     * @returns {Promise<Object>} { checkin, engage, commit } in ms (0 = never)
      */
-    async hasCompletedToday(address, questType) {
-        return await this.hub.hasCompletedToday(address, questType);
+    async getQuestTimestamps(address) {
+        const quests = await this.hub.userQuests(address);
+        return {
+            checkin: Number(quests.lastCheckin) * 1000,
+            engage: Number(quests.lastEngage) * 1000,
+            commit: Number(quests.lastCommit) * 1000
+        };
     }
 
     /**
-     * Get quest reward amount
-     * @param {number} questType - Quest type
+     * Get reward for completing every quest including the all-quests bonus
      * @returns {Promise<string>} Reward in wei
      */
-    async getQuestReward(questType) {
-        return (await this.hub.getQuestReward(questType)).toString();
+    async getTotalReward() {
+        return (await this.hub.getTotalReward()).toString();
+    }
+
+    /**
+     * Get the bonus for completing every quest within QUEST_RUN.BONUS_WINDOW
+     * @returns {Promise<string>} Bonus in wei
+     */
+    async getAllQuestsBonus() {
+        return (await this.hub.rewards()).allQuestsBonus.toString();
     }
 
     // ==================== Vault Functions ====================
 
     /**
      * Claim pending rewards
-     * @returns {Promise<Object>} Transaction receipt
+     * @param {Object} [overrides] - Transaction overrides
+     * @param {Object} [hooks] - txManager callbacks (onSubmit, onConfirm, onError)
+     * @returns {Promise<Object>} txManager result
      */
-    async claimRewards() {
-        try {
-            const tx = await this.vault.claimRewards();
-            toast.transaction(tx.hash, 'Claiming rewards...');
-            
-            const receipt = await tx.wait();
-            toast.success('Rewards claimed successfully!');
-            
-            return receipt;
-        } catch (error) {
-            this.handleError(error);
-            throw error;
-        }
+    claimRewards(overrides = {}, hooks = {}) {
+        return this.send('vault', 'claimRewards', [], 'Claim', overrides, hooks);
     }
 
     /**
@@ -183,61 +388,184 @@ class ContractService {
     }
 
     /**
-     * Get total rewards earned
+     * Get user claim stats
+     * @param {string} address - User address
+     * @returns {Promise<Object>} Pending, claimed (wei strings) and last claim time
+     */
+    async getUserStats(address) {
+        return formatUserStats(await this.vault.getUserStats(address));
+    }
+
+    /**
+     * Preview what a claim would mint right now
      * @param {string} address - User address
-     * @returns {Promise<string>} Total earned in wei
+     * @returns {Promise<Object>} Base and boosted amounts (wei strings) and multiplier
      */
-    async getTotalRewardsEarned(address) {
-        return (await this.vault.getTotalRewardsEarned(address)).toString();
+    async getPreviewBoostedRewards(address) {
+        return formatPreview(await this.vault.getPreviewBoostedRewards(address));
     }
 
     // ==================== Booster Functions ====================
 
     /**
-     * Activate a booster
-     * @param {number} tier - Booster tier
-     * @returns {Promise<Object>} Transaction receipt
+     * Get total boost multiplier
+     * @param {string} address - User address
+     * @returns {Promise<number>} Multiplier (100 = 1x)
      */
-    async activateBooster(tier) {
-        try {
-            const tx = await this.booster.activateBooster(tier);
-            toast.transaction(tx.hash, 'Activating booster...');
-            
-            const receipt = await tx.wait();
-            toast.success('Booster activated!');
-            
-            return receipt;
-        } catch (error) {
-            this.handleError(error);
-            throw error;
-        }
+    async getBoostMultiplier(address) {
+        return Number(await this.booster.getBoostMultiplier(address));
     }
 
     /**
-     * Get user's booster tier
+     * Get the parts that make up a user's boost
      * @param {string} address - User address
-     * @returns {Promise<number>} Booster tier
+     * @returns {Promise<Object>} Boost breakdown (percent values, 100 = 1x)
      */
-    async getUserBooster(address) {
-        return Number(await this.booster.getUserBooster(address));
+    async getBoostBreakdown(address) {
+        return formatBoostBreakdown(await this.booster.getBoostBreakdown(address));
     }
 
     /**
-     * Check if booster is active
-     * @param {string} address - User address
-     * @returns {Promise<boolean>}
+     * Get every streak boost tier
+     * @returns {Promise<Array<{minStreak: number, multiplier: number}>>}
+     */
+    async getAllBoostTiers() {
+        const tiers = await this.booster.getAllBoostTiers();
+        return tiers.map(tier => ({
+            minStreak: Number(tier.minStreak),
+            multiplier: Number(tier.multiplier)
+        }));
+    }
+
+    /**
+     * Set the connected user's referrer (once per address)
+     * @param {string} referrer - Referrer address
+     * @param {Object} [overrides] - Transaction overrides
+     * @returns {Promise<Object>} txManager result
      */
-    async isBoosterActive(address) {
-        return await this.booster.isBoosterActive(address);
+    setReferrer(referrer, overrides = {}) {
+        return this.send('booster', 'setReferrer', [referrer], 'Set referrer', overrides);
     }
 
+    // ==================== Dashboard ====================
+
     /**
-     * Get booster expiry timestamp
+     * Read everything the dashboard shows in one Multicall3 batch. A read
+     * that fails comes back as null with its error in `errors`; the rest
+     * are still returned.
      * @param {string} address - User address
-     * @returns {Promise<number>} Unix timestamp
+     * @returns {Promise<Object>} { balance, stats, preview, breakdown, status, errors }
+     */
+    async getDashboardData(address) {
+        if (!this.multicall) {
+            throw new Error('Contracts not initialized');
+        }
+
+        const reads = {
+            balance: { contract: this.token, method: 'balanceOf', format: value => value.toString() },
+            stats: { contract: this.vault, method: 'getUserStats', format: formatUserStats },
+            preview: { contract: this.vault, method: 'getPreviewBoostedRewards', format: formatPreview },
+            breakdown: { contract: this.booster, method: 'getBoostBreakdown', format: formatBoostBreakdown },
+            status: { contract: this.hub, method: 'getUserStatus', format: formatUserStatus }
+        };
+        const keys = Object.keys(reads);
+
+        const results = await this.multicall.aggregate(
+            keys.map(key => ({ ...reads[key], args: [address] }))
+        );
+
+        const data = { errors: {} };
+        results.forEach((result, i) => {
+            const key = keys[i];
+            if (result.success) {
+                data[key] = reads[key].format(result.value);
+            } else {
+                data[key] = null;
+                data.errors[key] = result.error;
+            }
+        });
+
+        return data;
+    }
+
+    // ==================== Transactions ====================
+
+    /**
+     * Contract key for one of the configured addresses
+     * @param {string} address
+     * @returns {string|null} token, hub, vault or booster
+     */
+    keyOf(address) {
+        const match = Object.keys(ARTIFACTS)
+            .find(key => this[key] && this[key].target.toLowerCase() === address.toLowerCase());
+        return match || null;
+    }
+
+    /**
+     * Contract name for one of the configured addresses
+     * @param {string} address
+     * @returns {string|null} Artifact name, e.g. QuestHubV2
      */
-    async getBoosterExpiry(address) {
-        return Number(await this.booster.getBoosterExpiry(address));
+    nameOf(address) {
+        const key = this.keyOf(address);
+        return key ? ARTIFACTS[key] : null;
+    }
+
+    /**
+     * Send a state-changing call through txManager. Quests go through the
+     * gasless relayer when the deployment has one and it is turned on.
+     * @param {string} key - Contract key (token, hub, vault, booster)
+     * @param {string} method - Contract method
+     * @param {Array} args - Method arguments
+     * @param {string} description - Human readable description
+     * @param {Object} overrides - Transaction overrides
+     * @param {Object} [hooks] - txManager callbacks (onSubmit, onConfirm, onError),
+     *        and `queued` to send through its nonce queue
+     * @returns {Promise<Object>} txManager result
+     */
+    send(key, method, args, description, overrides, hooks = {}) {
+        if (!this[key]) {
+            throw new Error('Contracts not initialized');
+        }
+
+        const contract = this[key];
+        const account = wallet.address;
+        const send = key === 'hub' && relayer.canRelay(method)
+            ? (txOverrides) => relayer.relay(contract, method, args, {
+                account,
+                gas: txOverrides.gasLimit ?? DEFAULT_GAS_LIMIT
+            })
+            : null;
+
+        return txManager.submit({
+            contract,
+            method,
+            args,
+            overrides,
+            description,
+            account,
+            chainId: this.chainId,
+            send,
+            ...hooks
+        });
+    }
+
+    /**
+     * Encode a state-changing call for a wallet_sendCalls bundle
+     * @param {string} key - Contract key (token, hub, vault, booster)
+     * @param {string} method - Contract method
+     * @param {Array} [args] - Method arguments
+     * @returns {Object} { to, data }
+     */
+    encodeCall(key, method, args = []) {
+        if (!this[key]) {
+            throw new Error('Contracts not initialized');
+        }
+
+        return {
+            to: this[key].target,
+            data: this[key].interface.encodeFunctionData(method, args)
+        };
     }
 
     // ==================== Error Handling ====================
@@ -248,23 +576,16 @@ class ContractService {
      */
     handleError(error) {
         console.error('Contract error:', error);
-        
-        let message = 'Transaction failed';
-        
-        if (error.code === 'ACTION_REJECTED') {
-            message = 'Transaction rejected by user';
-        } else if (error.message?.includes('insufficient funds')) {
-            message = 'Insufficient ETH for gas';
-        } else if (error.message?.includes('execution reverted')) {
-            // Try to parse revert reason
-            const reason = error.reason || error.message;
-            message = reason || 'Transaction reverted';
-        }
-        
+
+        const message = error instanceof ContractVerificationError
+            ? `Contract check failed: ${error.message}`
+            : getErrorMessage(error);
+
         toast.error(message);
     }
 }
 
 // Export singleton instance
 export const contracts = new ContractService();
+export { ContractService, ContractVerificationError, REQUIRED_FUNCTIONS, loadAbis };
 export default contracts;
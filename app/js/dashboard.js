@@ -0,0 +1,838 @@
+/**
+ * Quest Mini - Dashboard View
+ * Renders wallet, stats, quest cards and the daily run progress from QuestState
+ */
+
+import { DAILY_QUESTS, HISTORY, NETWORKS } from './constants.js';
+import { ActivityType } from './history.js';
+import { ReplacementKind } from './transactionManager.js';
+import { shortenAddress } from './utils.js';
+
+// Settings fields (read-only) per deployment address key
+const ADDRESS_INPUTS = {
+    QUEST_TOKEN: 'tokenAddress',
+    QUEST_HUB: 'hubAddress',
+    QUEST_VAULT: 'vaultAddress',
+    QUEST_BOOSTER: 'boosterAddress'
+};
+
+/**
+ * Dashboard View Class
+ */
+class DashboardView {
+    constructor() {
+        this.unsubscribers = [];
+        this.resumable = false;
+    }
+
+    /**
+     * Subscribe to QuestState and render on every change
+     */
+    bind() {
+        this.unbind();
+        this.unsubscribers = [
+            QuestState.subscribe('wallet', () => this.renderWallet()),
+            QuestState.subscribe('rewards', () => this.renderRewards()),
+            QuestState.subscribe('stats', () => this.renderStats()),
+            QuestState.subscribe('quests', () => this.renderQuests()),
+            QuestState.subscribe('lookup', () => {
+                this.renderLookup();
+                this.renderWallet();
+            }),
+            QuestState.subscribe('activity', () => this.renderActivity())
+        ];
+        this.renderAll();
+    }
+
+    /**
+     * Remove state subscriptions
+     */
+    unbind() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Render every section from current state
+     */
+    renderAll() {
+        this.renderWallet();
+        this.renderRewards();
+        this.renderStats();
+        this.renderQuests();
+        this.renderLookup();
+        this.renderActivity();
+    }
+
+    /**
+     * Render wallet button and main action availability
+     */
+    renderWallet() {
+        const btn = document.getElementById('walletBtn');
+        const actionBtn = document.getElementById('actionBtn');
+        if (!btn) return;
+
+        const { connected, address } = QuestState.get('wallet');
+
+        if (connected) {
+            btn.textContent = `✅ ${shortenAddress(address)}`;
+            btn.classList.remove('connect');
+            btn.classList.add('connected');
+            btn.dataset.action = 'disconnect';
+        } else {
+            btn.textContent = '🔗 Connect Wallet';
+            btn.classList.add('connect');
+            btn.classList.remove('connected');
+            btn.dataset.action = 'connect';
+        }
+
+        if (actionBtn && !actionBtn.classList.contains('loading')) {
+            actionBtn.disabled = !this.canTransact();
+        }
+    }
+
+    /**
+     * Render the read-only lookup banner
+     */
+    renderLookup() {
+        const address = QuestState.get('lookup.address');
+        const banner = document.getElementById('lookupBanner');
+
+        if (banner) banner.classList.toggle('show', Boolean(address));
+        this.setText('lookupLabel', address ? shortenAddress(address) : '');
+        this.setValue('lookupAddress', address);
+    }
+
+    /**
+     * Render pending and claimed rewards
+     */
+    renderRewards() {
+        const { pending, claimed } = QuestState.get('rewards');
+        this.setText('pendingRewards', this.formatQuest(pending));
+        this.setText('totalClaimed', this.formatQuest(claimed));
+    }
+
+    /**
+     * Render streak and boost
+     */
+    renderStats() {
+        const {
+            currentStreak,
+            boosterMultiplier,
+            streakBoost,
+            specialBoost,
+            referralBoost,
+            referrals
+        } = QuestState.get('stats');
+        const multiplier = `${(boosterMultiplier / 100).toFixed(1)}x`;
+
+        this.setText('currentStreak', String(currentStreak));
+        this.setText('boostMultiplier', multiplier);
+        this.setText('boostDisplay', multiplier);
+
+        // Streak boost is the base multiplier; special and referral add on top
+        this.setText('streakBoost', `${(streakBoost / 100).toFixed(1)}x`);
+        this.setText('specialBoost', `+${specialBoost}%`);
+        this.setText('referralBoost', `+${referralBoost}%`);
+        this.setText('referralCount', String(referrals));
+
+        // Boost bar runs from 1x to the 2.5x top streak tier
+        const fill = document.getElementById('boostFill');
+        if (fill) {
+            const percent = Math.min(Math.max((boosterMultiplier - 100) / 150 * 100, 0), 100);
+            fill.style.width = `${percent}%`;
+        }
+    }
+
+    /**
+     * Render quest card statuses
+     */
+    renderQuests() {
+        const completed = QuestState.get('quests.completed') || [];
+
+        DAILY_QUESTS.forEach(({ key }) => {
+            const card = document.querySelector(`[data-quest="${key}"]`);
+            if (!card) return;
+
+            const done = completed.includes(key);
+            card.classList.toggle('completed', done);
+            const status = card.querySelector('.quest-status');
+            if (status && !card.classList.contains('processing')) {
+                status.textContent = done ? '✅' : '⏳';
+            }
+        });
+    }
+
+    /**
+     * Render the on-chain activity list
+     */
+    renderActivity() {
+        const list = document.getElementById('activityList');
+        if (!list) return;
+
+        const { entries, chainId, syncing, error } = QuestState.get('activity');
+        const explorer = NETWORKS[chainId]?.explorer;
+
+        if (error) {
+            this.setText('activityStatus', `⚠️ ${error}`);
+        } else {
+            this.setText('activityStatus', syncing ? 'Scanning chain...' : `${entries.length} events`);
+        }
+
+        list.replaceChildren(...entries.slice(0, HISTORY.DISPLAY_LIMIT).map(entry => {
+            const item = document.createElement('li');
+            item.className = 'activity-item';
+
+            const label = document.createElement(explorer ? 'a' : 'span');
+            label.className = 'activity-label';
+            label.textContent = this.activityLabel(entry);
+            if (explorer) {
+                label.href = `${explorer}/tx/${entry.txHash}`;
+                label.target = '_blank';
+                label.rel = 'noopener';
+            }
+
+            const amount = document.createElement('span');
+            amount.className = 'activity-amount';
+            amount.textContent = `${this.formatQuest(entry.boostedAmount || entry.amount)} QUEST`;
+
+            const time = document.createElement('span');
+            time.className = 'activity-time';
+            time.textContent = entry.timestamp
+                ? QuestFormat.formatDateTime(new Date(entry.timestamp))
+                : `Block ${entry.blockNumber}`;
+
+            item.append(label, amount, time);
+            return item;
+        }));
+
+        if (!syncing && !error && entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'activity-empty';
+            empty.textContent = 'No quests or claims yet';
+            list.append(empty);
+        }
+    }
+
+    /**
+     * Describe an activity entry
+     * @param {Object} entry - From activityHistory
+     * @returns {string}
+     */
+    activityLabel(entry) {
+        switch (entry.type) {
+            case ActivityType.QUEST: {
+                const quest = DAILY_QUESTS.find(q => q.key === entry.quest);
+                return `✅ ${quest ? quest.label : 'Quest'} completed`;
+            }
+            case ActivityType.ALL_QUESTS:
+                return `🏆 All-quests bonus (day ${entry.streak} streak)`;
+            case ActivityType.REWARD:
+                return '➕ Reward added to vault';
+            case ActivityType.CLAIM:
+                return '🎁 Rewards claimed';
+            default:
+                return entry.type;
+        }
+    }
+
+    /**
+     * Mark a quest card as processing
+     * @param {string} key - Quest key
+     * @param {boolean} processing - Processing flag
+     */
+    setQuestProcessing(key, processing) {
+        const card = document.querySelector(`[data-quest="${key}"]`);
+        if (!card) return;
+
+        card.classList.toggle('processing', processing);
+        if (!processing) {
+            this.renderQuests();
+        }
+    }
+
+    /**
+     * Toggle the "Complete All Quests" button busy state
+     * @param {boolean} running - Whether a run is in progress
+     */
+    setRunning(running) {
+        const actionBtn = document.getElementById('actionBtn');
+        const txStatus = document.getElementById('txStatus');
+        if (!actionBtn) return;
+
+        actionBtn.classList.toggle('loading', running);
+        actionBtn.disabled = running || !this.canTransact();
+        actionBtn.textContent = running ? '⏳ Processing...' : this.actionLabel();
+
+        if (txStatus && running) {
+            this.resetTxSteps();
+            txStatus.classList.add('show');
+        }
+    }
+
+    /**
+     * Offer to resume a run that stopped part way
+     * @param {boolean} resumable
+     */
+    setResumable(resumable) {
+        this.resumable = resumable;
+
+        const actionBtn = document.getElementById('actionBtn');
+        if (actionBtn && !actionBtn.classList.contains('loading')) {
+            actionBtn.textContent = this.actionLabel();
+        }
+    }
+
+    actionLabel() {
+        return this.resumable ? '🔁 Resume Quests' : '🚀 Complete All Quests';
+    }
+
+    /**
+     * Hide the run progress list
+     * @param {number} [delay=3000] - Delay before hiding in ms
+     */
+    hideTxSteps(delay = 3000) {
+        setTimeout(() => {
+            const txStatus = document.getElementById('txStatus');
+            if (txStatus) txStatus.classList.remove('show');
+            this.resetTxSteps();
+        }, delay);
+    }
+
+    /**
+     * Update a run progress row
+     * @param {string} key - Quest key
+     * @param {string} status - 'pending' | 'success' | 'skipped' | 'error'
+     * @param {string} text - Row text
+     */
+    updateTxStep(key, status, text) {
+        const row = document.querySelector(`[data-tx-step="${key}"]`);
+        if (!row) return;
+
+        const spinner = row.querySelector('.tx-spinner');
+        const label = row.querySelector('span');
+        const colors = {
+            success: 'var(--success)',
+            skipped: 'var(--text-secondary)',
+            error: 'var(--error)',
+            pending: 'var(--text-secondary)'
+        };
+
+        spinner.style.display = status === 'pending' ? 'block' : 'none';
+        label.textContent = text;
+        label.style.color = colors[status] || colors.pending;
+    }
+
+    /**
+     * Reset all run progress rows
+     */
+    resetTxSteps() {
+        DAILY_QUESTS.forEach(({ key, label }) => {
+            this.updateTxStep(key, 'pending', `${label}...`);
+        });
+    }
+
+    /**
+     * Render the wallet's transactions still waiting to be mined, with
+     * speed-up and cancel buttons on the ones that can be replaced
+     * @param {Array<Object>} records - txManager records, with `replaceable`
+     * @param {number} chainId - For explorer links
+     */
+    renderPendingTransactions(records, chainId) {
+        const section = document.getElementById('pendingTxs');
+        const list = document.getElementById('pendingTxList');
+        if (!section || !list) return;
+
+        const explorer = NETWORKS[chainId]?.explorer;
+        section.classList.toggle('show', records.length > 0);
+
+        list.replaceChildren(...records.map(record => {
+            const item = document.createElement('li');
+            item.className = 'pending-tx';
+
+            const replacements = record.replacements || [];
+            const latest = replacements.length ? replacements[replacements.length - 1] : null;
+            const hash = latest ? latest.hash : record.hash;
+
+            const label = document.createElement('span');
+            label.className = 'pending-tx-label';
+            label.textContent = latest
+                ? `${record.description} (${latest.kind === ReplacementKind.CANCEL ? 'cancelling' : 'sped up'})`
+                : record.description;
+
+            const link = document.createElement(explorer ? 'a' : 'span');
+            link.className = 'pending-tx-hash';
+            link.textContent = shortenAddress(hash, 6);
+            if (explorer) {
+                link.href = `${explorer}/tx/${hash}`;
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+
+            item.append(label, link);
+
+            if (record.relayed) {
+                const note = document.createElement('span');
+                note.className = 'pending-tx-note';
+                note.textContent = 'Gasless: the relayer handles fees';
+                item.append(note);
+            } else if (record.hash) {
+                const actions = document.createElement('div');
+                actions.className = 'pending-tx-actions';
+                // A speed-up after a cancel would send the quest after all
+                if (latest?.kind !== ReplacementKind.CANCEL) {
+                    actions.append(this.pendingTxButton('tx-speed-up', '⚡ Speed up', record));
+                }
+                actions.append(this.pendingTxButton('tx-cancel', '✖ Cancel', record));
+                item.append(actions);
+            }
+
+            return item;
+        }));
+    }
+
+    pendingTxButton(action, text, record) {
+        const button = document.createElement('button');
+        button.className = 'pending-tx-btn';
+        button.dataset.action = action;
+        button.dataset.txId = record.id;
+        button.textContent = text;
+        button.disabled = !record.replaceable;
+        return button;
+    }
+
+    /**
+     * Toggle the settings panel
+     */
+    toggleSettings() {
+        const panel = document.getElementById('settingsPanel');
+        if (panel) panel.classList.toggle('show');
+    }
+
+    /**
+     * Show the wallet chooser
+     * @param {Array<Object>} providers - EIP-6963 info ({ name, icon, rdns })
+     */
+    showWalletPicker(providers) {
+        const overlay = document.getElementById('walletPicker');
+        if (!overlay) return;
+
+        this.renderWalletOptions(providers);
+        overlay.classList.add('active');
+    }
+
+    hideWalletPicker() {
+        const overlay = document.getElementById('walletPicker');
+        if (overlay) overlay.classList.remove('active');
+    }
+
+    /**
+     * Re-render the chooser when a late wallet announces itself
+     * @param {Array<Object>} providers
+     */
+    updateWalletPicker(providers) {
+        const overlay = document.getElementById('walletPicker');
+        if (overlay && overlay.classList.contains('active')) {
+            this.renderWalletOptions(providers);
+        }
+    }
+
+    renderWalletOptions(providers) {
+        const list = document.getElementById('walletOptions');
+        if (!list) return;
+
+        list.replaceChildren(...providers.map(({ name, icon, rdns }) => {
+            const option = document.createElement('button');
+            option.className = 'wallet-option';
+            option.dataset.action = 'pick-wallet';
+            option.dataset.rdns = rdns;
+
+            // EIP-6963 icons are data URIs; anything else is ignored
+            if (icon && icon.startsWith('data:image/')) {
+                const img = document.createElement('img');
+                img.className = 'wallet-option-icon';
+                img.src = icon;
+                img.alt = '';
+                option.append(img);
+            }
+
+            const info = document.createElement('div');
+            info.className = 'wallet-option-info';
+            const title = document.createElement('h4');
+            title.textContent = name;
+            const detail = document.createElement('p');
+            detail.textContent = rdns;
+            info.append(title, detail);
+
+            option.append(info);
+            return option;
+        }));
+    }
+
+    /**
+     * Show the accounts used in this browser
+     * @param {Array<Object>} accounts - From QuestStorage.accounts.list()
+     * @param {string|null} current - Address on screen
+     */
+    showAccountSwitcher(accounts, current) {
+        const overlay = document.getElementById('accountSwitcher');
+        const list = document.getElementById('accountOptions');
+        if (!overlay || !list) return;
+
+        list.replaceChildren(...accounts.map(({ address, chainIds, lastUsed }) => {
+            const option = document.createElement('button');
+            option.className = 'wallet-option';
+            option.dataset.action = 'switch-account';
+            option.dataset.address = address;
+            option.classList.toggle('current', address.toLowerCase() === current?.toLowerCase());
+
+            const info = document.createElement('div');
+            info.className = 'wallet-option-info';
+            const title = document.createElement('h4');
+            title.textContent = shortenAddress(address);
+            title.title = address;
+            const detail = document.createElement('p');
+            const networks = chainIds.map(id => NETWORKS[id]?.name || `Chain ${id}`).join(', ');
+            detail.textContent = `${networks} · last used ${QuestFormat.formatRelativeTime(lastUsed)}`;
+            info.append(title, detail);
+
+            option.append(info);
+            return option;
+        }));
+        overlay.classList.add('active');
+    }
+
+    hideAccountSwitcher() {
+        const overlay = document.getElementById('accountSwitcher');
+        if (overlay) overlay.classList.remove('active');
+    }
+
+    /**
+     * Show a transaction review (see txReview.build)
+     * @param {Object} review - { title, chainId, relayed, calls, effects, warnings }
+     */
+    showTxReview(review) {
+        const overlay = document.getElementById('txReview');
+        const body = document.getElementById('txReviewBody');
+        if (!overlay || !body) return;
+
+        this.setText('txReviewTitle', `Review: ${review.title}`);
+        const explorer = NETWORKS[review.chainId]?.explorer;
+        const sections = [];
+
+        if (review.warnings.length > 0) {
+            const warnings = document.createElement('ul');
+            warnings.className = 'review-warnings';
+            warnings.append(...review.warnings.map(text => {
+                const item = document.createElement('li');
+                item.textContent = `⚠️ ${text}`;
+                return item;
+            }));
+            sections.push(warnings);
+        }
+
+        if (review.effects) {
+            sections.push(this.reviewEffects(review.effects));
+        }
+
+        if (review.fees) {
+            sections.push(this.reviewFees(review.fees));
+        }
+
+        review.calls.forEach(call => {
+            const section = document.createElement('section');
+            section.className = 'review-call';
+
+            const title = document.createElement('h4');
+            title.textContent = call.description;
+            section.append(title);
+
+            const target = document.createElement(explorer ? 'a' : 'span');
+            target.textContent = `${call.contractName || 'Unknown contract'} ${shortenAddress(call.target)}`;
+            target.title = call.target;
+            if (explorer) {
+                target.href = `${explorer}/address/${call.target}`;
+                target.target = '_blank';
+                target.rel = 'noopener';
+            }
+            if (!call.known) target.classList.add('review-unknown');
+
+            section.append(
+                this.reviewRow('Contract', target),
+                this.reviewRow('Function', call.signature),
+                ...call.args.map(arg => this.reviewRow(`${arg.name} (${arg.type})`, arg.value))
+            );
+            if (call.value !== '0') {
+                section.append(this.reviewRow('Value', QuestFormat.formatEth(call.value)));
+            }
+            if (call.gasLimit) {
+                const estimate = call.gasEstimate ? ` (estimate ${call.gasEstimate})` : '';
+                section.append(this.reviewRow('Gas limit', `${call.gasLimit}${estimate}`));
+            }
+
+            const data = document.createElement('code');
+            data.className = 'review-data';
+            data.textContent = call.data;
+            section.append(this.reviewRow('Data', data));
+
+            sections.push(section);
+        });
+
+        if (review.relayed) {
+            const note = document.createElement('p');
+            note.className = 'review-note';
+            note.textContent = 'Gasless: you sign a request and the relayer pays the gas';
+            sections.push(note);
+        }
+
+        body.replaceChildren(...sections);
+        overlay.classList.add('active');
+    }
+
+    hideTxReview() {
+        const overlay = document.getElementById('txReview');
+        if (overlay) overlay.classList.remove('active');
+    }
+
+    /**
+     * Expected effect on rewards
+     * @param {Object} effects - { quests, bonus, pendingBefore, pendingAfter, claim }
+     * @returns {HTMLElement}
+     */
+    reviewEffects({ quests, bonus, pendingBefore, pendingAfter, claim }) {
+        const section = document.createElement('section');
+        section.className = 'review-effects';
+
+        const title = document.createElement('h4');
+        title.textContent = 'Expected result';
+        section.append(title, this.reviewRow('Pending rewards now', `${this.formatQuest(pendingBefore)} QUEST`));
+
+        quests.forEach(({ description, reward }) => {
+            section.append(this.reviewRow(description, `+${this.formatQuest(reward)} QUEST`));
+        });
+
+        // Expected from the quest times; the hub decides by the block's
+        if (bonus) {
+            section.append(this.reviewRow('🏆 All-quests bonus', `+${this.formatQuest(bonus)} QUEST`));
+        }
+
+        if (claim) {
+            const boost = QuestFormat.formatMultiplier(claim.multiplier);
+            section.append(
+                this.reviewRow(`Claim (${boost} boost)`, `${this.formatQuest(claim.boosted)} QUEST`),
+                this.reviewRow('Remaining supply', `${this.formatQuest(claim.remainingSupply)} QUEST ${claim.covered ? '✅' : '⚠️'}`)
+            );
+        }
+
+        section.append(this.reviewRow('Pending rewards after', `${this.formatQuest(pendingAfter)} QUEST`));
+        return section;
+    }
+
+    /**
+     * Network fee at each gas tier, one picked
+     * @param {Object} fees - { costs, waits, selected } (see TxReview.feeTiers)
+     * @returns {HTMLElement}
+     */
+    reviewFees({ costs, waits, selected }) {
+        const section = document.createElement('section');
+        section.className = 'review-fees';
+
+        const title = document.createElement('h4');
+        title.textContent = 'Network fee';
+        section.append(title);
+
+        Object.entries(costs).forEach(([tier, cost]) => {
+            const choice = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'txReviewTier';
+            input.value = tier;
+            input.checked = tier === selected;
+            choice.append(input, ` ${tier[0].toUpperCase()}${tier.slice(1)} (${waits[tier]})`);
+
+            // Exact: L2 fees are often below formatEth's 6 decimals
+            const expected = `${ethers.formatEther(cost.totalCostWei)} ETH`;
+            section.append(this.reviewRow(choice, `${expected} (max ${ethers.formatEther(cost.maxCostWei)})`));
+        });
+        return section;
+    }
+
+    /**
+     * @returns {string|null} Gas tier picked on the review screen
+     */
+    readReviewTier() {
+        const picked = document.querySelector('input[name="txReviewTier"]:checked');
+        return picked ? picked.value : null;
+    }
+
+    reviewRow(label, value) {
+        const row = document.createElement('div');
+        row.className = 'review-row';
+
+        const name = document.createElement('span');
+        name.className = 'review-label';
+        name.append(label); // Text, or an element such as a tier choice
+
+        const content = document.createElement('span');
+        content.className = 'review-value';
+        if (typeof value === 'string') {
+            content.textContent = value;
+        } else {
+            content.append(value);
+        }
+
+        row.append(name, content);
+        return row;
+    }
+
+    /**
+     * Show the switcher button once there is more than one account to pick
+     * @param {number} count - Accounts used in this browser
+     */
+    setAccountCount(count) {
+        const button = document.getElementById('accountsBtn');
+        if (button) button.hidden = count < 2;
+    }
+
+    /**
+     * Fill the settings panel
+     * @param {Object} settings
+     * @param {Array<Object>} settings.groups - { chainId, label, options: [{ name, label }] }
+     * @param {string|null} settings.selected - Selected option value (`<chainId>:<name>`),
+     *        null for the first
+     * @param {number|null} settings.gasLimit - Override, null for automatic
+     * @param {boolean} settings.gasless - Relay quests when the deployment can
+     */
+    fillSettings({ groups, selected, gasLimit, gasless }) {
+        const select = document.getElementById('deploymentSelect');
+        if (select) {
+            select.replaceChildren(...groups.map(({ chainId, label, options }) => {
+                const group = document.createElement('optgroup');
+                group.label = label;
+                options.forEach((option) => {
+                    group.appendChild(new Option(option.label, `${chainId}:${option.name}`));
+                });
+                return group;
+            }));
+            if (selected) select.value = selected;
+        }
+
+        this.setValue('gasLimit', gasLimit);
+
+        const gaslessInput = document.getElementById('gaslessQuests');
+        if (gaslessInput) gaslessInput.checked = gasless;
+    }
+
+    /**
+     * Offer the gasless toggle only for deployments with a relayer
+     * @param {boolean} available
+     */
+    showGaslessSetting(available) {
+        const item = document.getElementById('gaslessSetting');
+        if (item) item.hidden = !available;
+    }
+
+    /**
+     * Show a deployment's addresses (read-only)
+     * @param {Object} addresses - Deployment contracts
+     */
+    showDeploymentAddresses(addresses) {
+        this.clearSettingsErrors();
+
+        Object.entries(ADDRESS_INPUTS).forEach(([key, id]) => {
+            this.setValue(id, addresses[key]);
+        });
+    }
+
+    /**
+     * Show validation errors under their settings fields
+     * @param {Object} errors - Message per deployment address key or 'gasLimit'
+     */
+    showSettingsErrors(errors) {
+        this.clearSettingsErrors();
+
+        Object.entries(errors).forEach(([key, message]) => {
+            const id = ADDRESS_INPUTS[key] || key;
+            const input = document.getElementById(id);
+            const error = document.querySelector(`[data-error-for="${id}"]`);
+
+            if (input) input.classList.add('invalid');
+            if (error) error.textContent = message;
+        });
+    }
+
+    /**
+     * Remove all settings validation errors
+     */
+    clearSettingsErrors() {
+        document.querySelectorAll('#settingsPanel .setting-input.invalid')
+            .forEach(input => input.classList.remove('invalid'));
+        document.querySelectorAll('#settingsPanel [data-error-for]')
+            .forEach((error) => {
+                error.textContent = '';
+            });
+    }
+
+    /**
+     * Toggle the save button while settings are being checked on-chain
+     * @param {boolean} checking
+     */
+    setSettingsChecking(checking) {
+        const btn = document.getElementById('saveSettingsBtn');
+        if (!btn) return;
+
+        btn.disabled = checking;
+        btn.textContent = checking ? '⏳ Checking contracts...' : '💾 Save Settings';
+    }
+
+    /**
+     * Read settings inputs
+     * @returns {Object} { chainId, name, gasLimit, gasless } (gasLimit null when blank)
+     */
+    readSettings() {
+        const [chainId, name] = this.getValue('deploymentSelect').split(':');
+        return {
+            chainId: Number(chainId),
+            name,
+            gasLimit: this.getValue('gasLimit') === '' ? null : Number(this.getValue('gasLimit')),
+            gasless: Boolean(document.getElementById('gaslessQuests')?.checked)
+        };
+    }
+
+    /**
+     * Whether quest transactions make sense for what is on screen
+     * (a connected wallet, not a looked-up address)
+     * @returns {boolean}
+     */
+    canTransact() {
+        return QuestState.get('wallet.connected') && !QuestState.get('lookup.address');
+    }
+
+    /**
+     * Format a wei amount as QUEST with one decimal
+     * @param {string} wei - Amount in wei
+     * @returns {string}
+     */
+    formatQuest(wei) {
+        return QuestFormat.formatTokenAmount(wei || '0', 18, 1);
+    }
+
+    setText(id, text) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    }
+
+    setValue(id, value) {
+        const el = document.getElementById(id);
+        if (el) el.value = value ?? '';
+    }
+
+    getValue(id) {
+        const el = document.getElementById(id);
+        return el ? el.value.trim() : '';
+    }
+}
+
+// Export singleton instance
+export const dashboard = new DashboardView();
+export { DashboardView };
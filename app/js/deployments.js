@@ -0,0 +1,126 @@
+/**
+ * Quest Mini App - Deployment Registry
+ * Named contract address sets per chain, loaded from app/deployments.json
+ *
+ * The registry is generated from the deploy.js manifests by
+ * contracts/scripts/export-deployments.js. One deployment per chain is
+ * active; it defaults to the entry flagged `default`, else the newest, and
+ * can be switched from the settings panel. There are no hand-entered
+ * addresses: a build to test gets a manifest and a registry entry.
+ */
+
+import { NETWORKS } from './constants.js';
+
+/**
+ * Deployment Registry Class
+ */
+class DeploymentRegistry {
+    constructor() {
+        this.deployments = [];
+        this.loaded = false;
+    }
+
+    /**
+     * Load the registry (once)
+     * @returns {Promise<Array<Object>>} All deployments
+     */
+    async load() {
+        if (this.loaded) return this.deployments;
+
+        const response = await fetch(new URL('../deployments.json', import.meta.url));
+        if (!response.ok) {
+            throw new Error(`Failed to load deployments (HTTP ${response.status})`);
+        }
+
+        const { deployments = [] } = await response.json();
+        this.deployments = deployments.filter(d => NETWORKS[d.chainId]);
+        this.loaded = true;
+
+        return this.deployments;
+    }
+
+    /**
+     * Chain IDs that have a registry deployment
+     * @returns {number[]}
+     */
+    getChainIds() {
+        return Object.keys(NETWORKS).map(Number).filter(chainId => this.isSupported(chainId));
+    }
+
+    /**
+     * Deployments on a chain, default first, then newest first
+     * @param {number} chainId
+     * @returns {Array<Object>}
+     */
+    forChain(chainId) {
+        return this.deployments
+            .filter(d => d.chainId === chainId)
+            .sort((a, b) => {
+                if (Boolean(a.default) !== Boolean(b.default)) return a.default ? -1 : 1;
+                return String(b.timestamp).localeCompare(String(a.timestamp));
+            });
+    }
+
+    /**
+     * Find a named deployment
+     * @param {number} chainId
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    get(chainId, name) {
+        return this.deployments.find(d => d.chainId === chainId && d.name === name) || null;
+    }
+
+    /**
+     * The active deployment for a chain
+     * @param {number} chainId
+     * @returns {Object|null}
+     */
+    getActive(chainId) {
+        const selected = QuestStorage.settings.get(`deployment_${chainId}`);
+        return (selected && this.get(chainId, selected)) || this.forChain(chainId)[0] || null;
+    }
+
+    /**
+     * Make a deployment active for its chain
+     * @param {number} chainId
+     * @param {string} name
+     */
+    select(chainId, name) {
+        QuestStorage.settings.set(`deployment_${chainId}`, name);
+    }
+
+    /**
+     * Whether an address belongs to a registry deployment on a chain
+     * @param {number} chainId
+     * @param {string} address
+     * @returns {boolean}
+     */
+    isKnownAddress(chainId, address) {
+        const target = address.toLowerCase();
+        return this.forChain(chainId)
+            .some(d => Object.values(d.contracts).some(a => typeof a === 'string' && a.toLowerCase() === target));
+    }
+
+    /**
+     * Display name for a chain
+     * @param {number} chainId
+     * @returns {string}
+     */
+    getNetworkName(chainId) {
+        return NETWORKS[chainId]?.name || `Chain ${chainId}`;
+    }
+
+    /**
+     * Whether the app has anything to talk to on a chain
+     * @param {number} chainId
+     * @returns {boolean}
+     */
+    isSupported(chainId) {
+        return this.getActive(chainId) !== null;
+    }
+}
+
+// Export singleton instance
+export const deployments = new DeploymentRegistry();
+export { DeploymentRegistry };
@@ -0,0 +1,500 @@
+/**
+ * Quest Mini - Errors
+ * Turns anything the wallet, the RPC, ethers or the Quest contracts throw
+ * into one shape the app can act on and show
+ *
+ * classifyError(error) returns:
+ *   code        stable ErrorCode value, safe to branch on and to log
+ *   retryable   whether sending or reading again may succeed
+ *   messageKey  key into ERROR_MESSAGES for the text users see
+ *   message     that text, with the error's arguments filled in
+ *   reason      the decoded revert (require string, panic or custom error)
+ *
+ * Revert data is decoded as Error(string), Panic(uint256), or one of the
+ * custom errors in contracts/libraries/QuestErrors.sol and the OpenZeppelin
+ * ones the deployed contracts use. The contracts' require strings map to the
+ * same codes as the matching custom errors.
+ */
+
+/**
+ * Stable error codes
+ */
+const ErrorCode = {
+    // Wallet and transaction lifecycle
+    USER_REJECTED: 'USER_REJECTED',
+    INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+    NONCE_EXPIRED: 'NONCE_EXPIRED',
+    REPLACEMENT_UNDERPRICED: 'REPLACEMENT_UNDERPRICED',
+    TRANSACTION_REPLACED: 'TRANSACTION_REPLACED',
+    TRANSACTION_CANCELLED: 'TRANSACTION_CANCELLED',
+    GAS_LIMIT_TOO_LOW: 'GAS_LIMIT_TOO_LOW',
+
+    // Network
+    TIMEOUT: 'TIMEOUT',
+    RATE_LIMITED: 'RATE_LIMITED',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+
+    // Reverts without a known reason
+    REVERTED: 'REVERTED',
+    PANIC: 'PANIC',
+
+    // QuestErrors.sol, and require strings with the same meaning
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    NOT_OWNER: 'NOT_OWNER',
+    NOT_MINTER: 'NOT_MINTER',
+    NOT_QUEST_HUB: 'NOT_QUEST_HUB',
+    NOT_QUEST_VAULT: 'NOT_QUEST_VAULT',
+    ZERO_ADDRESS: 'ZERO_ADDRESS',
+    ZERO_AMOUNT: 'ZERO_AMOUNT',
+    INVALID_QUEST_TYPE: 'INVALID_QUEST_TYPE',
+    INVALID_BOOSTER_TIER: 'INVALID_BOOSTER_TIER',
+    ARRAY_LENGTH_MISMATCH: 'ARRAY_LENGTH_MISMATCH',
+    VALUE_OUT_OF_RANGE: 'VALUE_OUT_OF_RANGE',
+    QUEST_ALREADY_COMPLETED: 'QUEST_ALREADY_COMPLETED',
+    QUEST_ON_COOLDOWN: 'QUEST_ON_COOLDOWN',
+    QUEST_REQUIREMENTS_NOT_MET: 'QUEST_REQUIREMENTS_NOT_MET',
+    ALL_QUESTS_NOT_COMPLETED: 'ALL_QUESTS_NOT_COMPLETED',
+    MAX_SUPPLY_EXCEEDED: 'MAX_SUPPLY_EXCEEDED',
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+    TRANSFER_FAILED: 'TRANSFER_FAILED',
+    NO_REWARDS_TO_CLAIM: 'NO_REWARDS_TO_CLAIM',
+    CLAIM_COOLDOWN_ACTIVE: 'CLAIM_COOLDOWN_ACTIVE',
+    REWARD_CALCULATION_OVERFLOW: 'REWARD_CALCULATION_OVERFLOW',
+    BOOSTER_ALREADY_ACTIVE: 'BOOSTER_ALREADY_ACTIVE',
+    BOOSTER_EXPIRED: 'BOOSTER_EXPIRED',
+    CANNOT_DOWNGRADE_BOOSTER: 'CANNOT_DOWNGRADE_BOOSTER',
+    REFERRER_ALREADY_SET: 'REFERRER_ALREADY_SET',
+    CANNOT_REFER_SELF: 'CANNOT_REFER_SELF',
+    REFERRAL_CYCLE_DETECTED: 'REFERRAL_CYCLE_DETECTED',
+    CONTRACT_PAUSED: 'CONTRACT_PAUSED',
+    CONTRACT_NOT_PAUSED: 'CONTRACT_NOT_PAUSED',
+    INVALID_CONFIGURATION: 'INVALID_CONFIGURATION',
+    EXTERNAL_CALL_FAILED: 'EXTERNAL_CALL_FAILED',
+    REENTRANCY_DETECTED: 'REENTRANCY_DETECTED',
+
+    // Errors the app raises itself with a message for users (guards,
+    // relayer, nonce queue); their own code is kept
+    APP: 'APP',
+
+    UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Text per message key. {name} is filled in from the error's arguments.
+ */
+const ERROR_MESSAGES = {
+    'app.message': '{message}',
+    'wallet.rejected': 'Transaction was rejected',
+    'wallet.insufficientFunds': 'Not enough ETH to pay for gas',
+    'tx.nonceExpired': 'The wallet sent another transaction first; try again',
+    'tx.underpriced': 'A pending transaction with the same nonce pays more',
+    'tx.replaced': 'Replaced by another transaction',
+    'tx.cancelled': 'Transaction was cancelled',
+    'tx.gasLimitTooLow': 'Gas limit is too low for this transaction',
+    'network.timeout': 'The network took too long to answer',
+    'network.rateLimited': 'The RPC is rate limiting requests; try again shortly',
+    'network.error': 'Network error; check your connection',
+    'contract.reverted': 'The contract rejected it: {reason}',
+    'contract.revertedNoReason': 'The contract rejected it',
+    'contract.panic': 'The contract hit an internal error ({reason})',
+    'contract.unauthorized': 'This account is not allowed to do that',
+    'contract.notOwner': 'Only the contract owner can do that',
+    'contract.notMinter': 'Only a registered minter can do that',
+    'contract.notQuestHub': 'Only the QuestHub contract can do that',
+    'contract.notQuestVault': 'Only the QuestVault contract can do that',
+    'contract.zeroAddress': 'An address is missing',
+    'contract.zeroAmount': 'The amount must be more than zero',
+    'contract.invalidQuestType': 'Unknown quest type {questType}',
+    'contract.invalidBoosterTier': 'Unknown booster tier {tier}',
+    'contract.arrayLengthMismatch': 'Expected {expected} entries, got {actual}',
+    'contract.valueOutOfRange': '{value} is outside {min}-{max}',
+    'contract.questAlreadyCompleted': 'Quest already completed today',
+    'contract.questOnCooldown': 'Quest is on cooldown until {availableAt}',
+    'contract.questRequirementsNotMet': 'Quest requirements are not met yet',
+    'contract.allQuestsNotCompleted': 'Complete every quest first',
+    'contract.maxSupplyExceeded': 'QUEST max supply reached',
+    'contract.insufficientBalance': 'Not enough QUEST',
+    'contract.transferFailed': 'Token transfer failed',
+    'contract.noRewardsToClaim': 'No rewards to claim yet',
+    'contract.claimCooldownActive': 'Claiming is on cooldown until {availableAt}',
+    'contract.rewardCalculationOverflow': 'Reward is too large to calculate',
+    'contract.boosterAlreadyActive': 'A booster is already active until {expiresAt}',
+    'contract.boosterExpired': 'Booster expired at {expiredAt}',
+    'contract.cannotDowngradeBooster': 'Booster tier can only go up',
+    'contract.referrerAlreadySet': 'You already have a referrer',
+    'contract.cannotReferSelf': 'You cannot refer yourself',
+    'contract.referralCycleDetected': 'That referral would create a cycle',
+    'contract.paused': 'Quests are paused right now',
+    'contract.notPaused': 'The contract is not paused',
+    'contract.invalidConfiguration': 'Contract is misconfigured: {reason}',
+    'contract.externalCallFailed': 'A call to another contract failed',
+    'contract.reentrancy': 'Reentrant call blocked',
+    'unknown': 'Transaction failed'
+};
+
+/**
+ * Retryable flag and message key per code
+ */
+const ERROR_INFO = {
+    [ErrorCode.USER_REJECTED]: [false, 'wallet.rejected'],
+    [ErrorCode.INSUFFICIENT_FUNDS]: [false, 'wallet.insufficientFunds'],
+    [ErrorCode.NONCE_EXPIRED]: [true, 'tx.nonceExpired'],
+    [ErrorCode.REPLACEMENT_UNDERPRICED]: [true, 'tx.underpriced'],
+    [ErrorCode.TRANSACTION_REPLACED]: [false, 'tx.replaced'],
+    [ErrorCode.TRANSACTION_CANCELLED]: [false, 'tx.cancelled'],
+    [ErrorCode.GAS_LIMIT_TOO_LOW]: [false, 'tx.gasLimitTooLow'],
+    [ErrorCode.TIMEOUT]: [true, 'network.timeout'],
+    [ErrorCode.RATE_LIMITED]: [true, 'network.rateLimited'],
+    [ErrorCode.NETWORK_ERROR]: [true, 'network.error'],
+    [ErrorCode.REVERTED]: [false, 'contract.reverted'],
+    [ErrorCode.PANIC]: [false, 'contract.panic'],
+    [ErrorCode.UNAUTHORIZED]: [false, 'contract.unauthorized'],
+    [ErrorCode.NOT_OWNER]: [false, 'contract.notOwner'],
+    [ErrorCode.NOT_MINTER]: [false, 'contract.notMinter'],
+    [ErrorCode.NOT_QUEST_HUB]: [false, 'contract.notQuestHub'],
+    [ErrorCode.NOT_QUEST_VAULT]: [false, 'contract.notQuestVault'],
+    [ErrorCode.ZERO_ADDRESS]: [false, 'contract.zeroAddress'],
+    [ErrorCode.ZERO_AMOUNT]: [false, 'contract.zeroAmount'],
+    [ErrorCode.INVALID_QUEST_TYPE]: [false, 'contract.invalidQuestType'],
+    [ErrorCode.INVALID_BOOSTER_TIER]: [false, 'contract.invalidBoosterTier'],
+    [ErrorCode.ARRAY_LENGTH_MISMATCH]: [false, 'contract.arrayLengthMismatch'],
+    [ErrorCode.VALUE_OUT_OF_RANGE]: [false, 'contract.valueOutOfRange'],
+    [ErrorCode.QUEST_ALREADY_COMPLETED]: [false, 'contract.questAlreadyCompleted'],
+    [ErrorCode.QUEST_ON_COOLDOWN]: [false, 'contract.questOnCooldown'],
+    [ErrorCode.QUEST_REQUIREMENTS_NOT_MET]: [false, 'contract.questRequirementsNotMet'],
+    [ErrorCode.ALL_QUESTS_NOT_COMPLETED]: [false, 'contract.allQuestsNotCompleted'],
+    [ErrorCode.MAX_SUPPLY_EXCEEDED]: [false, 'contract.maxSupplyExceeded'],
+    [ErrorCode.INSUFFICIENT_BALANCE]: [false, 'contract.insufficientBalance'],
+    [ErrorCode.TRANSFER_FAILED]: [false, 'contract.transferFailed'],
+    [ErrorCode.NO_REWARDS_TO_CLAIM]: [false, 'contract.noRewardsToClaim'],
+    [ErrorCode.CLAIM_COOLDOWN_ACTIVE]: [false, 'contract.claimCooldownActive'],
+    [ErrorCode.REWARD_CALCULATION_OVERFLOW]: [false, 'contract.rewardCalculationOverflow'],
+    [ErrorCode.BOOSTER_ALREADY_ACTIVE]: [false, 'contract.boosterAlreadyActive'],
+    [ErrorCode.BOOSTER_EXPIRED]: [false, 'contract.boosterExpired'],
+    [ErrorCode.CANNOT_DOWNGRADE_BOOSTER]: [false, 'contract.cannotDowngradeBooster'],
+    [ErrorCode.REFERRER_ALREADY_SET]: [false, 'contract.referrerAlreadySet'],
+    [ErrorCode.CANNOT_REFER_SELF]: [false, 'contract.cannotReferSelf'],
+    [ErrorCode.REFERRAL_CYCLE_DETECTED]: [false, 'contract.referralCycleDetected'],
+    [ErrorCode.CONTRACT_PAUSED]: [false, 'contract.paused'],
+    [ErrorCode.CONTRACT_NOT_PAUSED]: [false, 'contract.notPaused'],
+    [ErrorCode.INVALID_CONFIGURATION]: [false, 'contract.invalidConfiguration'],
+    [ErrorCode.EXTERNAL_CALL_FAILED]: [false, 'contract.externalCallFailed'],
+    [ErrorCode.REENTRANCY_DETECTED]: [false, 'contract.reentrancy'],
+    [ErrorCode.APP]: [false, 'app.message'],
+    [ErrorCode.UNKNOWN]: [false, 'unknown']
+};
+
+// Custom errors (QuestErrors.sol, then OpenZeppelin v5) and their codes
+const CUSTOM_ERRORS = [
+    ['Unauthorized()', ErrorCode.UNAUTHORIZED],
+    ['NotOwner()', ErrorCode.NOT_OWNER],
+    ['NotMinter()', ErrorCode.NOT_MINTER],
+    ['NotQuestHub()', ErrorCode.NOT_QUEST_HUB],
+    ['NotQuestVault()', ErrorCode.NOT_QUEST_VAULT],
+    ['ZeroAddress()', ErrorCode.ZERO_ADDRESS],
+    ['ZeroAmount()', ErrorCode.ZERO_AMOUNT],
+    ['InvalidQuestType(uint8 questType)', ErrorCode.INVALID_QUEST_TYPE],
+    ['InvalidBoosterTier(uint8 tier)', ErrorCode.INVALID_BOOSTER_TIER],
+    ['ArrayLengthMismatch(uint256 expected, uint256 actual)', ErrorCode.ARRAY_LENGTH_MISMATCH],
+    ['ValueOutOfRange(uint256 value, uint256 min, uint256 max)', ErrorCode.VALUE_OUT_OF_RANGE],
+    ['QuestAlreadyCompleted(address user, uint8 questType)', ErrorCode.QUEST_ALREADY_COMPLETED],
+    ['QuestOnCooldown(address user, uint8 questType, uint256 availableAt)', ErrorCode.QUEST_ON_COOLDOWN],
+    ['QuestRequirementsNotMet(uint8 questType)', ErrorCode.QUEST_REQUIREMENTS_NOT_MET],
+    ['AllQuestsNotCompleted()', ErrorCode.ALL_QUESTS_NOT_COMPLETED],
+    ['MaxSupplyExceeded(uint256 requested, uint256 available)', ErrorCode.MAX_SUPPLY_EXCEEDED],
+    ['InsufficientBalance(uint256 required, uint256 available)', ErrorCode.INSUFFICIENT_BALANCE],
+    ['TransferFailed()', ErrorCode.TRANSFER_FAILED],
+    ['NoRewardsToClaim()', ErrorCode.NO_REWARDS_TO_CLAIM],
+    ['ClaimCooldownActive(uint256 availableAt)', ErrorCode.CLAIM_COOLDOWN_ACTIVE],
+    ['RewardCalculationOverflow()', ErrorCode.REWARD_CALCULATION_OVERFLOW],
+    ['BoosterAlreadyActive(uint8 currentTier, uint256 expiresAt)', ErrorCode.BOOSTER_ALREADY_ACTIVE],
+    ['BoosterExpired(uint256 expiredAt)', ErrorCode.BOOSTER_EXPIRED],
+    ['CannotDowngradeBooster(uint8 currentTier, uint8 requestedTier)', ErrorCode.CANNOT_DOWNGRADE_BOOSTER],
+    ['ReferrerAlreadySet()', ErrorCode.REFERRER_ALREADY_SET],
+    ['CannotReferSelf()', ErrorCode.CANNOT_REFER_SELF],
+    ['ReferralCycleDetected()', ErrorCode.REFERRAL_CYCLE_DETECTED],
+    ['ContractPaused()', ErrorCode.CONTRACT_PAUSED],
+    ['ContractNotPaused()', ErrorCode.CONTRACT_NOT_PAUSED],
+    ['InvalidConfiguration(string reason)', ErrorCode.INVALID_CONFIGURATION],
+    ['ExternalCallFailed()', ErrorCode.EXTERNAL_CALL_FAILED],
+    ['ReentrancyDetected()', ErrorCode.REENTRANCY_DETECTED],
+    ['EnforcedPause()', ErrorCode.CONTRACT_PAUSED],
+    ['ExpectedPause()', ErrorCode.CONTRACT_NOT_PAUSED],
+    ['OwnableUnauthorizedAccount(address account)', ErrorCode.NOT_OWNER],
+    ['OwnableInvalidOwner(address owner)', ErrorCode.ZERO_ADDRESS],
+    ['ReentrancyGuardReentrantCall()', ErrorCode.REENTRANCY_DETECTED],
+    ['ERC20InsufficientBalance(address sender, uint256 available, uint256 required)', ErrorCode.INSUFFICIENT_BALANCE]
+];
+
+// require() strings in the contracts, plus OpenZeppelin v4's
+const REVERT_STRINGS = {
+    'QuestHub: unauthorized': ErrorCode.UNAUTHORIZED,
+    'QuestVault: unauthorized': ErrorCode.UNAUTHORIZED,
+    'QuestVault: no rewards to claim': ErrorCode.NO_REWARDS_TO_CLAIM,
+    'QuestVault: insufficient token supply': ErrorCode.MAX_SUPPLY_EXCEEDED,
+    'QuestToken: not a minter': ErrorCode.NOT_MINTER,
+    'QuestToken: zero address': ErrorCode.ZERO_ADDRESS,
+    'QuestToken: max supply exceeded': ErrorCode.MAX_SUPPLY_EXCEEDED,
+    'QuestBooster: referrer already set': ErrorCode.REFERRER_ALREADY_SET,
+    'QuestBooster: cannot refer self': ErrorCode.CANNOT_REFER_SELF,
+    'QuestBooster: invalid referrer': ErrorCode.ZERO_ADDRESS,
+    'QuestBooster: length mismatch': ErrorCode.ARRAY_LENGTH_MISMATCH,
+    'QuestAchievements: unauthorized': ErrorCode.UNAUTHORIZED,
+    'QuestAchievements: zero address': ErrorCode.ZERO_ADDRESS,
+    'Pausable: paused': ErrorCode.CONTRACT_PAUSED,
+    'Pausable: not paused': ErrorCode.CONTRACT_NOT_PAUSED,
+    'Ownable: caller is not the owner': ErrorCode.NOT_OWNER,
+    'ReentrancyGuard: reentrant call': ErrorCode.REENTRANCY_DETECTED
+};
+
+// Panic(uint256) codes (Solidity docs, "Panic via assert and Error via require")
+const PANIC_REASONS = {
+    0x00: 'generic panic',
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to invalid function'
+};
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Codes whose errors never hold revert data
+const NOT_REVERTS = [ErrorCode.USER_REJECTED, ErrorCode.TRANSACTION_REPLACED, ErrorCode.TRANSACTION_CANCELLED];
+
+// Thrown by the app with a message written for users
+const APP_ERRORS = ['GuardError', 'RelayerError', 'QueueError'];
+
+const RETRYABLE_NETWORK_CODES = [
+    'NETWORK_ERROR', 'SERVER_ERROR', 'ECONNRESET', 'ECONNREFUSED', 'ENETUNREACH', 'EAI_AGAIN'
+];
+const RETRYABLE_STATUS_CODES = [408, 500, 502, 503, 504];
+
+let customErrorInterface = null;
+
+/**
+ * Interface holding every known custom error (built on first use, so the
+ * ethers global only has to be there by then)
+ * @returns {ethers.Interface}
+ */
+function customErrors() {
+    if (!customErrorInterface) {
+        customErrorInterface = new ethers.Interface(CUSTOM_ERRORS.map(([signature]) => `error ${signature}`));
+    }
+    return customErrorInterface;
+}
+
+/**
+ * Find revert data anywhere in an error: ethers puts it on the error, wallets
+ * nest it in the JSON-RPC error they wrap
+ * @param {*} error
+ * @returns {string|null} 0x-prefixed revert data
+ */
+function findRevertData(error) {
+    const queue = [error];
+    const seen = new Set();
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object' || seen.has(current)) continue;
+        seen.add(current);
+
+        const { data } = current;
+        if (typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data) && (data.length - 10) % 64 === 0) {
+            return data;
+        }
+        queue.push(data, current.error, current.info, current.cause, current.payload);
+    }
+    return null;
+}
+
+/**
+ * Decode revert data
+ * @param {string} data - 0x-prefixed revert data
+ * @returns {Object|null} { code, name, args, reason }; null for unknown data
+ */
+function decodeRevertData(data) {
+    if (typeof data !== 'string' || data.length < 10) return null;
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [reason] = coder.decode(['string'], `0x${data.slice(10)}`);
+            return { code: REVERT_STRINGS[reason] || ErrorCode.REVERTED, name: 'Error', args: { reason }, reason };
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            const [panic] = coder.decode(['uint256'], `0x${data.slice(10)}`);
+            const hex = `0x${panic.toString(16).padStart(2, '0')}`;
+            const reason = `Panic(${hex}): ${PANIC_REASONS[Number(panic)] || 'unknown panic'}`;
+            return { code: ErrorCode.PANIC, name: 'Panic', args: { panic: Number(panic) }, reason };
+        }
+
+        const parsed = customErrors().parseError(data);
+        if (parsed) {
+            const args = {};
+            parsed.fragment.inputs.forEach((input, index) => {
+                args[input.name] = parsed.args[index];
+            });
+            const [, code] = CUSTOM_ERRORS.find(([signature]) => signature.startsWith(`${parsed.name}(`));
+            const reason = parsed.args.length > 0 ? `${parsed.name}(${parsed.args.join(', ')})` : parsed.name;
+            return { code, name: parsed.name, args, reason };
+        }
+    } catch (error) {
+        // Malformed data, or a selector none of our contracts use
+    }
+    return null;
+}
+
+/**
+ * Decoded revert of an error, from its revert data or the reason ethers
+ * already decoded
+ * @param {*} error
+ * @returns {Object|null} As decodeRevertData
+ */
+function decodeRevert(error) {
+    const data = findRevertData(error);
+    const decoded = data ? decodeRevertData(data) : null;
+    if (decoded) return decoded;
+
+    const reason = error?.reason;
+    if (typeof reason === 'string' && reason) {
+        return { code: REVERT_STRINGS[reason] || ErrorCode.REVERTED, name: 'Error', args: { reason }, reason };
+    }
+
+    // A custom error ethers decoded with the contract's own ABI
+    const revert = error?.revert;
+    if (revert?.name) {
+        return { code: ErrorCode.REVERTED, name: revert.name, args: {}, reason: `${revert.name}(${revert.args.join(', ')})` };
+    }
+    return null;
+}
+
+/**
+ * Error code for something that didn't revert
+ * @param {*} error
+ * @returns {string} ErrorCode
+ */
+function classifyNonRevert(error) {
+    const code = error?.code;
+    const status = error?.status ?? error?.response?.status;
+    const message = String(error?.shortMessage || error?.message || '').toLowerCase();
+
+    if (code === 4001 || code === 'ACTION_REJECTED') return ErrorCode.USER_REJECTED;
+    if (code === 'TRANSACTION_REPLACED') {
+        return error.reason === 'cancelled' ? ErrorCode.TRANSACTION_CANCELLED : ErrorCode.TRANSACTION_REPLACED;
+    }
+    if (code === 'INSUFFICIENT_FUNDS' || message.includes('insufficient funds')) return ErrorCode.INSUFFICIENT_FUNDS;
+    if (code === 'NONCE_EXPIRED' || message.includes('nonce too low')) return ErrorCode.NONCE_EXPIRED;
+    if (code === 'REPLACEMENT_UNDERPRICED' || message.includes('replacement transaction underpriced')) {
+        return ErrorCode.REPLACEMENT_UNDERPRICED;
+    }
+    if (message.includes('gas required exceeds allowance') || message.includes('intrinsic gas too low')
+        || message.includes('out of gas')) {
+        return ErrorCode.GAS_LIMIT_TOO_LOW;
+    }
+    if (code === 'CALL_EXCEPTION' || code === 'UNPREDICTABLE_GAS_LIMIT' || code === -32000 && message.includes('revert')
+        || message.includes('execution reverted') || message.includes('transaction reverted')) {
+        return ErrorCode.REVERTED;
+    }
+    if (status === 429 || code === 'RATE_LIMIT' || code === -32005
+        || message.includes('rate limit') || message.includes('too many requests')) {
+        return ErrorCode.RATE_LIMITED;
+    }
+    if (code === 'TIMEOUT' || code === 'ETIMEDOUT' || message.includes('timeout') || message.includes('timed out')) {
+        return ErrorCode.TIMEOUT;
+    }
+    if (RETRYABLE_NETWORK_CODES.includes(code) || RETRYABLE_STATUS_CODES.includes(status)
+        || ['network', 'failed to fetch', 'service unavailable', 'bad gateway'].some(text => message.includes(text))) {
+        return ErrorCode.NETWORK_ERROR;
+    }
+    return ErrorCode.UNKNOWN;
+}
+
+/**
+ * Fill a message template; timestamps (…At) read as local date-times
+ */
+function formatMessage(messageKey, params) {
+    return ERROR_MESSAGES[messageKey].replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        if (name.endsWith('At')) return new Date(Number(value) * 1000).toLocaleString();
+        return String(value);
+    });
+}
+
+/**
+ * Classify any error
+ * @param {*} error
+ * @returns {Object} { code, retryable, messageKey, message, reason, appCode }
+ */
+function classifyError(error) {
+    // Already written for users; keep their code and retry hint
+    if (error && APP_ERRORS.includes(error.name)) {
+        return {
+            code: ErrorCode.APP,
+            appCode: error.code ?? null,
+            retryable: Boolean(error.retryable),
+            messageKey: 'app.message',
+            message: error.message,
+            reason: null
+        };
+    }
+
+    // Rejections and replacements carry a `reason` that isn't a revert's
+    const base = classifyNonRevert(error);
+    const revert = NOT_REVERTS.includes(base) ? null : decodeRevert(error);
+    const code = revert ? revert.code : base;
+    const [retryable, defaultKey] = ERROR_INFO[code];
+    const reason = revert ? revert.reason : null;
+
+    // A revert we have no text for shows its reason, if it has one
+    const messageKey = code === ErrorCode.REVERTED && !reason ? 'contract.revertedNoReason' : defaultKey;
+
+    return {
+        code,
+        appCode: null,
+        retryable,
+        messageKey,
+        // Nothing matched: ethers' short message beats a generic one
+        message: code === ErrorCode.UNKNOWN && error?.shortMessage
+            ? error.shortMessage
+            : formatMessage(messageKey, { reason, ...revert?.args }),
+        reason
+    };
+}
+
+/**
+ * Text to show for an error
+ * @param {*} error
+ * @returns {string}
+ */
+function getErrorMessage(error) {
+    return classifyError(error).message;
+}
+
+/**
+ * Whether trying again may succeed
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    return classifyError(error).retryable;
+}
+
+export {
+    ErrorCode,
+    ERROR_MESSAGES,
+    classifyError,
+    getErrorMessage,
+    isRetryable,
+    decodeRevert,
+    decodeRevertData
+};
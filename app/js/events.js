@@ -17,11 +17,23 @@ const QuestEvents = (function() {
     WALLET_CHAIN_CHANGED: 'wallet:chainChanged',
     WALLET_ACCOUNT_CHANGED: 'wallet:accountChanged',
 
+    // Sign-In With Ethereum sessions
+    SESSION_STARTED: 'session:started',
+    SESSION_ENDED: 'session:ended',
+
     // Quest events
     QUEST_STARTED: 'quest:started',
     QUEST_COMPLETED: 'quest:completed',
     QUEST_FAILED: 'quest:failed',
 
+    // Daily quest run events
+    QUEST_RUN_STARTED: 'questRun:started',
+    QUEST_RUN_STEP: 'questRun:step',
+    QUEST_RUN_COMPLETED: 'questRun:completed',
+    QUEST_RUN_FAILED: 'questRun:failed',
+    BONUS_WINDOW_CLOSING: 'questRun:bonusWindowClosing',
+    BONUS_WINDOW_CLOSED: 'questRun:bonusWindowClosed',
+
     // Reward events
     REWARD_EARNED: 'reward:earned',
     REWARD_CLAIMED: 'reward:claimed',
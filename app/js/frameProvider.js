@@ -0,0 +1,229 @@
+/**
+ * Quest Mini App - Frame Provider
+ * EIP-1193 provider that forwards to the Farcaster host over postMessage
+ *
+ * Inside a frame there is no injected wallet; the host client owns it. The
+ * app posts `frame:ready`, and a host on an allowed origin answers with
+ * `frame:connect`. From then on every message goes to that origin only:
+ *
+ *   app  -> host  { type: 'frame:rpc:request', id, method, params }
+ *   host -> app   { type: 'frame:rpc:response', id, result } | { ..., error: { code, message, data } }
+ *   host -> app   { type: 'frame:event', event, data }   (accountsChanged, chainChanged, ...)
+ *
+ * Once connected the provider is announced over EIP-6963, so WalletManager
+ * lists it next to any extension wallets.
+ */
+
+import { FRAME } from './constants.js';
+
+const FRAME_INFO = Object.freeze({
+    uuid: 'a8f1c1de-5b0e-4d6b-9f3a-2c7e4f1b6d90',
+    name: 'Farcaster Wallet',
+    rdns: 'xyz.farcaster.frame',
+    icon: 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 32 32%22%3E%3Crect width=%2232%22 height=%2232%22 rx=%228%22 fill=%22%23855DCD%22/%3E%3Cpath d=%22M9 8h14v16h-3v-7a4 4 0 0 0-8 0v7H9z%22 fill=%22white%22/%3E%3C/svg%3E'
+});
+
+// Requests that wait on the user in the host's wallet UI
+const INTERACTIVE_METHODS = [
+    'eth_requestAccounts',
+    'eth_sendTransaction',
+    'personal_sign',
+    'eth_signTypedData_v4',
+    'wallet_switchEthereumChain',
+    'wallet_addEthereumChain',
+    'wallet_requestPermissions',
+    'wallet_sendCalls'
+];
+
+/**
+ * Error shaped like an EIP-1193 ProviderRpcError
+ */
+class FrameProviderError extends Error {
+    constructor(message, code, data) {
+        super(message);
+        this.name = 'FrameProviderError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Frame Provider Class
+ */
+class FrameProvider {
+    constructor() {
+        this.hostOrigin = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.listeners = new Map();
+        this.onHostConnected = null;
+        this.handleMessage = this.handleMessage.bind(this);
+        this.announce = this.announce.bind(this);
+    }
+
+    /**
+     * Whether the app runs inside another page
+     * @returns {boolean}
+     */
+    isEmbedded() {
+        return window.parent !== window;
+    }
+
+    /**
+     * Origins allowed to act as the host. The app's own origin is allowed on
+     * localhost so the mock host page (app/dev/frame-host.html) works.
+     * @returns {string[]}
+     */
+    getAllowedOrigins() {
+        const local = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+        return local ? [...FRAME.HOST_ORIGINS, window.location.origin] : FRAME.HOST_ORIGINS;
+    }
+
+    /**
+     * Handshake with the host
+     * @returns {Promise<boolean>} Whether a host answered in time
+     */
+    connect() {
+        if (!this.isEmbedded()) return Promise.resolve(false);
+        if (this.hostOrigin) return Promise.resolve(true);
+
+        window.addEventListener('message', this.handleMessage);
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.onHostConnected = null;
+                resolve(false);
+            }, FRAME.HANDSHAKE_TIMEOUT);
+
+            this.onHostConnected = () => {
+                clearTimeout(timer);
+                this.onHostConnected = null;
+                resolve(true);
+            };
+
+            // Nothing sensitive yet, and the host origin is unknown until it answers
+            window.parent.postMessage({ type: 'frame:ready' }, '*');
+        });
+    }
+
+    /**
+     * Tell WalletManager (and anyone else listening) about this provider
+     */
+    announce() {
+        window.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+            detail: Object.freeze({ info: FRAME_INFO, provider: this })
+        }));
+    }
+
+    /**
+     * EIP-1193 request
+     * @param {Object} args - { method, params }
+     * @returns {Promise<*>}
+     */
+    request({ method, params = [] }) {
+        if (!this.hostOrigin) {
+            return Promise.reject(new FrameProviderError('Frame host not connected', 4900));
+        }
+
+        const id = this.nextId++;
+        const timeout = INTERACTIVE_METHODS.includes(method)
+            ? FRAME.INTERACTIVE_TIMEOUT
+            : FRAME.REQUEST_TIMEOUT;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new FrameProviderError(`Frame host did not answer ${method}`, 4900));
+            }, timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            window.parent.postMessage({ type: 'frame:rpc:request', id, method, params }, this.hostOrigin);
+        });
+    }
+
+    /**
+     * Handle a message from the host
+     * @param {MessageEvent} event
+     */
+    handleMessage(event) {
+        if (event.source !== window.parent) return;
+
+        const { data } = event;
+        if (!data || typeof data.type !== 'string') return;
+
+        if (!this.hostOrigin) {
+            if (data.type !== 'frame:connect') return;
+            if (!this.getAllowedOrigins().includes(event.origin)) {
+                console.warn('[FrameProvider] Ignoring host on', event.origin);
+                return;
+            }
+
+            this.hostOrigin = event.origin;
+            window.addEventListener('eip6963:requestProvider', this.announce);
+            this.announce();
+            if (this.onHostConnected) this.onHostConnected();
+            return;
+        }
+
+        if (event.origin !== this.hostOrigin) return;
+
+        switch (data.type) {
+            case 'frame:rpc:response':
+                this.settle(data);
+                break;
+            case 'frame:event':
+                this.emit(data.event, data.data);
+                break;
+        }
+    }
+
+    /**
+     * Resolve or reject the request a response belongs to
+     * @param {Object} response - { id, result, error }
+     */
+    settle({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.pending.delete(id);
+
+        if (error) {
+            request.reject(new FrameProviderError(error.message || 'Frame host error', error.code, error.data));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    // ==================== EIP-1193 Events ====================
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        return this;
+    }
+
+    removeListener(event, callback) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(callback);
+        }
+        return this;
+    }
+
+    emit(event, data) {
+        if (!this.listeners.has(event)) return;
+        this.listeners.get(event).forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[FrameProvider] ${event} listener error:`, error);
+            }
+        });
+    }
+}
+
+// Export singleton instance
+export const frameProvider = new FrameProvider();
+export { FrameProvider, FrameProviderError, FRAME_INFO };
@@ -1,9 +1,23 @@
 /**
  * Quest Mini - Gas Estimation Utility
  * Provides gas estimation and optimization for transactions
+ *
+ * Tier fees come from eth_feeHistory. A tier's maxPriorityFeePerGas is the
+ * median, over recent blocks, of the tips paid at its percentile, and its
+ * maxFeePerGas leaves room for the base fee to double. On OP Stack networks
+ * (Base) a transaction also pays an L1 data fee for its calldata, which the
+ * GasPriceOracle predeploy quotes with getL1Fee. A tier's cost is what the
+ * user is expected to pay:
+ *   gas used × (next block's base fee + priority fee) + L1 data fee
+ * and maxCostWei is the most it can cost (gas limit × maxFeePerGas + L1 data
+ * fee). The review screen lists each tier's costs, and the send uses the fees
+ * of the tier picked there.
  */
 
-import { CHAIN_ID } from './constants.js';
+import { CHAIN_ID, NETWORKS, GAS_PRICE_ORACLE_ADDRESS } from './constants.js';
+import { contracts } from './contracts.js';
+import { gasLimits } from './gasLimits.js';
+import { classifyError, ErrorCode } from './errors.js';
 
 /**
  * Gas price tiers
@@ -15,6 +29,39 @@ const GasTier = {
     INSTANT: 'instant'
 };
 
+// Tip percentile per tier, asked of eth_feeHistory in this order
+const TIER_PERCENTILES = {
+    [GasTier.SLOW]: 10,
+    [GasTier.STANDARD]: 50,
+    [GasTier.FAST]: 75,
+    [GasTier.INSTANT]: 95
+};
+
+const FEE_HISTORY_BLOCKS = 20;
+const BASE_FEE_HEADROOM = 2n; // maxFeePerGas covers the base fee doubling
+
+// Fallback when the provider can't be asked (wei; 0.001-0.02 gwei in total)
+const DEFAULT_BASE_FEE = 1_000_000n;
+const DEFAULT_PRIORITY_FEES = {
+    [GasTier.SLOW]: 0n,
+    [GasTier.STANDARD]: 4_000_000n,
+    [GasTier.FAST]: 9_000_000n,
+    [GasTier.INSTANT]: 19_000_000n
+};
+
+const GAS_PRICE_ORACLE_ABI = ['function getL1Fee(bytes _data) view returns (uint256)'];
+
+/**
+ * Median of a list of wei amounts (0 for none)
+ * @param {Array<BigInt>} values
+ * @returns {BigInt}
+ */
+function median(values) {
+    if (values.length === 0) return 0n;
+    const sorted = [...values].sort((a, b) => Number(a > b) - Number(a < b));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
 /**
  * Gas Estimator Class
  */
@@ -28,37 +75,43 @@ class GasEstimator {
 
     /**
      * Get current gas prices
-     * @returns {Promise<Object>} Gas prices by tier
+     * @param {ethers.Provider} [provider] - Defaults to the connected one
+     * @returns {Promise<Object>} Fees by tier ({ maxFeePerGas, maxPriorityFeePerGas,
+     *          gasPrice } in wei, gasPrice being the expected price paid), plus
+     *          baseFee (wei) and base (gwei) for the next block
      */
-    async getGasPrices() {
-        const cacheKey = 'gasPrices';
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
+    async getGasPrices(provider = contracts.provider) {
+        if (!provider) return this.getDefaultPrices();
 
         try {
-            // Try to get from provider
-            if (window.ethereum) {
-                const gasPriceHex = await window.ethereum.request({
-                    method: 'eth_gasPrice'
-                });
-                const baseGasPrice = BigInt(gasPriceHex);
-
-                const prices = {
-                    [GasTier.SLOW]: this.formatGwei(baseGasPrice * 80n / 100n),
-                    [GasTier.STANDARD]: this.formatGwei(baseGasPrice),
-                    [GasTier.FAST]: this.formatGwei(baseGasPrice * 120n / 100n),
-                    [GasTier.INSTANT]: this.formatGwei(baseGasPrice * 150n / 100n),
-                    base: this.formatGwei(baseGasPrice),
-                    timestamp: Date.now()
-                };
-
-                this.setCache(cacheKey, prices);
-                this.recordGasPrice(prices.base);
-                return prices;
-            }
-
-            // Fallback default prices for Base chain
-            return this.getDefaultPrices();
+            const { chainId } = await provider.getNetwork();
+            const cacheKey = `gasPrices:${chainId}`;
+            const cached = this.getFromCache(cacheKey);
+            if (cached) return cached;
+
+            const history = await provider.send('eth_feeHistory', [
+                ethers.toQuantity(FEE_HISTORY_BLOCKS),
+                'latest',
+                Object.values(TIER_PERCENTILES)
+            ]);
+
+            // baseFeePerGas has one more entry than the blocks: the next block's
+            const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            // Empty blocks report zero tips, so they are left out
+            const rewards = (history.reward || []).filter((_, block) => history.gasUsedRatio[block] > 0);
+
+            const prices = {
+                baseFee,
+                base: this.formatGwei(baseFee),
+                timestamp: Date.now()
+            };
+            Object.keys(TIER_PERCENTILES).forEach((tier, index) => {
+                prices[tier] = this.tierFees(baseFee, median(rewards.map(tips => BigInt(tips[index]))));
+            });
+
+            this.setCache(cacheKey, prices);
+            this.recordGasPrice(prices.base);
+            return prices;
         } catch (error) {
             console.error('[GasEstimator] Failed to get gas prices:', error);
             return this.getDefaultPrices();
@@ -69,21 +122,54 @@ class GasEstimator {
      * Get default gas prices (fallback)
      */
     getDefaultPrices() {
-        return {
-            [GasTier.SLOW]: 0.001,
-            [GasTier.STANDARD]: 0.005,
-            [GasTier.FAST]: 0.01,
-            [GasTier.INSTANT]: 0.02,
-            base: 0.005,
+        const prices = {
+            baseFee: DEFAULT_BASE_FEE,
+            base: this.formatGwei(DEFAULT_BASE_FEE),
             timestamp: Date.now(),
             isDefault: true
         };
+        for (const tier of Object.values(GasTier)) {
+            prices[tier] = this.tierFees(DEFAULT_BASE_FEE, DEFAULT_PRIORITY_FEES[tier]);
+        }
+        return prices;
+    }
+
+    /**
+     * EIP-1559 fees for a tier
+     * @param {BigInt} baseFee - Next block's base fee
+     * @param {BigInt} priorityFee - Tip
+     * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas, gasPrice } in wei
+     */
+    tierFees(baseFee, priorityFee) {
+        return {
+            maxFeePerGas: baseFee * BASE_FEE_HEADROOM + priorityFee,
+            maxPriorityFeePerGas: priorityFee,
+            gasPrice: baseFee + priorityFee
+        };
+    }
+
+    /**
+     * L1 data fee for a transaction (0 off the OP Stack)
+     * @param {ethers.Provider} provider
+     * @param {Object} tx - Unsigned EIP-1559 fields: to, nonce, data, value, gasLimit,
+     *        maxFeePerGas, maxPriorityFeePerGas
+     * @returns {Promise<BigInt>} Fee in wei
+     */
+    async getL1Fee(provider, tx) {
+        const chainId = Number((await provider.getNetwork()).chainId);
+        if (!NETWORKS[chainId]?.opStack) return 0n;
+
+        const oracle = new ethers.Contract(GAS_PRICE_ORACLE_ADDRESS, GAS_PRICE_ORACLE_ABI, provider);
+        const unsigned = ethers.Transaction.from({ type: 2, chainId, ...tx }).unsignedSerialized;
+        return oracle.getL1Fee(unsigned);
     }
 
     /**
      * Estimate gas for a contract call
      * @param {Object} options - Estimation options
-     * @returns {Promise<Object>} Gas estimation
+     * @returns {Promise<Object>} Gas estimation: gasUsed (the estimate), gasLimit
+     *          (with GAS_LIMIT_MARGIN) and costs by tier; l1Fee is null when the
+     *          oracle couldn't be read, and the costs then leave it out
      */
     async estimateGas(options) {
         const {
@@ -95,31 +181,15 @@ class GasEstimator {
         } = options;
 
         try {
-            // Get gas estimate from contract
-            const gasLimit = await contract[method].estimateGas(...args, {
-                value,
-                from
-            });
-
-            // Get current gas prices
-            const prices = await this.getGasPrices();
-
-            // Calculate costs for each tier
-            const costs = {};
-            for (const tier of Object.values(GasTier)) {
-                const gasPrice = this.gweiToWei(prices[tier]);
-                costs[tier] = {
-                    gasLimit: gasLimit.toString(),
-                    gasPrice: prices[tier],
-                    gasPriceWei: gasPrice.toString(),
-                    totalCost: this.formatEth(gasLimit * gasPrice),
-                    totalCostWei: (gasLimit * gasPrice).toString()
-                };
-            }
+            const gasUsed = await contract[method].estimateGas(...args, { value, from });
+            const gasLimit = gasLimits.withMargin(gasUsed);
+            const { l1Fee, costs } = await this.getTierCosts({ ...options, gasUsed, gasLimit });
 
             return {
                 success: true,
+                gasUsed: gasUsed.toString(),
                 gasLimit: gasLimit.toString(),
+                l1Fee,
                 costs,
                 recommended: costs[GasTier.STANDARD],
                 timestamp: Date.now()
@@ -135,34 +205,96 @@ class GasEstimator {
     }
 
     /**
-     * Get optimal gas price based on urgency
+     * Cost of a call at each tier
+     * @param {Object} options - { contract, method, args, value, from, gasUsed, gasLimit }:
+     *        gasUsed is what the call is expected to use (its eth_estimateGas
+     *        result), gasLimit what it is sent with
+     * @returns {Promise<Object>} { l1Fee, costs, isDefault } - l1Fee in wei, null
+     *          when the oracle couldn't be read; costs by tier (see tierCost);
+     *          isDefault when the fees are the fallback prices, not the network's
+     */
+    async getTierCosts({ contract, method, args = [], value = 0, from, gasUsed, gasLimit = gasUsed }) {
+        const provider = contract.runner?.provider ?? contracts.provider;
+
+        const [prices, nonce] = await Promise.all([
+            this.getGasPrices(provider),
+            from ? provider.getTransactionCount(from, 'pending') : 0
+        ]);
+
+        // The L1 fee barely depends on the tier, so it is quoted once
+        const standard = prices[GasTier.STANDARD];
+        let l1Fee = null;
+        try {
+            l1Fee = await this.getL1Fee(provider, {
+                to: contract.target,
+                nonce,
+                data: contract.interface.encodeFunctionData(method, args),
+                value,
+                gasLimit,
+                maxFeePerGas: standard.maxFeePerGas,
+                maxPriorityFeePerGas: standard.maxPriorityFeePerGas
+            });
+        } catch (error) {
+            console.warn('[GasEstimator] L1 fee unavailable:', error);
+        }
+
+        const costs = {};
+        for (const tier of Object.values(GasTier)) {
+            costs[tier] = this.tierCost(gasUsed, prices[tier], l1Fee, gasLimit);
+        }
+        return { l1Fee: l1Fee === null ? null : l1Fee.toString(), costs, isDefault: Boolean(prices.isDefault) };
+    }
+
+    /**
+     * Cost breakdown for one tier
+     * @param {BigInt|string} gasUsed - Gas the transaction is expected to use
+     * @param {Object} fees - From tierFees
+     * @param {BigInt|null} l1Fee - L1 data fee in wei
+     * @param {BigInt|string} [gasLimit] - Gas limit it is sent with, for the
+     *        most it can cost; gasUsed by default
+     * @returns {Object} Fees and costs, in wei unless noted
+     */
+    tierCost(gasUsed, fees, l1Fee, gasLimit = gasUsed) {
+        const gas = BigInt(gasUsed);
+        const l1 = l1Fee ?? 0n;
+        const totalCost = gas * fees.gasPrice + l1;
+
+        return {
+            gasUsed: gas.toString(),
+            gasLimit: BigInt(gasLimit).toString(),
+            maxFeePerGas: fees.maxFeePerGas.toString(),
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+            gasPrice: this.formatGwei(fees.gasPrice), // gwei
+            gasPriceWei: fees.gasPrice.toString(),
+            l1Fee: l1.toString(),
+            totalCost: this.formatEth(totalCost), // ETH
+            totalCostWei: totalCost.toString(),
+            maxCostWei: (BigInt(gasLimit) * fees.maxFeePerGas + l1).toString()
+        };
+    }
+
+    /**
+     * Get fee overrides for a tier
      * @param {string} tier - Gas tier
-     * @returns {Promise<BigInt>} Gas price in wei
+     * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } in wei
      */
     async getOptimalGasPrice(tier = GasTier.STANDARD) {
         const prices = await this.getGasPrices();
-        return this.gweiToWei(prices[tier]);
+        const { maxFeePerGas, maxPriorityFeePerGas } = prices[tier];
+        return { maxFeePerGas, maxPriorityFeePerGas };
     }
 
     /**
      * Calculate transaction cost
-     * @param {BigInt} gasLimit - Gas limit
+     * @param {BigInt} gasUsed - Gas the transaction is expected to use
      * @param {string} tier - Gas tier
+     * @param {BigInt} [l1Fee] - L1 data fee (see getL1Fee)
+     * @param {BigInt} [gasLimit] - Gas limit, for the most it can cost
      * @returns {Promise<Object>} Cost breakdown
      */
-    async calculateCost(gasLimit, tier = GasTier.STANDARD) {
+    async calculateCost(gasUsed, tier = GasTier.STANDARD, l1Fee = 0n, gasLimit = gasUsed) {
         const prices = await this.getGasPrices();
-        const gasPrice = this.gweiToWei(prices[tier]);
-        const totalCost = BigInt(gasLimit) * gasPrice;
-
-        return {
-            gasLimit: gasLimit.toString(),
-            gasPrice: prices[tier],
-            gasPriceWei: gasPrice.toString(),
-            totalCostEth: this.formatEth(totalCost),
-            totalCostWei: totalCost.toString(),
-            tier
-        };
+        return { ...this.tierCost(gasUsed, prices[tier], l1Fee, gasLimit), tier };
     }
 
     /**
@@ -232,18 +364,8 @@ class GasEstimator {
      * @returns {string} User-friendly message
      */
     parseEstimationError(error) {
-        const message = error.message || error.toString();
-
-        if (message.includes('insufficient funds')) {
-            return 'Insufficient funds for gas';
-        }
-        if (message.includes('execution reverted')) {
-            return 'Transaction would fail';
-        }
-        if (message.includes('gas required exceeds allowance')) {
-            return 'Gas limit too low';
-        }
-        return 'Failed to estimate gas';
+        const { code, message } = classifyError(error);
+        return code === ErrorCode.UNKNOWN ? 'Failed to estimate gas' : message;
     }
 
     /**
@@ -267,10 +389,10 @@ class GasEstimator {
     /**
      * Format eth value
      * @param {BigInt} wei - Value in wei
-     * @returns {string} Formatted ETH value
+     * @returns {string} Formatted ETH value (exact: L2 costs are often below 1e-6)
      */
     formatEth(wei) {
-        return (Number(wei) / 1e18).toFixed(6);
+        return ethers.formatEther(wei);
     }
 
     /**
@@ -0,0 +1,72 @@
+/**
+ * Quest Mini - Gas Limits
+ * Gas limit per contract method
+ *
+ * Sends without a gas limit override (an advanced setting) get their
+ * eth_estimateGas result plus GAS_LIMIT_MARGIN, set by the gas guard. Mined
+ * transactions' gasUsed is kept per chain, contract and method, so when the
+ * estimate fails the limit is the most the method used recently, plus the
+ * margin. DEFAULT_GAS_LIMIT is only for a method never sent from here.
+ */
+
+import { DEFAULT_GAS_LIMIT, GAS_LIMIT_MARGIN, GAS_LIMIT_RANGE } from './constants.js';
+
+/**
+ * Gas Limits Class
+ */
+class GasLimits {
+    /**
+     * Gas limit for a call
+     * @param {Object} call - { chainId, contract (address), method }
+     * @param {BigInt|null} estimate - eth_estimateGas result, null when it failed
+     * @returns {BigInt}
+     */
+    limitFor({ chainId, contract, method }, estimate) {
+        if (estimate !== null) return this.withMargin(estimate);
+
+        const used = this.mostUsed(chainId, contract, method);
+        return used === null ? BigInt(DEFAULT_GAS_LIMIT) : this.withMargin(used);
+    }
+
+    /**
+     * Most gas the method used in its recent mined transactions
+     * @param {number} chainId
+     * @param {string} contract - Address
+     * @param {string} method
+     * @returns {BigInt|null} null when there are none
+     */
+    mostUsed(chainId, contract, method) {
+        if (!chainId || !contract) return null;
+
+        const samples = QuestStorage.gasUsed.get(chainId, contract, method);
+        if (samples.length === 0) return null;
+        return BigInt(Math.max(...samples));
+    }
+
+    /**
+     * Keep a confirmed transaction's gasUsed. Relayed ones are left out: the
+     * relayer's transaction goes through the forwarder, so its gas isn't the
+     * method's.
+     * @param {Object} txRecord - txManager record
+     */
+    record(txRecord) {
+        const { relayed, gasUsed, chainId, contract, method } = txRecord;
+        if (relayed || !gasUsed || !chainId || !contract) return;
+
+        QuestStorage.gasUsed.add(chainId, contract, method, Number(gasUsed));
+    }
+
+    /**
+     * @param {BigInt|number} gas
+     * @returns {BigInt} gas plus GAS_LIMIT_MARGIN percent, at most GAS_LIMIT_RANGE.MAX
+     */
+    withMargin(gas) {
+        const limit = BigInt(gas) * BigInt(100 + GAS_LIMIT_MARGIN) / 100n;
+        const max = BigInt(GAS_LIMIT_RANGE.MAX);
+        return limit > max ? max : limit;
+    }
+}
+
+// Export singleton instance
+export const gasLimits = new GasLimits();
+export { GasLimits };
@@ -0,0 +1,307 @@
+/**
+ * Quest Mini App - Activity History
+ * A user's quest and reward timeline rebuilt from hub and vault logs
+ *
+ * Logs are read in block ranges the RPC accepts, halving the range when it
+ * refuses one. Decoded entries are cached per chain, deployment and address
+ * together with the last scanned block, so a later visit only scans blocks added since.
+ */
+
+import { DAILY_QUESTS, HISTORY } from './constants.js';
+import { contracts } from './contracts.js';
+
+/**
+ * Activity entry types
+ */
+const ActivityType = {
+    QUEST: 'quest',
+    ALL_QUESTS: 'all_quests',
+    REWARD: 'reward',
+    CLAIM: 'claim'
+};
+
+// Events read per contract
+const HUB_EVENTS = ['QuestCompleted', 'AllQuestsCompleted'];
+const VAULT_EVENTS = ['RewardAccumulated', 'RewardClaimed'];
+
+/**
+ * Activity History Class
+ */
+class ActivityHistory {
+    constructor() {
+        this.blockRange = HISTORY.BLOCK_RANGE;
+        this.syncs = new Map();
+    }
+
+    /**
+     * Cached entries for an address, newest first
+     * @param {string} address - User address
+     * @returns {Array<Object>}
+     */
+    getCached(address) {
+        if (!contracts.hub) return [];
+        return QuestStorage.activity.get(address, contracts.chainId, contracts.hub.target)?.entries || [];
+    }
+
+    /**
+     * Scan logs since the last checkpoint and return the full timeline.
+     * Concurrent calls for the same address share one scan.
+     * @param {string} address - User address
+     * @param {Object} [options]
+     * @param {number} [options.startBlock] - Deployment block, if known
+     * @param {Function} [options.onProgress] - Called with { entries, scanned, latest } per range
+     * @returns {Promise<Array<Object>>} Entries, newest first
+     */
+    sync(address, options = {}) {
+        if (!contracts.hub || !contracts.vault) {
+            return Promise.reject(new Error('Contracts not initialized'));
+        }
+
+        const key = `${contracts.chainId}:${contracts.hub.target}:${address}`.toLowerCase();
+        if (!this.syncs.has(key)) {
+            const promise = this.scan(address, options).finally(() => this.syncs.delete(key));
+            this.syncs.set(key, promise);
+        }
+        return this.syncs.get(key);
+    }
+
+    /**
+     * Page through block ranges, saving a checkpoint after each one
+     * @param {string} address
+     * @param {Object} options - See sync()
+     * @returns {Promise<Array<Object>>}
+     */
+    async scan(address, { startBlock = null, onProgress = null } = {}) {
+        const { hub, provider, chainId } = contracts;
+        const cached = QuestStorage.activity.get(address, chainId, hub.target);
+        const latest = await provider.getBlockNumber();
+
+        let entries = cached?.entries || [];
+        let from = cached
+            ? cached.lastBlock + 1
+            : await this.getStartBlock(startBlock, latest);
+
+        while (from <= latest) {
+            const to = Math.min(from + this.blockRange - 1, latest);
+
+            let logs;
+            try {
+                logs = await this.fetchLogs(address, from, to);
+            } catch (error) {
+                // Most RPCs reject wide ranges or large results; retry smaller
+                if (this.blockRange <= HISTORY.MIN_BLOCK_RANGE) throw error;
+                this.blockRange = Math.max(Math.floor(this.blockRange / 2), HISTORY.MIN_BLOCK_RANGE);
+                continue;
+            }
+
+            entries = this.merge(entries, await this.decode(logs));
+            QuestStorage.activity.set(address, chainId, hub.target, { lastBlock: to, entries });
+
+            if (onProgress) {
+                onProgress({ entries, scanned: to, latest });
+            }
+            from = to + 1;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Fetch the user's hub and vault logs for a block range
+     * @param {string} address
+     * @param {number} fromBlock
+     * @param {number} toBlock
+     * @returns {Promise<Array<Object>>} Raw logs, each tagged with its contract
+     */
+    async fetchLogs(address, fromBlock, toBlock) {
+        const { hub, vault, provider } = contracts;
+        const userTopic = ethers.zeroPadValue(address, 32);
+
+        const query = async (contract, events) => {
+            const logs = await provider.getLogs({
+                address: contract.target,
+                topics: [events.map(name => contract.interface.getEvent(name).topicHash), userTopic],
+                fromBlock,
+                toBlock
+            });
+            return logs.map(log => ({ log, contract }));
+        };
+
+        const [hubLogs, vaultLogs] = await Promise.all([
+            query(hub, HUB_EVENTS),
+            query(vault, VAULT_EVENTS)
+        ]);
+        return [...hubLogs, ...vaultLogs];
+    }
+
+    /**
+     * Decode logs into activity entries
+     * @param {Array<Object>} logs - From fetchLogs
+     * @returns {Promise<Array<Object>>}
+     */
+    async decode(logs) {
+        const entries = [];
+
+        for (const { log, contract } of logs) {
+            const parsed = contract.interface.parseLog(log);
+            if (!parsed) continue;
+
+            const entry = {
+                id: `${log.transactionHash}:${log.index}`,
+                blockNumber: log.blockNumber,
+                logIndex: log.index,
+                txHash: log.transactionHash,
+                timestamp: null
+            };
+            const { args } = parsed;
+
+            switch (parsed.name) {
+                case 'QuestCompleted':
+                    // QuestType enum order matches DAILY_QUESTS
+                    Object.assign(entry, {
+                        type: ActivityType.QUEST,
+                        quest: DAILY_QUESTS[Number(args.questType)]?.key || null,
+                        amount: args.reward.toString(),
+                        timestamp: Number(args.timestamp) * 1000
+                    });
+                    break;
+                case 'AllQuestsCompleted':
+                    Object.assign(entry, {
+                        type: ActivityType.ALL_QUESTS,
+                        amount: args.totalReward.toString(),
+                        streak: Number(args.streak)
+                    });
+                    break;
+                case 'RewardAccumulated':
+                    Object.assign(entry, {
+                        type: ActivityType.REWARD,
+                        amount: args.amount.toString()
+                    });
+                    break;
+                case 'RewardClaimed':
+                    Object.assign(entry, {
+                        type: ActivityType.CLAIM,
+                        amount: args.amount.toString(),
+                        boostedAmount: args.boostedAmount.toString()
+                    });
+                    break;
+                default:
+                    continue;
+            }
+
+            entries.push(entry);
+        }
+
+        await this.fillTimestamps(entries);
+        return entries;
+    }
+
+    /**
+     * Add block times to entries whose event has no timestamp. Entries from
+     * a transaction that also completed a quest reuse that quest's time.
+     * @param {Array<Object>} entries
+     */
+    async fillTimestamps(entries) {
+        const byTx = new Map(
+            entries.filter(e => e.timestamp !== null).map(e => [e.txHash, e.timestamp])
+        );
+        const blocks = new Set();
+
+        for (const entry of entries) {
+            if (entry.timestamp !== null) continue;
+            if (byTx.has(entry.txHash)) {
+                entry.timestamp = byTx.get(entry.txHash);
+            } else {
+                blocks.add(entry.blockNumber);
+            }
+        }
+
+        const times = new Map();
+        for (const blockNumber of blocks) {
+            const block = await contracts.provider.getBlock(blockNumber);
+            times.set(blockNumber, block ? block.timestamp * 1000 : null);
+        }
+
+        for (const entry of entries) {
+            if (entry.timestamp === null) {
+                entry.timestamp = times.get(entry.blockNumber) ?? null;
+            }
+        }
+    }
+
+    /**
+     * Merge new entries into the cached ones, newest first, capped
+     * @param {Array<Object>} existing
+     * @param {Array<Object>} added
+     * @returns {Array<Object>}
+     */
+    merge(existing, added) {
+        if (added.length === 0) return existing;
+
+        const ids = new Set(existing.map(e => e.id));
+        return [...existing, ...added.filter(e => !ids.has(e.id))]
+            .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+            .slice(0, HISTORY.MAX_ENTRIES);
+    }
+
+    /**
+     * First block worth scanning: the deployment's, else the block the hub
+     * was deployed in (binary search on getCode), else a fixed lookback
+     * @param {number|null} startBlock - From the deployment registry
+     * @param {number} latest - Current block
+     * @returns {Promise<number>}
+     */
+    async getStartBlock(startBlock, latest) {
+        if (Number.isInteger(startBlock)) return startBlock;
+
+        const hub = contracts.hub.target;
+        const saved = QuestStorage.activity.getStartBlock(contracts.chainId, hub);
+        if (Number.isInteger(saved)) return saved;
+
+        try {
+            const block = await this.findDeploymentBlock(hub, latest);
+            QuestStorage.activity.setStartBlock(contracts.chainId, hub, block);
+            return block;
+        } catch (error) {
+            // Historical state needs an archive node; fall back to recent blocks
+            console.warn('[History] Could not find deployment block:', error);
+            return Math.max(latest - HISTORY.FALLBACK_LOOKBACK, 0);
+        }
+    }
+
+    /**
+     * Lowest block at which an address has code
+     * @param {string} address
+     * @param {number} latest
+     * @returns {Promise<number>}
+     */
+    async findDeploymentBlock(address, latest) {
+        let low = 0;
+        let high = latest;
+
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const code = await contracts.provider.getCode(address, mid);
+            if (code === '0x') {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Forget the cached timeline for an address (forces a full rescan)
+     * @param {string} address
+     */
+    clear(address) {
+        if (contracts.hub) {
+            QuestStorage.activity.clear(address, contracts.chainId, contracts.hub.target);
+        }
+    }
+}
+
+// Export singleton instance
+export const activityHistory = new ActivityHistory();
+export { ActivityHistory, ActivityType };
@@ -1,346 +1,1209 @@
 /**
  * Quest Mini - Main Entry Point
  * Application initialization and bootstrap
+ *
+ * Loaded as an ES module after the global helpers (QuestState, QuestStorage,
+ * QuestEvents, QuestValidation, QuestFormat) and the ethers UMD bundle.
  */
 
-(function() {
-  'use strict';
-
-  // Application namespace
-  window.QuestMini = window.QuestMini || {};
-
-  // Application config
-  const config = {
-    chainId: 8453,
-    chainName: 'Base',
-    rpcUrl: 'https://mainnet.base.org',
-    explorer: 'https://basescan.org',
-    contracts: {
-      token: '0xb3E3DE7248E69B1842C274fD1304d4419a734de7',
-      hub: '0x957b578Ac7469BDD5f0c4097C8B98200553b12ba',
-      vault: '0x449436Ed23595Fc95bf19181cca63cE83f0b5EC0',
-      booster: '0xC13Ad15ac6c27477B8b56e242910A5b4cC7792Be'
-    },
-    refreshInterval: 30000, // 30 seconds
-    debug: false
-  };
+import {
+  CHAIN_ID,
+  CHAIN_NAME,
+  DAILY_QUESTS,
+  GAS_LIMIT_RANGE,
+  LIVE_UPDATES,
+  NETWORKS,
+  QUEST_RUN,
+  UI
+} from './constants.js';
+import { wallet } from './wallet.js';
+import { contracts } from './contracts.js';
+import { deployments } from './deployments.js';
+import { toast } from './toast.js';
+import { networkStatus } from './networkStatus.js';
+import { dashboard } from './dashboard.js';
+import { questRunner, StepStatus } from './questRunner.js';
+import { validateDeployment } from './settingsValidator.js';
+import { subscriptions } from './subscriptions.js';
+import { activityHistory } from './history.js';
+import { streakCalendar } from './streakCalendar.js';
+import { frameProvider } from './frameProvider.js';
+import { siwe } from './siwe.js';
+import { relayer } from './relayer.js';
+import { txManager, TxStatus, ReplacementKind } from './transactionManager.js';
+import { txReview } from './txReview.js';
+import { txHistory } from './txHistory.js';
+import { gasLimits } from './gasLimits.js';
 
-  // Application state
-  let initialized = false;
-  let refreshTimer = null;
-
-  /**
-   * Initialize the application
-   */
-  async function init() {
-    if (initialized) {
-      console.warn('Quest Mini already initialized');
-      return;
-    }
+// Application config
+const config = {
+  chainId: CHAIN_ID,
+  chainName: CHAIN_NAME,
+  refreshInterval: UI.REFRESH_INTERVAL,
+  debug: false
+};
 
-    console.log('🎮 Quest Mini initializing...');
+// Application state
+let initialized = false;
+let refreshTimer = null;
+let running = false;
+const readProviders = new Map();
 
-    try {
-      // Register event listeners
-      registerEventListeners();
+/**
+ * Initialize the application
+ */
+async function init() {
+  if (initialized) {
+    console.warn('Quest Mini already initialized');
+    return;
+  }
 
-      // Check for saved wallet connection
-      await checkSavedConnection();
+  console.log('🎮 Quest Mini initializing...');
 
-      // Initialize UI components
-      initializeUI();
+  try {
+    // Named deployments per chain (from the deploy.js manifests)
+    await loadDeployments();
 
-      // Start data refresh
-      startRefreshTimer();
+    // Support links like ?address=0x... for read-only lookups
+    applyLookupFromUrl();
 
-      initialized = true;
-      console.log('✅ Quest Mini initialized');
+    // Render from state
+    dashboard.bind();
+    streakCalendar.bind();
+    txHistory.bind();
+    dashboard.setAccountCount(QuestStorage.accounts.list().length);
+    fillSettingsPanel();
 
-      // Dispatch ready event
-      if (typeof QuestEvents !== 'undefined') {
-        QuestEvents.emit('app:ready', { timestamp: Date.now() });
-      }
-    } catch (error) {
-      console.error('❌ Quest Mini initialization failed:', error);
-      showError('Failed to initialize application');
+    // Register event listeners
+    registerEventListeners();
+
+    // Every send ends on the review screen, after the pre-flight checks
+    txManager.guards.use('review', context => txReview.guard(context));
+
+    // Authenticated API requests carry the wallet's SIWE session
+    QuestAPI.setAuth(
+      () => siwe.getAuthHeader(),
+      () => siwe.signOut(wallet.address, wallet.chainId)
+    );
+
+    // Ask installed wallets to announce themselves (EIP-6963)
+    wallet.discover();
+
+    // Network health indicator
+    networkStatus.init();
+    networkStatus.setSupportedChains(deployments.getChainIds());
+    networkStatus.on('onlineChange', handleOnlineChange);
+
+    // Farcaster frame handshake (the host's wallet becomes a wallet option)
+    await initFarcasterFrame();
+
+    // Check for saved wallet connection
+    await checkSavedConnection();
+
+    // No wallet: read through the public RPC instead
+    if (!wallet.isConnected()) {
+      await startReadOnly();
     }
+
+    // Initialize UI components
+    initializeUI();
+
+    // Start data refresh
+    startRefreshTimer();
+
+    initialized = true;
+    console.log('✅ Quest Mini initialized');
+
+    QuestEvents.emit('app:ready', { timestamp: Date.now() });
+  } catch (error) {
+    console.error('❌ Quest Mini initialization failed:', error);
+    showError('Failed to initialize application');
   }
+}
 
-  /**
-   * Register global event listeners
-   */
-  function registerEventListeners() {
-    // Wallet events from ethereum provider
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', handleAccountsChanged);
-      window.ethereum.on('chainChanged', handleChainChanged);
-      window.ethereum.on('disconnect', handleDisconnect);
-    }
+/**
+ * Register global event listeners
+ */
+function registerEventListeners() {
+  // Wallet events (WalletManager owns the provider listeners)
+  wallet.on('accountChanged', handleAccountsChanged);
+  wallet.on('chainChanged', handleChainChanged);
+  wallet.on('disconnected', handleDisconnect);
+  wallet.on('providersChanged', providers => dashboard.updateWalletPicker(providers));
 
-    // Button click handlers
-    document.addEventListener('click', handleButtonClick);
-
-    // Visibility change for refresh pause
-    document.addEventListener('visibilitychange', handleVisibilityChange);
-  }
-
-  /**
-   * Handle button clicks via delegation
-   */
-  function handleButtonClick(event) {
-    const button = event.target.closest('button, [data-action]');
-    if (!button) return;
-
-    const action = button.dataset.action;
-    if (!action) return;
-
-    switch (action) {
-      case 'connect':
-        connectWallet();
-        break;
-      case 'disconnect':
-        disconnectWallet();
-        break;
-      case 'quest':
-        const questType = parseInt(button.dataset.questType, 10);
-        completeQuest(questType);
-        break;
-      case 'claim':
-        claimRewards();
-        break;
-      case 'booster':
-        const tier = parseInt(button.dataset.tier, 10);
-        purchaseBooster(tier);
-        break;
-      case 'refresh':
-        refreshData();
-        break;
-    }
+  // Daily run progress
+  QuestEvents.on(QuestEvents.Types.QUEST_RUN_STEP, handleRunStep);
+
+  // Transactions saved before a reload, settling after it
+  txManager.on('txRestored', handleTxRestored);
+  txManager.on('txConfirmed', handleTxSettled);
+  txManager.on('txFailed', handleTxSettled);
+
+  // gasUsed per method, for gas limits when estimates fail
+  txManager.on('txConfirmed', record => gasLimits.record(record));
+
+  // Reviewed quests count in later reviews until they are mined or fail
+  ['txConfirmed', 'txFailed'].forEach((event) => {
+    txManager.on(event, record => txReview.release(record.id));
+  });
+
+  // Pending list with speed-up / cancel
+  ['txSubmitted', 'txUpdated', 'txConfirmed', 'txFailed', 'txRestored'].forEach((event) => {
+    txManager.on(event, renderPendingTransactions);
+  });
+
+  // Button click handlers
+  document.addEventListener('click', handleButtonClick);
+
+  // Settings: show the addresses of the picked deployment
+  const deploymentSelect = document.getElementById('deploymentSelect');
+  if (deploymentSelect) {
+    deploymentSelect.addEventListener('change', showSelectedDeployment);
+  }
+
+  // Address lookup
+  const lookupForm = document.getElementById('lookupForm');
+  if (lookupForm) {
+    lookupForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      lookupAddress(document.getElementById('lookupAddress').value);
+    });
   }
 
-  /**
-   * Handle accounts changed
-   */
-  function handleAccountsChanged(accounts) {
-    if (accounts.length === 0) {
+  // Visibility change for refresh pause
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+}
+
+/**
+ * Handle button clicks via delegation
+ */
+function handleButtonClick(event) {
+  const button = event.target.closest('button, [data-action]');
+  if (!button) return;
+
+  const action = button.dataset.action;
+  if (!action) return;
+
+  switch (action) {
+    case 'connect':
+      connectWallet();
+      break;
+    case 'pick-wallet':
+      connectWallet(button.dataset.rdns);
+      break;
+    case 'close-wallet-picker':
+      dashboard.hideWalletPicker();
+      break;
+    case 'show-accounts':
+      dashboard.showAccountSwitcher(QuestStorage.accounts.list(), QuestState.lookup.viewedAddress());
+      break;
+    case 'close-account-switcher':
+      dashboard.hideAccountSwitcher();
+      break;
+    case 'switch-account':
+      switchAccount(button.dataset.address);
+      break;
+    case 'disconnect':
       disconnectWallet();
-    } else {
+      break;
+    case 'review-confirm':
+      txReview.confirm();
+      break;
+    case 'review-cancel':
+      txReview.cancel();
+      break;
+    case 'tx-speed-up':
+      replaceTransaction(button.dataset.txId, ReplacementKind.SPEED_UP);
+      break;
+    case 'tx-cancel':
+      replaceTransaction(button.dataset.txId, ReplacementKind.CANCEL);
+      break;
+    case 'quest':
+      completeQuest(button.dataset.quest);
+      break;
+    case 'run-all':
+      executeAllQuests();
+      break;
+    case 'toggle-settings':
+      dashboard.toggleSettings();
+      break;
+    case 'save-settings':
+      saveSettings();
+      break;
+    case 'refresh':
       refreshData();
-    }
+      break;
+    case 'clear-lookup':
+      clearLookup();
+      break;
+    case 'export-tx-csv':
+      txHistory.download('csv');
+      break;
+    case 'export-tx-json':
+      txHistory.download('json');
+      break;
+    case 'calendar-prev':
+      streakCalendar.shiftMonth(-1);
+      break;
+    case 'calendar-next':
+      streakCalendar.shiftMonth(1);
+      break;
+  }
+}
+
+/**
+ * Handle accounts changed
+ */
+async function handleAccountsChanged(address) {
+  QuestState.wallet.connect(address, wallet.chainId);
+  QuestStorage.wallet.setLastConnected(address);
+  rememberAccount(address);
+
+  // The new account's cached dashboard shows while its data loads
+  resetDashboardData();
+  if (await initContracts()) {
+    await loadDashboard();
+    await offerResume(address);
+    restoreTransactions(address);
+  }
+
+  await startSession();
+}
+
+/**
+ * Handle chain changed
+ */
+function handleChainChanged(chainId) {
+  // Back on the chain the app is set up for (e.g. switched by a tx guard)
+  if (chainId === contracts.chainId) {
+    QuestState.wallet.setChain(chainId);
+    return;
+  }
+
+  if (!deployments.isSupported(chainId)) {
+    showWarning(`No Quest deployment on ${deployments.getNetworkName(chainId)}`);
+  }
+  window.location.reload();
+}
+
+/**
+ * Handle wallet disconnect
+ */
+async function handleDisconnect() {
+  const lookup = QuestState.get('lookup.address');
+
+  await subscriptions.unsubscribe();
+
+  QuestStorage.wallet.clearLastConnected();
+  QuestState.reset();
+  if (lookup) {
+    QuestState.lookup.set(lookup);
   }
+  dashboard.renderAll();
+  renderPendingTransactions();
+  txHistory.show(null, null);
+  txReview.cancel();
 
-  /**
-   * Handle chain changed
-   */
-  function handleChainChanged(chainId) {
-    const id = parseInt(chainId, 16);
-    if (id !== config.chainId) {
-      showWarning(`Please switch to ${config.chainName}`);
+  await startReadOnly();
+}
+
+/**
+ * Handle visibility change
+ */
+function handleVisibilityChange() {
+  if (document.hidden) {
+    stopRefreshTimer();
+  } else {
+    startRefreshTimer();
+    refreshData();
+    // Filters can expire while a tab is suspended
+    subscriptions.resubscribe();
+  }
+}
+
+/**
+ * Handle the browser going offline / online
+ * @param {boolean} online
+ */
+function handleOnlineChange(online) {
+  if (online) {
+    subscriptions.resubscribe();
+    refreshData();
+  }
+}
+
+/**
+ * Check for saved wallet connection
+ */
+async function checkSavedConnection() {
+  const lastAddress = QuestStorage.wallet.getLastConnected();
+  if (!lastAddress) return;
+
+  try {
+    // Same wallet as last time, without a prompt
+    const address = await wallet.reconnect();
+    if (address) {
+      await onWalletConnected(address);
     }
-    window.location.reload();
+  } catch (error) {
+    console.log('No previous connection');
+  }
+}
+
+/**
+ * Initialize UI components
+ */
+function initializeUI() {
+  dashboard.renderAll();
+
+  // Hide loading overlay if exists
+  const loader = document.getElementById('app-loader');
+  if (loader) {
+    loader.classList.add('hidden');
   }
+}
 
-  /**
-   * Handle wallet disconnect
-   */
-  function handleDisconnect() {
-    disconnectWallet();
+/**
+ * Start data refresh timer
+ */
+function startRefreshTimer() {
+  if (refreshTimer) return;
+
+  // Events keep the dashboard current; the timer is only a safety net then
+  const interval = subscriptions.active ? LIVE_UPDATES.FALLBACK_REFRESH : config.refreshInterval;
+  refreshTimer = setInterval(refreshData, interval);
+}
+
+/**
+ * Stop data refresh timer
+ */
+function stopRefreshTimer() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
   }
+}
 
-  /**
-   * Handle visibility change
-   */
-  function handleVisibilityChange() {
-    if (document.hidden) {
-      stopRefreshTimer();
+/**
+ * Load the dashboard for the address on screen and follow its events
+ */
+async function loadDashboard() {
+  await refreshData();
+  syncActivity();
+
+  const address = QuestState.lookup.viewedAddress();
+  try {
+    if (address) {
+      await subscriptions.subscribe(address, { onReconcile: handleLiveEvents });
     } else {
-      startRefreshTimer();
-      refreshData();
+      await subscriptions.unsubscribe();
     }
+  } catch (error) {
+    console.warn('Live updates unavailable, polling instead:', error);
   }
 
-  /**
-   * Check for saved wallet connection
-   */
-  async function checkSavedConnection() {
-    if (typeof QuestStorage !== 'undefined') {
-      const lastAddress = QuestStorage.wallet.getLastConnected();
-      if (lastAddress && window.ethereum) {
-        try {
-          const accounts = await window.ethereum.request({ 
-            method: 'eth_accounts' 
-          });
-          if (accounts.length > 0) {
-            await onWalletConnected(accounts[0]);
-          }
-        } catch (error) {
-          console.log('No previous connection');
-        }
+  // Pick the interval that matches the subscription state
+  if (refreshTimer) {
+    stopRefreshTimer();
+    startRefreshTimer();
+  }
+}
+
+/**
+ * Re-read state after live events and pick up their log entries
+ */
+async function handleLiveEvents() {
+  await refreshData();
+  await syncActivity();
+}
+
+/**
+ * Rebuild the viewed address's activity from logs. The first visit scans
+ * from the deployment block; later ones only scan new blocks.
+ */
+async function syncActivity() {
+  const address = QuestState.lookup.viewedAddress();
+  if (!address || !contracts.hub) return;
+
+  const chainId = getActiveChainId();
+  const current = () => QuestState.lookup.viewedAddress() === address;
+
+  QuestState.activity.setEntries(activityHistory.getCached(address), chainId);
+  QuestState.activity.setSyncing(true);
+
+  try {
+    const entries = await activityHistory.sync(address, {
+      startBlock: deployments.getActive(chainId)?.startBlock ?? null,
+      onProgress: ({ entries: partial }) => {
+        if (current()) QuestState.activity.setEntries(partial, chainId);
       }
+    });
+    if (current()) {
+      QuestState.activity.setEntries(entries, chainId);
+      QuestState.activity.setSyncing(false);
     }
+  } catch (error) {
+    console.error('Activity sync failed:', error);
+    if (current()) QuestState.activity.setError('Could not load activity');
   }
+}
+
+/**
+ * Refresh all data
+ * Dashboard reads go out as one Multicall3 batch; a failed read leaves its
+ * section as it was.
+ */
+async function refreshData() {
+  const address = QuestState.lookup.viewedAddress();
+  if (!address || !contracts.hub) return;
+
+  const chainId = contracts.chainId;
 
-  /**
-   * Initialize UI components
-   */
-  function initializeUI() {
-    // Update initial state
-    updateWalletButton();
-    
-    // Hide loading overlay if exists
-    const loader = document.getElementById('app-loader');
-    if (loader) {
-      loader.classList.add('hidden');
+  try {
+    const { balance, stats, preview, breakdown, status, errors } =
+      await contracts.getDashboardData(address);
+
+    // The account or chain changed while the reads were out
+    if (QuestState.lookup.viewedAddress() !== address || contracts.chainId !== chainId) return;
+
+    if (balance !== null) {
+      QuestState.token.setBalance(balance);
+    }
+    if (stats) {
+      QuestState.update('rewards', { pending: stats.pending, claimed: stats.claimed });
+    }
+    if (preview) {
+      QuestState.update('rewards', { boosted: preview.boosted });
     }
+    if (breakdown) {
+      QuestState.stats.update({
+        boosterMultiplier: breakdown.totalBoost,
+        streakBoost: breakdown.streakBoost,
+        specialBoost: breakdown.specialBoost,
+        referralBoost: breakdown.referralBoost,
+        referrals: breakdown.referrals
+      });
+    }
+    if (status) {
+      QuestState.stats.update({
+        currentStreak: status.streak,
+        longestStreak: status.longestStreak,
+        totalQuests: status.completions
+      });
+      QuestState.quests.setCompleted(
+        DAILY_QUESTS
+          .filter(quest => quest.statusFlag && status[quest.statusFlag])
+          .map(quest => quest.key)
+      );
+    }
+
+    Object.entries(errors).forEach(([key, error]) => {
+      console.warn(`Dashboard read "${key}" failed:`, error);
+    });
+
+    saveSnapshot(address, chainId);
+    QuestEvents.emit(QuestEvents.Types.DATA_REFRESHED, { address });
+  } catch (error) {
+    console.error('Error loading user data:', error);
   }
+}
 
-  /**
-   * Start data refresh timer
-   */
-  function startRefreshTimer() {
-    if (refreshTimer) return;
-    refreshTimer = setInterval(refreshData, config.refreshInterval);
+/**
+ * Connect wallet, asking which one when several are installed
+ * @param {string} [rdns] - Wallet picked in the chooser
+ */
+async function connectWallet(rdns = null) {
+  if (!rdns && wallet.needsWalletChoice()) {
+    dashboard.showWalletPicker(wallet.getProviders());
+    return;
   }
 
-  /**
-   * Stop data refresh timer
-   */
-  function stopRefreshTimer() {
-    if (refreshTimer) {
-      clearInterval(refreshTimer);
-      refreshTimer = null;
-    }
+  dashboard.hideWalletPicker();
+  try {
+    const address = await wallet.connect(rdns);
+    await onWalletConnected(address);
+  } catch (error) {
+    showError(error.message || 'Failed to connect wallet');
+    return;
   }
 
-  /**
-   * Refresh all data
-   */
-  async function refreshData() {
-    // Implementation depends on app.js or contracts.js
-    if (typeof window.refreshAllData === 'function') {
-      await window.refreshAllData();
-    }
+  await startSession();
+}
+
+/**
+ * Sign in with Ethereum unless the account already has a session. Only
+ * asked for after the user connects or switches accounts, not on a silent
+ * reconnect. Declining leaves QuestAPI requests unauthenticated.
+ */
+async function startSession() {
+  try {
+    await siwe.ensureSession();
+  } catch (error) {
+    console.warn('Sign-in skipped:', error);
+    showWarning('Not signed in: account features need a signed message');
   }
+}
 
-  /**
-   * Connect wallet
-   */
-  async function connectWallet() {
-    // Implementation depends on app.js
-    if (typeof window.connectWallet === 'function') {
-      await window.connectWallet();
-    }
+/**
+ * Disconnect wallet (and end its sign-in session)
+ */
+function disconnectWallet() {
+  siwe.signOut(wallet.address, wallet.chainId);
+  wallet.disconnect();
+}
+
+/**
+ * Wallet connected callback
+ */
+async function onWalletConnected(address) {
+  QuestStorage.wallet.setLastConnected(address);
+  QuestState.wallet.connect(address, wallet.chainId);
+  rememberAccount(address);
+  QuestEvents.emit(QuestEvents.Types.WALLET_CONNECTED, { address });
+
+  resetDashboardData();
+  if (await initContracts()) {
+    await loadDashboard();
+    await offerResume(address);
+    restoreTransactions(address);
   }
+}
 
-  /**
-   * Disconnect wallet
-   */
-  function disconnectWallet() {
-    if (typeof window.disconnectWallet === 'function') {
-      window.disconnectWallet();
-    }
-    updateWalletButton();
+/**
+ * Initialize and verify contracts for the connected signer, or for the
+ * public RPC when there is no wallet
+ * @param {boolean} [readOnly=false] - Use the JSON-RPC provider
+ * @returns {Promise<boolean>} Whether contracts are usable
+ */
+async function initContracts(readOnly = false) {
+  const chainId = getActiveChainId();
+  const deployment = deployments.getActive(chainId);
+
+  if (!deployment) {
+    const message = `No Quest deployment on ${deployments.getNetworkName(chainId)}`;
+    showError(message);
+    QuestState.ui.setError(message);
+    return false;
   }
 
-  /**
-   * Wallet connected callback
-   */
-  async function onWalletConnected(address) {
-    if (typeof QuestStorage !== 'undefined') {
-      QuestStorage.wallet.setLastConnected(address);
-    }
-    if (typeof QuestState !== 'undefined') {
-      const chainId = parseInt(await window.ethereum.request({ 
-        method: 'eth_chainId' 
-      }), 16);
-      QuestState.wallet.connect(address, chainId);
+  contracts.setAddresses(deployment.contracts);
+  relayer.configure(deployment);
+
+  try {
+    if (readOnly) {
+      await contracts.initReadOnly(getReadProvider(chainId));
+    } else {
+      await contracts.init();
     }
-    await refreshData();
-    updateWalletButton();
+    QuestState.ui.clearError();
+    return true;
+  } catch (error) {
+    contracts.handleError(error);
+    QuestState.ui.setError(error.message);
+    return false;
   }
+}
 
-  /**
-   * Complete quest
-   */
-  async function completeQuest(questType) {
-    if (typeof window.completeQuest === 'function') {
-      await window.completeQuest(questType);
-    }
+/**
+ * Chain the app reads from: the wallet's, or the one picked in settings
+ * @returns {number}
+ */
+function getActiveChainId() {
+  if (wallet.isConnected()) {
+    return wallet.chainId;
   }
+  return QuestStorage.settings.get('readChainId', config.chainId);
+}
 
-  /**
-   * Claim rewards
-   */
-  async function claimRewards() {
-    if (typeof window.claimRewards === 'function') {
-      await window.claimRewards();
-    }
+/**
+ * Shared JSON-RPC provider per chain for wallet-less reads
+ * @param {number} chainId
+ * @returns {ethers.JsonRpcProvider}
+ */
+function getReadProvider(chainId) {
+  if (!readProviders.has(chainId)) {
+    readProviders.set(chainId, new ethers.JsonRpcProvider(NETWORKS[chainId].rpc, chainId));
+  }
+  return readProviders.get(chainId);
+}
+
+/**
+ * Load the deployment registry and tell wallet which chains are usable
+ */
+async function loadDeployments() {
+  try {
+    await deployments.load();
+  } catch (error) {
+    console.error('Failed to load deployment registry:', error);
+    showError('Could not load contract deployments');
+  }
+
+  wallet.setSupportedChains(deployments.getChainIds());
+}
+
+/**
+ * Switch the contract layer to read-only and load the dashboard
+ */
+async function startReadOnly() {
+  resetDashboardData();
+  if (await initContracts(true)) {
+    await loadDashboard();
   }
+}
 
-  /**
-   * Purchase booster
-   */
-  async function purchaseBooster(tier) {
-    if (typeof window.purchaseBooster === 'function') {
-      await window.purchaseBooster(tier);
+/**
+ * Read ?address= from the page URL
+ */
+function applyLookupFromUrl() {
+  const address = new URLSearchParams(window.location.search).get('address');
+  if (!address) return;
+
+  if (QuestValidation.isValidAddress(address)) {
+    QuestState.lookup.set(ethers.getAddress(address.toLowerCase()));
+  } else {
+    showError('Invalid address in link');
+  }
+}
+
+/**
+ * Show any address's quest state (read-only)
+ * @param {string} value - Address typed into the lookup box
+ */
+async function lookupAddress(value) {
+  const input = value.trim();
+  if (!input) {
+    await clearLookup();
+    return;
+  }
+
+  if (!QuestValidation.isValidAddress(input)) {
+    showError('Enter a valid 0x address');
+    return;
+  }
+
+  const address = ethers.getAddress(input.toLowerCase());
+  QuestState.lookup.set(address);
+  setLookupUrl(address);
+  resetDashboardData();
+  await loadDashboard();
+}
+
+/**
+ * Go back to the connected wallet's own dashboard
+ */
+async function clearLookup() {
+  if (!QuestState.get('lookup.address')) return;
+
+  QuestState.lookup.clear();
+  setLookupUrl(null);
+  resetDashboardData();
+  await loadDashboard();
+}
+
+/**
+ * Keep ?address= in sync so lookups can be shared as links
+ * @param {string|null} address
+ */
+function setLookupUrl(address) {
+  const url = new URL(window.location.href);
+  if (address) {
+    url.searchParams.set('address', address);
+  } else {
+    url.searchParams.delete('address');
+  }
+  window.history.replaceState(null, '', url);
+}
+
+/**
+ * Clear per-address dashboard values so one address's data never shows
+ * under another, then fill in the viewed address's cached values for the
+ * active chain until fresh reads arrive
+ */
+function resetDashboardData() {
+  QuestState.token.setBalance('0');
+  QuestState.update('rewards', { pending: '0', claimed: '0', boosted: '0' });
+  QuestState.stats.update({
+    currentStreak: 0,
+    longestStreak: 0,
+    totalQuests: 0,
+    boosterMultiplier: 100,
+    streakBoost: 100,
+    specialBoost: 0,
+    referralBoost: 0,
+    referrals: 0
+  });
+  QuestState.quests.setCompleted([]);
+  QuestState.activity.clear();
+
+  restoreSnapshot();
+}
+
+/**
+ * Save what the dashboard shows for an address on a chain
+ * @param {string} address
+ * @param {number} chainId
+ */
+function saveSnapshot(address, chainId) {
+  QuestStorage.dashboard.set(address, chainId, {
+    balance: QuestState.get('token.balance'),
+    rewards: QuestState.get('rewards'),
+    stats: QuestState.get('stats'),
+    completed: QuestState.get('quests.completed'),
+    savedAt: Date.now()
+  });
+}
+
+/**
+ * Show the viewed address's last saved dashboard, if any
+ */
+function restoreSnapshot() {
+  const address = QuestState.lookup.viewedAddress();
+  if (!address) return;
+
+  const snapshot = QuestStorage.dashboard.get(address, getActiveChainId());
+  if (!snapshot) return;
+
+  QuestState.token.setBalance(snapshot.balance);
+  QuestState.update('rewards', snapshot.rewards);
+  QuestState.stats.update(snapshot.stats);
+
+  // Completion flags only hold for the hub's session window
+  if (Date.now() - snapshot.savedAt < QUEST_RUN.SESSION_WINDOW) {
+    QuestState.quests.setCompleted(snapshot.completed);
+  }
+}
+
+/**
+ * Add an account to the switcher list
+ * @param {string} address
+ */
+function rememberAccount(address) {
+  QuestStorage.accounts.touch(address, wallet.chainId);
+  dashboard.setAccountCount(QuestStorage.accounts.list().length);
+}
+
+/**
+ * Open an account from the switcher. The wallet is asked to switch; when it
+ * can't (or no wallet is connected) the account is shown read-only.
+ * @param {string} address
+ */
+async function switchAccount(address) {
+  dashboard.hideAccountSwitcher();
+
+  const target = address.toLowerCase();
+  if (wallet.isConnected() && wallet.address.toLowerCase() === target) {
+    await clearLookup();
+    return;
+  }
+
+  if (wallet.isConnected()) {
+    try {
+      // The dashboard follows through the wallet's accountsChanged event
+      const selected = await wallet.requestAccountSwitch();
+      if (selected && selected.toLowerCase() === target) {
+        await clearLookup();
+        return;
+      }
+    } catch (error) {
+      console.warn('Wallet could not switch accounts:', error);
     }
   }
 
-  /**
-   * Update wallet button state
-   */
-  function updateWalletButton() {
-    const btn = document.getElementById('wallet-btn');
-    if (!btn) return;
-    
-    if (typeof QuestState !== 'undefined' && QuestState.get('wallet.connected')) {
-      const address = QuestState.get('wallet.address');
-      const short = typeof QuestFormat !== 'undefined' 
-        ? QuestFormat.shortenAddress(address)
-        : `${address.slice(0, 6)}...${address.slice(-4)}`;
-      btn.textContent = short;
-      btn.dataset.action = 'disconnect';
+  await lookupAddress(address);
+}
+
+/**
+ * Whether a quest transaction can be sent for what is on screen
+ * @returns {boolean}
+ */
+function canSendQuests() {
+  if (!QuestState.get('wallet.connected')) {
+    showError('Please connect wallet first');
+    return false;
+  }
+  if (QuestState.get('lookup.address')) {
+    showWarning('Clear the address lookup to run your own quests');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Send a single quest or claim transaction
+ * @param {Object} quest - Entry from DAILY_QUESTS
+ * @returns {Promise<Object>} txManager result
+ */
+function sendQuestTransaction(quest) {
+  return contracts[quest.method](txOverrides());
+}
+
+/**
+ * Complete quest
+ * @param {string} key - Quest key from DAILY_QUESTS
+ */
+async function completeQuest(key) {
+  const quest = DAILY_QUESTS.find(q => q.key === key);
+  if (!quest || !canSendQuests()) return;
+
+  dashboard.setQuestProcessing(key, true);
+  QuestEvents.emit(QuestEvents.Types.QUEST_STARTED, { quest: key });
+
+  try {
+    const result = await sendQuestTransaction(quest);
+
+    if (result.success) {
+      QuestState.quests.markCompleted(key);
+      QuestEvents.emit(QuestEvents.Types.QUEST_COMPLETED, { quest: key, hash: result.hash });
     } else {
-      btn.textContent = 'Connect Wallet';
-      btn.dataset.action = 'connect';
+      QuestEvents.emit(QuestEvents.Types.QUEST_FAILED, { quest: key, error: result.error });
     }
+  } catch (error) {
+    // Thrown before txManager takes it, e.g. contracts not initialized
+    showError(`${quest.label} failed: ${error.message}`);
+    QuestEvents.emit(QuestEvents.Types.QUEST_FAILED, { quest: key, error: error.message });
+  } finally {
+    dashboard.setQuestProcessing(key, false);
   }
 
-  /**
-   * Show error message
-   */
-  function showError(message) {
-    if (typeof QuestToast !== 'undefined') {
-      QuestToast.error(message);
-    } else {
-      console.error(message);
+  await refreshData();
+}
+
+/**
+ * Run every daily quest and the claim, resuming a run that stopped part way
+ */
+async function executeAllQuests() {
+  if (running || !canSendQuests()) return;
+
+  running = true;
+  dashboard.setRunning(true);
+
+  try {
+    const result = await questRunner.start(
+      QuestState.get('wallet.address'),
+      txOverrides()
+    );
+
+    dashboard.setResumable(!result.success);
+    if (result.success) {
+      toast.success('🎉 All quests completed!');
     }
+  } finally {
+    running = false;
+    dashboard.setRunning(false);
+    dashboard.hideTxSteps();
+    await refreshData();
+  }
+}
+
+/**
+ * Reflect a quest run step in the progress list
+ * @param {Object} step - { step, status, hash, error }
+ */
+function handleRunStep({ step, status }) {
+  const quest = DAILY_QUESTS.find(q => q.key === step);
+  if (!quest) return;
+
+  switch (status) {
+    case StepStatus.CONFIRMED:
+      dashboard.updateTxStep(step, 'success', `${quest.label} ✅`);
+      QuestState.quests.markCompleted(step);
+      break;
+    case StepStatus.SKIPPED:
+      dashboard.updateTxStep(step, 'skipped', `${quest.label} ⏭️ already done`);
+      QuestState.quests.markCompleted(step);
+      break;
+    case StepStatus.FAILED:
+      dashboard.updateTxStep(step, 'error', `${quest.label} ❌`);
+      break;
+    default:
+      dashboard.updateTxStep(step, 'pending', `${quest.label}...`);
   }
+}
 
-  /**
-   * Show warning message
-   */
-  function showWarning(message) {
-    if (typeof QuestToast !== 'undefined') {
-      QuestToast.warning(message);
+/**
+ * Settle the account's transactions that were still open when the page
+ * was last closed (runs in the background; results arrive as tx events),
+ * and list its saved ones in the history panel
+ * @param {string} address
+ */
+function restoreTransactions(address) {
+  renderPendingTransactions();
+  txManager.restore(address, contracts.chainId, wallet.provider).catch((error) => {
+    console.warn('Could not check saved transactions:', error);
+  });
+  txHistory.show(address, contracts.chainId);
+}
+
+/**
+ * Show the connected account's transactions that are not mined yet
+ */
+function renderPendingTransactions() {
+  const address = QuestState.get('wallet.address');
+  const records = address
+    ? txManager.getPendingTransactions().filter(record => record.hash
+      && record.chainId === contracts.chainId
+      && record.account?.toLowerCase() === address.toLowerCase())
+    : [];
+
+  dashboard.renderPendingTransactions(
+    records.map(record => ({ ...record, replaceable: txManager.canReplace(record) })),
+    contracts.chainId
+  );
+}
+
+/**
+ * Speed up or cancel a stuck transaction; the wallet asks to confirm the
+ * replacement, and the original record settles on whichever one is mined
+ * @param {string} txId - txManager record id
+ * @param {string} kind - ReplacementKind
+ */
+async function replaceTransaction(txId, kind) {
+  try {
+    if (kind === ReplacementKind.CANCEL) {
+      await txManager.cancel(txId, wallet.signer);
     } else {
-      console.warn(message);
+      await txManager.speedUp(txId, wallet.signer);
     }
+  } catch (error) {
+    const action = kind === ReplacementKind.CANCEL ? 'cancel' : 'speed up';
+    showError(`Could not ${action}: ${error.code ? txManager.getUserFriendlyError(error) : error.message}`);
+  }
+}
+
+/**
+ * Quest a restored transaction belongs to, if it is the connected account's
+ * @param {Object} record - txManager record
+ * @returns {Object|null} Entry from DAILY_QUESTS
+ */
+function restoredQuest(record) {
+  const address = QuestState.get('wallet.address');
+  if (!record.restored || !address || record.account.toLowerCase() !== address.toLowerCase()) {
+    return null;
   }
+  return DAILY_QUESTS.find(q => q.method === record.method) || null;
+}
 
-  // Expose to window
-  window.QuestMini = {
-    init,
-    config,
-    refreshData,
-    connectWallet,
-    disconnectWallet
+/**
+ * A quest transaction from before the reload is still open
+ * @param {Object} record - txManager record
+ */
+function handleTxRestored(record) {
+  const quest = restoredQuest(record);
+  if (quest) dashboard.setQuestProcessing(quest.key, true);
+}
+
+/**
+ * A transaction from before the reload settled; live sends are handled by
+ * whoever sent them
+ * @param {Object} record - txManager record
+ */
+async function handleTxSettled(record) {
+  if (!record.restored) return;
+
+  const quest = restoredQuest(record);
+  if (quest) {
+    if (record.status === TxStatus.CONFIRMED) {
+      QuestState.quests.markCompleted(quest.key);
+    }
+    dashboard.setQuestProcessing(quest.key, false);
+  }
+  await refreshData();
+}
+
+/**
+ * Offer to resume a run saved before a failure or reload
+ * @param {string} address - Connected wallet address
+ */
+async function offerResume(address) {
+  const resumable = questRunner.canResume(address);
+  dashboard.setResumable(resumable);
+
+  if (resumable) {
+    await questRunner.checkBonusWindow(address);
+  }
+}
+
+/**
+ * Read persisted settings
+ * @returns {Object} { gasLimit, gasless } (gasLimit null unless overridden)
+ */
+function getSettings() {
+  return {
+    gasLimit: QuestStorage.settings.get('gasLimitOverride', null),
+    gasless: QuestStorage.settings.get('gasless', true)
   };
+}
+
+/**
+ * Overrides for quest and claim sends. Without a gas limit override the
+ * gas guard picks one per method.
+ * @returns {Object}
+ */
+function txOverrides() {
+  const { gasLimit } = getSettings();
+  return gasLimit === null ? {} : { gasLimit };
+}
+
+/**
+ * Fill the settings panel with every network's deployments
+ */
+function fillSettingsPanel() {
+  const chainId = getActiveChainId();
+  const active = deployments.getActive(chainId);
+
+  // Registry deployments only: addresses come from deploy.js manifests
+  const groups = Object.keys(NETWORKS).map(Number).map(id => ({
+    chainId: id,
+    label: deployments.getNetworkName(id),
+    options: deployments.forChain(id).map(d => ({
+      name: d.name,
+      label: d.timestamp ? `${d.name} (${d.timestamp.slice(0, 10)})` : d.name
+    }))
+  })).filter(group => group.options.length > 0);
 
-  // Auto-init on DOMContentLoaded
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+  dashboard.fillSettings({
+    groups,
+    selected: active ? `${chainId}:${active.name}` : null,
+    ...getSettings()
+  });
+  showSelectedDeployment();
+}
+
+/**
+ * Show the addresses of the deployment picked in the settings panel
+ */
+function showSelectedDeployment() {
+  const { chainId, name } = dashboard.readSettings();
+  const deployment = deployments.get(chainId, name);
+
+  dashboard.showDeploymentAddresses(deployment ? deployment.contracts : {});
+  dashboard.showGaslessSetting(Boolean(deployment?.contracts?.QUEST_FORWARDER && deployment.relayerUrl));
+}
+
+/**
+ * Validate the settings panel; errors are shown inline per field
+ * @param {Object} settings - From dashboard.readSettings()
+ * @returns {Promise<boolean>} Whether the settings can be saved
+ */
+async function validateSettings({ chainId, name, gasLimit }) {
+  const errors = {};
+
+  if (gasLimit !== null &&
+    (!Number.isInteger(gasLimit) || gasLimit < GAS_LIMIT_RANGE.MIN || gasLimit > GAS_LIMIT_RANGE.MAX)) {
+    errors.gasLimit = `Enter a whole number between ${GAS_LIMIT_RANGE.MIN} and ${GAS_LIMIT_RANGE.MAX}`;
+  }
+
+  const deployment = deployments.get(chainId, name);
+  if (!deployment) return false;
+
+  dashboard.setSettingsChecking(true);
+  try {
+    const result = await validateDeployment(deployment.contracts, getReadProvider(chainId));
+    Object.assign(errors, result.errors);
+  } catch (error) {
+    console.error('Settings check failed:', error);
+    showError(`Could not reach ${deployments.getNetworkName(chainId)} to check the contracts`);
+    return false;
+  } finally {
+    dashboard.setSettingsChecking(false);
+  }
+
+  dashboard.showSettingsErrors(errors);
+  return Object.keys(errors).length === 0;
+}
+
+/**
+ * Save settings from the settings panel
+ */
+async function saveSettings() {
+  const settings = dashboard.readSettings();
+  const { chainId, name, gasLimit, gasless } = settings;
+
+  if (!await validateSettings(settings)) return;
+
+  deployments.select(chainId, name);
+  QuestStorage.settings.set('gasLimitOverride', gasLimit);
+  QuestStorage.settings.set('gasless', gasless);
+
+  const chainIds = deployments.getChainIds();
+  wallet.setSupportedChains(chainIds);
+  networkStatus.setSupportedChains(chainIds);
+
+  toast.success('Settings saved!');
+  dashboard.toggleSettings();
+
+  if (!wallet.isConnected()) {
+    QuestStorage.settings.set('readChainId', chainId);
+    await startReadOnly();
+    return;
+  }
+
+  // The page reloads on chainChanged and picks the deployment up there
+  if (wallet.chainId !== chainId) {
+    try {
+      await wallet.switchNetwork(chainId);
+    } catch (error) {
+      showError(`Switch your wallet to ${deployments.getNetworkName(chainId)} to use this deployment`);
+    }
+    return;
+  }
+
+  if (await initContracts()) {
+    await loadDashboard();
+  }
+}
+
+/**
+ * Farcaster frame handshake (for embedded apps)
+ */
+async function initFarcasterFrame() {
+  if (!frameProvider.isEmbedded()) return;
+
+  if (await frameProvider.connect()) {
+    console.log('Frame host connected:', frameProvider.hostOrigin);
   } else {
-    init();
+    console.log('No frame host answered, using browser wallets');
   }
-})();
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+  toast.error(message);
+}
+
+/**
+ * Show warning message
+ */
+function showWarning(message) {
+  toast.warning(message);
+}
+
+// Expose to window for debugging and embedding hosts
+window.QuestMini = {
+  init,
+  config,
+  refreshData,
+  lookupAddress,
+  clearLookup,
+  connectWallet,
+  disconnectWallet
+};
+
+// Module scripts are deferred, but guard for late injection
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
+
+export {
+  init,
+  config,
+  refreshData,
+  lookupAddress,
+  clearLookup,
+  connectWallet,
+  disconnectWallet
+};
@@ -0,0 +1,143 @@
+/**
+ * Quest Mini App - Multicall
+ * Batches view calls into a single Multicall3 aggregate3 eth_call
+ *
+ * Every call is sent with allowFailure, so one reverting read does not take
+ * down the batch. Chains without Multicall3 (a bare Hardhat node) fall back
+ * to parallel eth_calls with the same result shape.
+ */
+
+import { MULTICALL3_ADDRESS } from './constants.js';
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+/**
+ * Multicall Class
+ */
+class Multicall {
+    /**
+     * @param {ethers.Provider} provider
+     * @param {string} [address] - Multicall3 address
+     */
+    constructor(provider, address = MULTICALL3_ADDRESS) {
+        this.provider = provider;
+        this.address = address;
+        this.contract = new ethers.Contract(address, MULTICALL3_ABI, provider);
+        this.available = null;
+    }
+
+    /**
+     * Check (once) whether Multicall3 is deployed on the provider's chain
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+        if (this.available === null) {
+            try {
+                this.available = (await this.provider.getCode(this.address)) !== '0x';
+            } catch (error) {
+                return false;
+            }
+        }
+        return this.available;
+    }
+
+    /**
+     * Run view calls as one batch
+     * @param {Array<Object>} calls - { contract, method, args }
+     * @returns {Promise<Array<Object>>} { success, value, error } per call, in order
+     */
+    async aggregate(calls) {
+        if (calls.length === 0) return [];
+
+        if (await this.isAvailable()) {
+            try {
+                return await this.aggregate3(calls);
+            } catch (error) {
+                console.warn('Multicall3 batch failed, falling back to parallel calls:', error);
+            }
+        }
+
+        return this.parallel(calls);
+    }
+
+    /**
+     * Batch through Multicall3.aggregate3
+     * @param {Array<Object>} calls
+     * @returns {Promise<Array<Object>>}
+     */
+    async aggregate3(calls) {
+        const results = await this.contract.aggregate3.staticCall(
+            calls.map(({ contract, method, args = [] }) => ({
+                target: contract.target,
+                allowFailure: true,
+                callData: contract.interface.encodeFunctionData(method, args)
+            }))
+        );
+
+        return results.map(([success, returnData], i) => {
+            const { contract, method } = calls[i];
+
+            if (!success) {
+                return { success: false, value: null, error: decodeRevert(contract, method, returnData) };
+            }
+
+            try {
+                const decoded = contract.interface.decodeFunctionResult(method, returnData);
+                return { success: true, value: unwrap(decoded), error: null };
+            } catch (error) {
+                return { success: false, value: null, error };
+            }
+        });
+    }
+
+    /**
+     * Fallback: one eth_call per read, all in flight at once
+     * @param {Array<Object>} calls
+     * @returns {Promise<Array<Object>>}
+     */
+    async parallel(calls) {
+        const settled = await Promise.allSettled(
+            calls.map(({ contract, method, args = [] }) => contract[method](...args))
+        );
+
+        return settled.map(result => (
+            result.status === 'fulfilled'
+                ? { success: true, value: result.value, error: null }
+                : { success: false, value: null, error: result.reason }
+        ));
+    }
+}
+
+/**
+ * Single-output functions decode to a one-element Result; return the value
+ * itself so batched and direct calls look the same
+ */
+function unwrap(result) {
+    return result.length === 1 ? result[0] : result;
+}
+
+/**
+ * Build an error for a reverted sub-call
+ */
+function decodeRevert(contract, method, data) {
+    let reason = null;
+
+    try {
+        const parsed = contract.interface.parseError(data);
+        if (parsed) {
+            reason = parsed.name === 'Error' ? parsed.args[0] : parsed.name;
+        }
+    } catch (error) {
+        // Unknown selector or empty revert data
+    }
+
+    const error = new Error(`${method} reverted${reason ? `: ${reason}` : ''}`);
+    error.reason = reason;
+    error.data = data;
+    return error;
+}
+
+export { Multicall, MULTICALL3_ABI };
+export default Multicall;
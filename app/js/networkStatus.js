@@ -3,7 +3,7 @@
  * Monitors blockchain connection and network health
  */
 
-import { CHAIN_ID, CHAIN_NAME, CHAIN_RPC } from './constants.js';
+import { CHAIN_ID, NETWORKS } from './constants.js';
 
 class NetworkStatus {
     constructor() {
@@ -11,6 +11,7 @@ class NetworkStatus {
         this.isConnected = false;
         this.currentChainId = null;
         this.isCorrectNetwork = false;
+        this.supportedChains = [CHAIN_ID];
         this.blockNumber = null;
         this.gasPrice = null;
         this.latency = null;
@@ -60,6 +61,16 @@ class NetworkStatus {
         console.log('[NetworkStatus] Initialized');
     }
 
+    /**
+     * Set the chains the app has deployments on
+     * @param {number[]} chainIds
+     */
+    setSupportedChains(chainIds) {
+        this.supportedChains = chainIds.length > 0 ? chainIds : [CHAIN_ID];
+        this.isCorrectNetwork = this.supportedChains.includes(this.currentChainId);
+        this.updateIndicator();
+    }
+
     /**
      * Check network status
      */
@@ -74,7 +85,7 @@ class NetworkStatus {
             if (window.ethereum) {
                 const chainIdHex = await window.ethereum.request({ method: 'eth_chainId' });
                 this.currentChainId = parseInt(chainIdHex, 16);
-                this.isCorrectNetwork = this.currentChainId === CHAIN_ID;
+                this.isCorrectNetwork = this.supportedChains.includes(this.currentChainId);
                 this.isConnected = true;
 
                 // Get block number for health check
@@ -126,7 +137,7 @@ class NetworkStatus {
      */
     handleChainChange(chainIdHex) {
         this.currentChainId = parseInt(chainIdHex, 16);
-        this.isCorrectNetwork = this.currentChainId === CHAIN_ID;
+        this.isCorrectNetwork = this.supportedChains.includes(this.currentChainId);
         this.emit('chainChange', {
             chainId: this.currentChainId,
             isCorrect: this.isCorrectNetwork
@@ -259,7 +270,7 @@ class NetworkStatus {
         } else if (!this.isCorrectNetwork) {
             text.textContent = `Wrong Network (${this.getChainName()})`;
         } else {
-            text.textContent = `${CHAIN_NAME} · Block ${this.blockNumber?.toLocaleString() || '...'}`;
+            text.textContent = `${this.getChainName()} · Block ${this.blockNumber?.toLocaleString() || '...'}`;
         }
     }
 
@@ -275,7 +286,9 @@ class NetworkStatus {
             137: 'Polygon',
             42161: 'Arbitrum'
         };
-        return chains[this.currentChainId] || `Chain ${this.currentChainId}`;
+        return NETWORKS[this.currentChainId]?.name ||
+               chains[this.currentChainId] ||
+               `Chain ${this.currentChainId}`;
     }
 
     /**
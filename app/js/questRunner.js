@@ -0,0 +1,560 @@
+/**
+ * Quest Mini - Quest Runner
+ * Resumable "Complete All Quests" run
+ *
+ * Every step's status and tx hash is saved to QuestStorage as it changes, so
+ * a failed step or a reloaded tab continues where the run stopped instead of
+ * paying gas again for quests that are already done. Quest steps are skipped
+ * when getUserStatus reports them done in the current session window.
+ *
+ * When the wallet supports atomic EIP-5792 bundles, the remaining steps go
+ * out as one wallet_sendCalls request: one confirmation, and the quests land
+ * in the same block, well inside the all-quests bonus window. Other wallets
+ * get one transaction per step: the quests go through txManager's nonce
+ * queue, so each is signed and broadcast as soon as the one before it is out
+ * and they usually land in the same block; the claim, which collects their
+ * rewards, is sent once they are mined. With the gasless relayer on, quests
+ * are sent one by one through it instead, since a bundle would be paid by the
+ * user and the relayer keeps its own nonces.
+ *
+ * A bundle is reviewed on one txReview screen; single transactions each get
+ * their own through the review guard.
+ */
+
+import { DAILY_QUESTS, QUEST_RUN } from './constants.js';
+import { contracts } from './contracts.js';
+import { wallet } from './wallet.js';
+import { relayer } from './relayer.js';
+import { toast } from './toast.js';
+import { txReview } from './txReview.js';
+
+// wallet_sendCalls errors that mean "send them one by one instead"
+// (method missing, or EIP-5792 atomicity / chain not supported)
+const BATCH_UNSUPPORTED_CODES = [4200, -32601, 5700, 5710];
+
+/**
+ * Step status enum
+ */
+const StepStatus = {
+    PENDING: 'pending',
+    SUBMITTED: 'submitted',
+    CONFIRMED: 'confirmed',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+/**
+ * Run status enum
+ */
+const RunStatus = {
+    RUNNING: 'running',
+    FAILED: 'failed',
+    COMPLETED: 'completed'
+};
+
+/**
+ * Quest Runner Class
+ */
+class QuestRunner {
+    constructor() {
+        this.run = null;
+        this.bonusTimer = null;
+        this.warned = new Set();
+    }
+
+    /**
+     * Get the saved run for an address on the chain contracts point at
+     * @param {string} address - User address
+     * @returns {Object|null}
+     */
+    getSavedRun(address) {
+        return QuestStorage.questRun.get(address, contracts.chainId);
+    }
+
+    /**
+     * Whether an earlier run for this address stopped part way
+     * @param {string} address - User address
+     * @returns {boolean}
+     */
+    canResume(address) {
+        const run = this.getSavedRun(address);
+        return Boolean(run && run.status !== RunStatus.COMPLETED);
+    }
+
+    /**
+     * Start a run, or resume the saved one
+     * @param {string} address - Connected wallet address
+     * @param {Object} [overrides] - Transaction overrides for every step
+     *        (sequential runs only; bundles are estimated by the wallet)
+     * @returns {Promise<Object>} { success, run, failedStep }
+     */
+    async start(address, overrides = {}) {
+        const saved = this.getSavedRun(address);
+        const resumed = Boolean(saved && saved.status !== RunStatus.COMPLETED);
+
+        this.run = resumed ? saved : this.createRun(address);
+        this.run.status = RunStatus.RUNNING;
+        this.run.failedStep = null;
+        this.warned.clear();
+        this.save();
+
+        QuestEvents.emit(QuestEvents.Types.QUEST_RUN_STARTED, { address, resumed });
+        this.startBonusWatch(address);
+
+        try {
+            let result = await this.canBatch() ? await this.runBatch() : null;
+            if (!result) {
+                result = await this.runSequential(overrides);
+            }
+
+            if (result.failedStep) {
+                const { failedStep } = result;
+                this.run.status = RunStatus.FAILED;
+                this.run.failedStep = failedStep;
+                this.save();
+
+                QuestEvents.emit(QuestEvents.Types.QUEST_RUN_FAILED, {
+                    address,
+                    step: failedStep,
+                    error: this.run.steps[failedStep].error
+                });
+                return { success: false, run: this.run, failedStep };
+            }
+
+            this.run.status = RunStatus.COMPLETED;
+            this.save();
+
+            QuestEvents.emit(QuestEvents.Types.QUEST_RUN_COMPLETED, { address });
+            return { success: true, run: this.run, failedStep: null };
+        } finally {
+            this.stopBonusWatch();
+        }
+    }
+
+    /**
+     * Send the remaining steps one transaction each. Quests are pipelined
+     * through the nonce queue; the claim waits until they are mined.
+     * @param {Object} overrides - Transaction overrides
+     * @returns {Promise<Object>} { failedStep }
+     */
+    async runSequential(overrides) {
+        const queued = !relayer.isEnabled();
+        const sending = [];
+
+        for (const quest of DAILY_QUESTS) {
+            // The claim collects what the quests add
+            if (!quest.statusFlag) {
+                const failedStep = await this.firstFailure(sending);
+                if (failedStep) return { failedStep };
+            }
+
+            const ready = await this.prepareStep(quest);
+            if (ready === false) {
+                return { failedStep: await this.firstFailure(sending) || quest.key };
+            }
+            if (ready === null) continue;
+
+            const sent = this.sendStep(quest, overrides, queued && Boolean(quest.statusFlag));
+            sending.push({ key: quest.key, sent });
+
+            // Without the queue each step waits for the one before it
+            if (!queued) {
+                const failedStep = await this.firstFailure(sending);
+                if (failedStep) return { failedStep };
+            }
+        }
+
+        return { failedStep: await this.firstFailure(sending) };
+    }
+
+    /**
+     * Wait for steps that are on their way
+     * @param {Array<Object>} sending - { key, sent } in run order; emptied
+     * @returns {Promise<string|null>} First step that failed
+     */
+    async firstFailure(sending) {
+        const results = await Promise.all(sending.map(({ sent }) => sent));
+        const failed = sending.find((entry, index) => !results[index]);
+        sending.length = 0;
+        return failed ? failed.key : null;
+    }
+
+    /**
+     * Settle what an earlier attempt left of a step and decide whether it
+     * still needs sending
+     * @param {Object} quest - Entry from DAILY_QUESTS
+     * @returns {Promise<boolean|null>} true to send it, null when it is done,
+     *          false when the run has to stop here
+     */
+    async prepareStep(quest) {
+        const step = this.run.steps[quest.key];
+
+        if (step.status === StepStatus.CONFIRMED || step.status === StepStatus.SKIPPED) {
+            this.emitStep(quest.key);
+            return null;
+        }
+
+        // A transaction sent before a reload may have been mined since
+        if (step.status === StepStatus.SUBMITTED && step.hash) {
+            this.emitStep(quest.key);
+            const outcome = await this.settle(step.hash);
+
+            if (outcome === 'confirmed') {
+                this.updateStep(quest.key, { status: StepStatus.CONFIRMED });
+                return null;
+            }
+            if (outcome === 'pending') {
+                this.updateStep(quest.key, {
+                    status: StepStatus.FAILED,
+                    error: 'Previous transaction is still pending'
+                });
+                return false;
+            }
+            // Reverted or dropped: send it again
+        }
+
+        if (await this.isAlreadyDone(quest)) {
+            this.updateStep(quest.key, { status: StepStatus.SKIPPED, hash: null, error: null });
+            return null;
+        }
+
+        if (quest.statusFlag) {
+            await this.checkBonusWindow(this.run.address);
+        }
+        return true;
+    }
+
+    /**
+     * Send one step and wait for it to be mined
+     * @param {Object} quest - Entry from DAILY_QUESTS
+     * @param {Object} overrides - Transaction overrides
+     * @param {boolean} queued - Through txManager's nonce queue
+     * @returns {Promise<boolean>} Whether it confirmed
+     */
+    async sendStep(quest, overrides, queued) {
+        this.updateStep(quest.key, { status: StepStatus.PENDING, hash: null, error: null });
+
+        const result = await contracts[quest.method](overrides, {
+            queued,
+            onSubmit: tx => this.updateStep(quest.key, { status: StepStatus.SUBMITTED, hash: tx.hash })
+        });
+
+        if (result.success) {
+            this.updateStep(quest.key, { status: StepStatus.CONFIRMED, hash: result.hash });
+            return true;
+        }
+
+        this.updateStep(quest.key, { status: StepStatus.FAILED, error: result.error });
+        return false;
+    }
+
+    // ==================== Atomic Bundle (EIP-5792) ====================
+
+    /**
+     * Whether this run goes out as a wallet_sendCalls bundle
+     * @returns {Promise<boolean>}
+     */
+    canBatch() {
+        if (!wallet.isConnected()) return Promise.resolve(false);
+
+        // A bundle sent before a reload is still settled; new ones would
+        // make the user pay for quests the relayer covers
+        if (relayer.isEnabled() && !this.run.bundle) return Promise.resolve(false);
+
+        // A step sent on its own before a reload is settled by hash instead
+        const inFlight = Object.values(this.run.steps)
+            .some(step => step.status === StepStatus.SUBMITTED && step.hash);
+        if (inFlight && !this.run.bundle) return Promise.resolve(false);
+
+        return wallet.supportsAtomicBatch();
+    }
+
+    /**
+     * Send every step that is still open as one atomic bundle
+     * @returns {Promise<Object|null>} { failedStep }, or null to fall back
+     *          to sequential transactions
+     */
+    async runBatch() {
+        // A bundle sent before a reload: see how it ended before sending again
+        if (this.run.bundle) {
+            this.run.bundle.keys.forEach(key => this.emitStep(key));
+            const outcome = await this.settleBundle();
+            if (outcome === 'pending') {
+                return { failedStep: this.run.bundle.keys[0] };
+            }
+        }
+
+        const keys = [];
+        for (const quest of DAILY_QUESTS) {
+            const { status } = this.run.steps[quest.key];
+            if (status === StepStatus.CONFIRMED || status === StepStatus.SKIPPED) {
+                this.emitStep(quest.key);
+                continue;
+            }
+
+            // The claim collects what the quests in the same bundle add, so
+            // "nothing pending" only means done when no quest goes with it
+            const done = quest.statusFlag || keys.length === 0
+                ? await this.isAlreadyDone(quest)
+                : false;
+            if (done) {
+                this.updateStep(quest.key, { status: StepStatus.SKIPPED, hash: null, error: null });
+            } else {
+                keys.push(quest.key);
+            }
+        }
+        if (keys.length === 0) return { failedStep: null };
+
+        await this.checkBonusWindow(this.run.address);
+        keys.forEach(key => this.updateStep(key, { status: StepStatus.PENDING, hash: null, error: null }));
+
+        const confirmed = await txReview.reviewCalls(keys.map(key => {
+            const quest = DAILY_QUESTS.find(q => q.key === key);
+            return { contract: contracts[quest.contract], method: quest.method, args: [], description: quest.label };
+        }), { title: `Daily run (${keys.length} calls)`, account: this.run.address, chainId: contracts.chainId });
+        if (!confirmed) {
+            keys.forEach(key => this.updateStep(key, { status: StepStatus.FAILED, error: 'Cancelled in review' }));
+            return { failedStep: keys[0] };
+        }
+
+        let id;
+        try {
+            id = await wallet.sendCalls(keys.map(key => {
+                const quest = DAILY_QUESTS.find(q => q.key === key);
+                return contracts.encodeCall(quest.contract, quest.method);
+            }));
+        } catch (error) {
+            if (BATCH_UNSUPPORTED_CODES.includes(error.code)) {
+                console.warn('[QuestRunner] Wallet refused the bundle, sending one by one:', error);
+                return null;
+            }
+            const message = error.code === 4001 ? 'Rejected in wallet' : error.message;
+            keys.forEach(key => this.updateStep(key, { status: StepStatus.FAILED, error: message }));
+            return { failedStep: keys[0] };
+        }
+
+        this.run.bundle = { id, keys };
+        keys.forEach(key => this.updateStep(key, { status: StepStatus.SUBMITTED }));
+        toast.info(`Daily run sent as one bundle (${keys.length} calls)`);
+
+        const outcome = await this.settleBundle();
+        return { failedStep: outcome === 'confirmed' ? null : keys[0] };
+    }
+
+    /**
+     * Poll the saved bundle until the wallet reports an outcome and apply it
+     * to its steps
+     * @returns {Promise<string>} 'confirmed' | 'failed' | 'pending'
+     */
+    async settleBundle() {
+        const { id, keys } = this.run.bundle;
+        const deadline = Date.now() + QUEST_RUN.BUNDLE_TIMEOUT;
+
+        let result;
+        for (;;) {
+            try {
+                result = await wallet.getCallsStatus(id);
+            } catch (error) {
+                // Wallets may forget bundles across reloads; the on-chain
+                // checks decide what still needs sending
+                console.warn('[QuestRunner] Could not get bundle status:', error);
+                result = { status: 'failed', receipts: [] };
+            }
+
+            if (result.status !== 'pending' || Date.now() >= deadline) break;
+            await new Promise(resolve => setTimeout(resolve, QUEST_RUN.BUNDLE_POLL_INTERVAL));
+        }
+
+        if (result.status === 'pending') {
+            keys.forEach(key => this.updateStep(key, {
+                status: StepStatus.FAILED,
+                error: 'Bundle is still pending'
+            }));
+            return 'pending';
+        }
+
+        this.run.bundle = null;
+
+        if (result.status === 'confirmed') {
+            const hash = result.receipts[0]?.transactionHash || null;
+            keys.forEach(key => this.updateStep(key, { status: StepStatus.CONFIRMED, hash, error: null }));
+            return 'confirmed';
+        }
+
+        keys.forEach(key => this.updateStep(key, { status: StepStatus.FAILED, error: 'Bundle failed' }));
+        return 'failed';
+    }
+
+    /**
+     * Check on-chain whether a step has nothing left to do
+     * @param {Object} quest - Entry from DAILY_QUESTS
+     * @returns {Promise<boolean>}
+     */
+    async isAlreadyDone(quest) {
+        const address = this.run.address;
+
+        try {
+            if (quest.statusFlag) {
+                const status = await contracts.getUserStatus(address);
+                return status[quest.statusFlag];
+            }
+
+            // Claim: nothing pending means an earlier claim went through
+            return BigInt(await contracts.getPendingRewards(address)) === 0n;
+        } catch (error) {
+            console.warn(`[QuestRunner] Could not check ${quest.key} status:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Find out what happened to a transaction sent before a reload
+     * @param {string} hash - Transaction hash
+     * @returns {Promise<string>} 'confirmed' | 'reverted' | 'dropped' | 'pending'
+     */
+    async settle(hash) {
+        const provider = contracts.provider;
+
+        try {
+            let receipt = await provider.getTransactionReceipt(hash);
+
+            if (!receipt) {
+                if (!await provider.getTransaction(hash)) {
+                    return 'dropped';
+                }
+                receipt = await provider.waitForTransaction(hash, 1, QUEST_RUN.SETTLE_TIMEOUT);
+            }
+
+            if (!receipt) return 'pending';
+            return receipt.status === 1 ? 'confirmed' : 'reverted';
+        } catch (error) {
+            // Unknown state: don't risk sending the same quest twice
+            if (error.code !== 'TIMEOUT') {
+                console.warn('[QuestRunner] Could not settle', hash, error);
+            }
+            return 'pending';
+        }
+    }
+
+    // ==================== All-Quests Bonus Window ====================
+
+    /**
+     * Time left to finish every quest and still get the all-quests bonus.
+     * The window opens with the earliest quest done this session.
+     * @param {string} address - User address
+     * @returns {Promise<Object|null>} { closesAt, remaining, questsLeft } or
+     *          null when no window is open
+     */
+    async getBonusWindow(address) {
+        const timestamps = await contracts.getQuestTimestamps(address);
+        const now = Date.now();
+
+        const done = Object.values(timestamps)
+            .filter(time => time > 0 && now - time < QUEST_RUN.SESSION_WINDOW);
+        const questsLeft = Object.keys(timestamps).length - done.length;
+
+        if (done.length === 0 || questsLeft === 0) return null;
+
+        const closesAt = Math.min(...done) + QUEST_RUN.BONUS_WINDOW;
+        return { closesAt, remaining: closesAt - now, questsLeft };
+    }
+
+    /**
+     * Warn (once per run) when the bonus window is about to close or has closed
+     * @param {string} address - User address
+     */
+    async checkBonusWindow(address) {
+        let bonusWindow;
+        try {
+            bonusWindow = await this.getBonusWindow(address);
+        } catch (error) {
+            return;
+        }
+        if (!bonusWindow) return;
+
+        if (bonusWindow.remaining <= 0) {
+            if (this.warned.has('closed')) return;
+            this.warned.add('closed');
+
+            toast.warning('All-quests bonus window has closed. Remaining quests still earn their base reward.');
+            QuestEvents.emit(QuestEvents.Types.BONUS_WINDOW_CLOSED, { address, ...bonusWindow });
+        } else if (bonusWindow.remaining <= QUEST_RUN.BONUS_WARNING) {
+            if (this.warned.has('closing')) return;
+            this.warned.add('closing');
+
+            const seconds = Math.ceil(bonusWindow.remaining / 1000);
+            toast.warning(`⏰ ${seconds}s left to finish ${bonusWindow.questsLeft} quest(s) for the all-quests bonus`);
+            QuestEvents.emit(QuestEvents.Types.BONUS_WINDOW_CLOSING, { address, ...bonusWindow });
+        }
+    }
+
+    /**
+     * Keep checking the window while the run waits on the wallet
+     * @param {string} address - User address
+     */
+    startBonusWatch(address) {
+        this.stopBonusWatch();
+        this.bonusTimer = setInterval(
+            () => this.checkBonusWindow(address),
+            QUEST_RUN.BONUS_CHECK_INTERVAL
+        );
+    }
+
+    stopBonusWatch() {
+        if (this.bonusTimer) {
+            clearInterval(this.bonusTimer);
+            this.bonusTimer = null;
+        }
+    }
+
+    // ==================== Persistence ====================
+
+    /**
+     * Create a fresh run record
+     * @param {string} address - User address
+     * @returns {Object}
+     */
+    createRun(address) {
+        return {
+            address,
+            chainId: contracts.chainId,
+            bundle: null,
+            status: RunStatus.RUNNING,
+            failedStep: null,
+            startedAt: Date.now(),
+            updatedAt: Date.now(),
+            steps: Object.fromEntries(DAILY_QUESTS.map(({ key }) => [
+                key,
+                { status: StepStatus.PENDING, hash: null, error: null }
+            ]))
+        };
+    }
+
+    /**
+     * Update a step, save, and notify listeners
+     * @param {string} key - Quest key
+     * @param {Object} changes - Step fields
+     */
+    updateStep(key, changes) {
+        this.run.steps[key] = { ...this.run.steps[key], ...changes };
+        this.save();
+        this.emitStep(key);
+    }
+
+    emitStep(key) {
+        QuestEvents.emit(QuestEvents.Types.QUEST_RUN_STEP, {
+            address: this.run.address,
+            step: key,
+            ...this.run.steps[key]
+        });
+    }
+
+    save() {
+        this.run.updatedAt = Date.now();
+        QuestStorage.questRun.set(this.run.address, this.run.chainId, this.run);
+    }
+}
+
+// Export singleton instance
+export const questRunner = new QuestRunner();
+export { QuestRunner, StepStatus, RunStatus };
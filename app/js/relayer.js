@@ -0,0 +1,199 @@
+/**
+ * Quest Mini App - Gasless Relayer Client
+ * Quests signed as EIP-712 forward requests and sent by the relayer
+ *
+ * The user signs a QuestForwarder ForwardRequest for the hub call; the
+ * deployment's relayer (contracts/relayer) checks it, pays the gas and
+ * returns the transaction hash. QuestHubV2 trusts the forwarder, so the quest
+ * is credited to the signer. Only deployments with a QUEST_FORWARDER and a
+ * relayerUrl can relay, and users can turn it off in settings.
+ */
+
+import { RELAYER } from './constants.js';
+import { wallet } from './wallet.js';
+
+// Hub calls the relayer accepts
+const RELAYED_METHODS = ['completeCheckin', 'completeEngage', 'completeCommit'];
+
+const FORWARDER_ABI = ['function nonces(address owner) view returns (uint256)'];
+
+// EIP-712 types (OpenZeppelin ERC2771Forwarder, which QuestForwarder is)
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint48' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+// Relayer could not be reached; anything else it answers is final
+const RELAYER_UNAVAILABLE = 'RELAYER_UNAVAILABLE';
+
+/**
+ * Relayer Error Class
+ */
+class RelayerError extends Error {
+    /**
+     * @param {string} message - Shown to the user
+     * @param {string} code - Relayer error code (BUDGET_EXCEEDED, RATE_LIMITED, ...)
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'RelayerError';
+        this.code = code;
+        this.retryable = code === RELAYER_UNAVAILABLE;
+    }
+}
+
+/**
+ * Gasless Relayer Class
+ */
+class GaslessRelayer {
+    constructor() {
+        this.url = null;
+        this.forwarderAddress = null;
+        this.chainId = null;
+    }
+
+    /**
+     * Use the relayer of a deployment (none when it has no forwarder)
+     * @param {Object|null} deployment - Registry entry
+     */
+    configure(deployment) {
+        const forwarder = deployment?.contracts?.QUEST_FORWARDER;
+        const url = deployment?.relayerUrl;
+
+        this.forwarderAddress = forwarder && url ? forwarder : null;
+        this.url = forwarder && url ? url.replace(/\/+$/, '') : null;
+        this.chainId = deployment?.chainId ?? null;
+    }
+
+    /**
+     * Whether the active deployment has a relayer
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.url && this.forwarderAddress);
+    }
+
+    /**
+     * Whether quests should go through the relayer
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.isAvailable() && QuestStorage.settings.get('gasless', true);
+    }
+
+    /**
+     * Whether a call would be relayed
+     * @param {string} method - Hub method
+     * @returns {boolean}
+     */
+    canRelay(method) {
+        return this.isEnabled() && RELAYED_METHODS.includes(method);
+    }
+
+    /**
+     * Sign a forward request for a contract call and hand it to the relayer
+     * @param {ethers.Contract} contract - Target (QuestHubV2)
+     * @param {string} method
+     * @param {Array} args
+     * @param {Object} options
+     * @param {string} options.account - Signer address
+     * @param {number|bigint} options.gas - Gas for the hub call
+     * @returns {Promise<Object>} Transaction-like { hash, wait(confirmations) }
+     * @throws {RelayerError}
+     */
+    async relay(contract, method, args, { account, gas }) {
+        if (!this.isAvailable()) {
+            throw new RelayerError('Gasless quests are not available on this deployment', 'NOT_CONFIGURED');
+        }
+
+        const forwarder = new ethers.Contract(this.forwarderAddress, FORWARDER_ABI, wallet.provider);
+        // Pending, so a relayed quest still in the mempool isn't reused
+        const nonce = await forwarder.nonces(account, { blockTag: 'pending' });
+
+        const request = {
+            from: ethers.getAddress(account),
+            to: contract.target,
+            value: 0n,
+            gas: BigInt(gas),
+            nonce,
+            deadline: BigInt(Math.floor((Date.now() + RELAYER.REQUEST_TTL) / 1000)),
+            data: contract.interface.encodeFunctionData(method, args)
+        };
+
+        const domain = {
+            name: 'QuestForwarder',
+            version: '1',
+            chainId: this.chainId,
+            verifyingContract: this.forwarderAddress
+        };
+
+        const signature = await wallet.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+
+        const { hash } = await this.post('/relay', {
+            request: Object.fromEntries(Object.entries(request).map(([key, value]) => [key, value.toString()])),
+            signature
+        });
+
+        return {
+            hash,
+            wait: confirmations => wallet.provider.waitForTransaction(hash, confirmations)
+        };
+    }
+
+    /**
+     * Today's gas budget for an address
+     * @param {string} address
+     * @returns {Promise<Object>} { limit, spent, remaining, resetsAt } (wei strings, ms)
+     */
+    getBudget(address) {
+        return this.request(`/budget/${address}`, { method: 'GET' });
+    }
+
+    // ==================== HTTP ====================
+
+    post(path, body) {
+        return this.request(path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Call the relayer; its error codes come back as RelayerErrors
+     * @param {string} path
+     * @param {Object} init - fetch options
+     * @returns {Promise<Object>}
+     */
+    async request(path, init) {
+        let response;
+        try {
+            response = await fetch(`${this.url}${path}`, {
+                ...init,
+                signal: AbortSignal.timeout(RELAYER.REQUEST_TIMEOUT)
+            });
+        } catch (error) {
+            throw new RelayerError('Gasless relayer is not reachable', RELAYER_UNAVAILABLE);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new RelayerError(
+                body.error || `Gasless relayer error (HTTP ${response.status})`,
+                body.code || (response.status >= 500 ? RELAYER_UNAVAILABLE : 'RELAY_REJECTED')
+            );
+        }
+        return body;
+    }
+}
+
+// Export singleton instance
+export const relayer = new GaslessRelayer();
+export { GaslessRelayer, RelayerError, RELAYED_METHODS };
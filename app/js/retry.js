@@ -4,6 +4,8 @@
  * @module retry
  */
 
+import { isRetryable } from './errors.js';
+
 /**
  * Default retry configuration
  * @type {Object}
@@ -71,27 +73,9 @@ function isRetryableError(error, config) {
         return true;
     }
     
-    // Check for specific error messages
-    const retryableMessages = [
-        'network',
-        'timeout',
-        'rate limit',
-        'too many requests',
-        'service unavailable',
-        'bad gateway',
-        'gateway timeout',
-        'ECONNRESET',
-        'ETIMEDOUT',
-        'nonce too low',
-        'replacement transaction underpriced'
-    ];
-    
-    const errorMessage = (error.message || '').toLowerCase();
-    if (retryableMessages.some(msg => errorMessage.includes(msg))) {
-        return true;
-    }
-    
-    return false;
+    // Everything else (messages, nested RPC errors, reverts) is classified
+    // the same way as everywhere else in the app
+    return isRetryable(error);
 }
 
 /**
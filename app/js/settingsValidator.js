@@ -0,0 +1,173 @@
+/**
+ * Quest Mini App - Settings Validator
+ * Checks a deployment's addresses before the settings panel saves them
+ *
+ * Runs in order, stopping at the first stage with errors:
+ *   1. format and EIP-55 checksum
+ *   2. bytecode at each address and a view probe per contract
+ *   3. the contracts point at each other (setContracts / setQuestHub / addMinter)
+ */
+
+import { loadAbis } from './contracts.js';
+import { shortenAddress } from './utils.js';
+
+/**
+ * Deployment address keys -> contract keys
+ */
+const CONTRACT_KEYS = {
+    QUEST_TOKEN: 'token',
+    QUEST_HUB: 'hub',
+    QUEST_VAULT: 'vault',
+    QUEST_BOOSTER: 'booster'
+};
+
+const LABELS = {
+    token: 'QuestToken',
+    hub: 'QuestHubV2',
+    vault: 'QuestVaultV2',
+    booster: 'QuestBooster'
+};
+
+/**
+ * View functions each contract must answer
+ */
+const PROBES = {
+    token: ['symbol', 'remainingSupply'],
+    hub: ['getTotalReward'],
+    vault: ['totalDistributed'],
+    booster: ['getAllBoostTiers']
+};
+
+/**
+ * Getter on one contract that must return another contract's address
+ * [from, getter, to]
+ */
+const WIRING = [
+    ['hub', 'questVault', 'vault'],
+    ['hub', 'questBooster', 'booster'],
+    ['vault', 'questToken', 'token'],
+    ['vault', 'questHub', 'hub'],
+    ['vault', 'questBooster', 'booster'],
+    ['booster', 'questHub', 'hub']
+];
+
+/**
+ * Check address format and checksum
+ * @param {Object} addresses - Keyed QUEST_TOKEN, QUEST_HUB, ...
+ * @returns {Object} Error message per address key
+ */
+function checkFormat(addresses) {
+    const errors = {};
+    const seen = new Map();
+
+    for (const key of Object.keys(CONTRACT_KEYS)) {
+        const address = (addresses[key] || '').trim();
+
+        if (!address) {
+            errors[key] = 'Address is required';
+        } else if (!QuestValidation.isValidAddress(address)) {
+            errors[key] = 'Not a valid address (0x + 40 hex characters)';
+        } else if (!QuestValidation.isChecksummedAddress(address)) {
+            errors[key] = 'Checksum does not match (EIP-55), check for a typo';
+        } else if (seen.has(address.toLowerCase())) {
+            errors[key] = `Same address as ${LABELS[CONTRACT_KEYS[seen.get(address.toLowerCase())]]}`;
+        } else {
+            seen.set(address.toLowerCase(), key);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a deployment against the chain
+ * @param {Object} addresses - Keyed QUEST_TOKEN, QUEST_HUB, ...
+ * @param {ethers.Provider} provider - Provider for the deployment's chain
+ * @returns {Promise<Object>} { valid, errors } with a message per address key
+ */
+async function validateDeployment(addresses, provider) {
+    let errors = checkFormat(addresses);
+    if (Object.keys(errors).length > 0) {
+        return { valid: false, errors };
+    }
+
+    const abis = await loadAbis();
+    const instances = {};
+    for (const [addressKey, key] of Object.entries(CONTRACT_KEYS)) {
+        instances[key] = new ethers.Contract(addresses[addressKey].trim(), abis[key], provider);
+    }
+
+    errors = await checkContracts(instances, provider);
+    if (Object.keys(errors).length === 0) {
+        errors = await checkWiring(instances);
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Check bytecode and view probes
+ * @param {Object} instances - Contracts keyed token, hub, vault, booster
+ * @param {ethers.Provider} provider
+ * @returns {Promise<Object>} Error message per address key
+ */
+async function checkContracts(instances, provider) {
+    const errors = {};
+
+    await Promise.all(Object.entries(CONTRACT_KEYS).map(async ([addressKey, key]) => {
+        const code = await provider.getCode(instances[key].target);
+        if (code === '0x') {
+            errors[addressKey] = 'No contract deployed at this address on this network';
+            return;
+        }
+
+        for (const method of PROBES[key]) {
+            try {
+                await instances[key][method]();
+            } catch (error) {
+                errors[addressKey] = `Not a ${LABELS[key]}: ${method}() failed`;
+                return;
+            }
+        }
+    }));
+
+    return errors;
+}
+
+/**
+ * Check that the contracts are linked to each other
+ * @param {Object} instances - Contracts keyed token, hub, vault, booster
+ * @returns {Promise<Object>} Error message per address key
+ */
+async function checkWiring(instances) {
+    const problems = {};
+    const addressKeys = Object.fromEntries(
+        Object.entries(CONTRACT_KEYS).map(([addressKey, key]) => [key, addressKey])
+    );
+    const add = (key, message) => {
+        (problems[addressKeys[key]] ||= []).push(message);
+    };
+
+    const [linked, isMinter] = await Promise.all([
+        Promise.all(WIRING.map(([from, getter]) => instances[from][getter]().catch(() => null))),
+        instances.token.minters(instances.vault.target).catch(() => false)
+    ]);
+
+    WIRING.forEach(([from, getter, to], i) => {
+        const actual = linked[i];
+        if (!actual || actual.toLowerCase() !== instances[to].target.toLowerCase()) {
+            const current = !actual || actual === ethers.ZeroAddress ? 'not set' : shortenAddress(actual);
+            add(from, `${getter} is ${current}, expected this ${LABELS[to]}`);
+        }
+    });
+
+    if (!isMinter) {
+        add('token', `${LABELS.vault} is not a minter on this token`);
+    }
+
+    return Object.fromEntries(
+        Object.entries(problems).map(([key, messages]) => [key, messages.join('; ')])
+    );
+}
+
+export { validateDeployment, checkFormat, CONTRACT_KEYS };
@@ -0,0 +1,238 @@
+/**
+ * Quest Mini App - Sign-In With Ethereum
+ * EIP-4361 sessions for authenticated QuestAPI requests
+ *
+ * The signed message and signature are the session: QuestAPI sends them on
+ * every request and the server verifies them (signature, domain, expiry, and
+ * that the nonce hasn't been used before). Smart wallets sign with ERC-1271,
+ * or ERC-6492 before the account is deployed; both are checked here before
+ * the session is saved.
+ */
+
+import { SIWE } from './constants.js';
+import { wallet } from './wallet.js';
+
+// bytes4(keccak256("isValidSignature(bytes32,bytes)"))
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+
+// ERC-6492 wrapped signatures end with this suffix
+const ERC6492_SUFFIX = '6492649264926492649264926492649264926492649264926492649264926492';
+
+// Creation code of EIP-6492's ValidateSigOffchain (the universal validator).
+// Run with eth_call and constructor args (signer, hash, signature), it
+// returns 0x01 for a valid signature without being deployed.
+const ERC6492_VALIDATOR_BYTECODE = '0x608060405234801561001057600080fd5b5060405161069438038061069483398101604081905261002f9161051e565b600061003c848484610048565b9050806000526001601ff35b60007f64926492649264926492649264926492649264926492649264926492649264926100748361040c565b036101e7576000606080848060200190518101906100929190610577565b60405192955090935091506000906001600160a01b038516906100b69085906105dd565b6000604051808303816000865af19150503d80600081146100f3576040519150601f19603f3d011682016040523d82523d6000602084013e6100f8565b606091505b50509050876001600160a01b03163b60000361016057806101605760405162461bcd60e51b815260206004820152601e60248201527f5369676e617475726556616c696461746f723a206465706c6f796d656e74000060448201526064015b60405180910390fd5b604051630b135d3f60e11b808252906001600160a01b038a1690631626ba7e90610190908b9087906004016105f9565b602060405180830381865afa1580156101ad573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906101d19190610633565b6001600160e01b03191614945050505050610405565b6001600160a01b0384163b1561027a57604051630b135d3f60e11b808252906001600160a01b03861690631626ba7e9061022790879087906004016105f9565b602060405180830381865afa158015610244573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906102689190610633565b6001600160e01b031916149050610405565b81516041146102df5760405162461bcd60e51b815260206004820152603a602482015260008051602061067483398151915260448201527f3a20696e76616c6964207369676e6174757265206c656e6774680000000000006064820152608401610157565b6102e7610425565b5060208201516040808401518451859392600091859190811061030c5761030c61065d565b016020015160f81c9050601b811480159061032b57508060ff16601c14155b1561038c5760405162461bcd60e51b815260206004820152603b602482015260008051602061067483398151915260448201527f3a20696e76616c6964207369676e617475726520762076616c756500000000006064820152608401610157565b60408051600081526020810180835289905260ff83169181019190915260608101849052608081018390526001600160a01b0389169060019060a0016020604051602081039080840390855afa1580156103ea573d6000803e3d6000fd5b505050602060405103516001600160a01b0316149450505050505b9392505050565b600060208251101561041d57600080fd5b508051015190565b60405180606001604052806003906020820280368337509192915050565b6001600160a01b038116811461045857600080fd5b50565b634e487b7160e01b600052604160045260246000fd5b60005b8381101561048c578181015183820152602001610474565b50506000910152565b600082601f8301126104a657600080fd5b81516001600160401b038111156104bf576104bf61045b565b604051601f8201601f19908116603f011681016001600160401b03811182821017156104ed576104ed61045b565b60405281815283820160200185101561050557600080fd5b610516826020830160208701610471565b949350505050565b60008060006060848603121561053357600080fd5b835161053e81610443565b6020850151604086015191945092506001600160401b0381111561056157600080fd5b61056d86828701610495565b9150509250925092565b60008060006060848603121561058c57600080fd5b835161059781610443565b60208501519093506001600160401b038111156105b357600080fd5b6105bf86828701610495565b604086015190935090506001600160401b0381111561056157600080fd5b600082516105ef818460208701610471565b9190910192915050565b828152604060208201526000825180604084015261061e816060850160208701610471565b601f01601f1916919091016060019392505050565b60006020828403121561064557600080fd5b81516001600160e01b03198116811461040557600080fd5b634e487b7160e01b600052603260045260246000fdfe5369676e617475726556616c696461746f72237265636f7665725369676e6572';
+
+/**
+ * SIWE Error Class
+ */
+class SiweError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SiweError';
+    }
+}
+
+/**
+ * Random alphanumeric nonce (EIP-4361 needs at least 8 characters)
+ * @returns {string}
+ */
+function createNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(SIWE.NONCE_BYTES));
+    return Array.from(bytes, byte => byte.toString(36).padStart(2, '0')).join('');
+}
+
+/**
+ * Build an EIP-4361 message
+ * @param {Object} fields
+ * @param {string} fields.domain - RFC 3986 authority (host[:port])
+ * @param {string} fields.address - Signing address (checksummed here)
+ * @param {string} fields.uri - Origin the session is for
+ * @param {number} fields.chainId
+ * @param {string} fields.nonce
+ * @param {string} fields.issuedAt - ISO 8601
+ * @param {string} fields.expirationTime - ISO 8601
+ * @param {string} [fields.statement]
+ * @returns {string}
+ */
+function buildMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime, statement }) {
+    const lines = [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        ethers.getAddress(address),
+        ''
+    ];
+
+    if (statement) {
+        lines.push(statement, '');
+    }
+
+    lines.push(
+        `URI: ${uri}`,
+        `Version: ${SIWE.VERSION}`,
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`,
+        `Expiration Time: ${expirationTime}`
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * SIWE Session Class
+ */
+class SiweSession {
+    /**
+     * Sign in with the connected wallet
+     * @returns {Promise<Object>} Session { address, chainId, message, signature, expiresAt }
+     */
+    async signIn() {
+        if (!wallet.isConnected() || !wallet.signer) {
+            throw new SiweError('Connect a wallet to sign in');
+        }
+
+        const address = ethers.getAddress(wallet.address);
+        const chainId = wallet.chainId;
+        const issuedAt = new Date();
+        const expiresAt = issuedAt.getTime() + SIWE.SESSION_DURATION;
+
+        const message = buildMessage({
+            domain: window.location.host,
+            address,
+            uri: window.location.origin,
+            chainId,
+            nonce: createNonce(),
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: new Date(expiresAt).toISOString(),
+            statement: SIWE.STATEMENT
+        });
+
+        const signature = await wallet.signMessage(message);
+
+        if (!await this.verify(address, message, signature, wallet.provider)) {
+            throw new SiweError('Signature does not match the connected account');
+        }
+
+        const session = { address, chainId, message, signature, expiresAt };
+        QuestStorage.session.set(address, chainId, session, expiresAt - Date.now());
+        QuestEvents.emit(QuestEvents.Types.SESSION_STARTED, { address, chainId, expiresAt });
+
+        return session;
+    }
+
+    /**
+     * A saved, unexpired session for an address and chain
+     * @param {string} address
+     * @param {number} chainId
+     * @returns {Object|null}
+     */
+    getSession(address, chainId) {
+        if (!address || !chainId) return null;
+
+        const session = QuestStorage.session.get(address, chainId);
+        if (!session) return null;
+
+        // Leave time for the request to reach the server
+        if (session.expiresAt - SIWE.EXPIRY_MARGIN <= Date.now()) {
+            this.signOut(address, chainId);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * The current session, signing in first if there is none
+     * @returns {Promise<Object>}
+     */
+    ensureSession() {
+        const session = this.getSession(wallet.address, wallet.chainId);
+        return session ? Promise.resolve(session) : this.signIn();
+    }
+
+    /**
+     * Drop an address's session on a chain
+     * @param {string} address
+     * @param {number} chainId
+     */
+    signOut(address, chainId) {
+        if (!address || !chainId) return;
+
+        QuestStorage.session.clear(address, chainId);
+        QuestEvents.emit(QuestEvents.Types.SESSION_ENDED, { address, chainId });
+    }
+
+    /**
+     * Authorization header value for the connected wallet's session
+     * @returns {string|null}
+     */
+    getAuthHeader() {
+        const session = this.getSession(wallet.address, wallet.chainId);
+        if (!session) return null;
+
+        const payload = JSON.stringify({ message: session.message, signature: session.signature });
+        return `SIWE ${btoa(payload)}`;
+    }
+
+    // ==================== Verification ====================
+
+    /**
+     * Check a signature the way the server will
+     * @param {string} address
+     * @param {string} message
+     * @param {string} signature
+     * @param {ethers.Provider} provider
+     * @returns {Promise<boolean>}
+     */
+    async verify(address, message, signature, provider) {
+        const hash = ethers.hashMessage(message);
+
+        if (signature.toLowerCase().endsWith(ERC6492_SUFFIX)) {
+            return this.verify6492(address, hash, signature, provider);
+        }
+
+        const code = await provider.getCode(address);
+        if (code !== '0x') {
+            return this.verify1271(address, hash, signature, provider);
+        }
+
+        try {
+            return ethers.recoverAddress(hash, signature) === ethers.getAddress(address);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * ERC-1271: ask the (deployed) account contract
+     */
+    async verify1271(address, hash, signature, provider) {
+        try {
+            const account = new ethers.Contract(address, ERC1271_ABI, provider);
+            return (await account.isValidSignature(hash, signature)) === ERC1271_MAGIC_VALUE;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * ERC-6492: signature from an account that may not be deployed yet,
+     * wrapped as abi.encode(factory, factoryCalldata, innerSignature) + suffix.
+     * The universal validator deploys the account through the factory inside
+     * the eth_call if it has no code yet, then asks it (ERC-1271).
+     */
+    async verify6492(address, hash, signature, provider) {
+        try {
+            const args = ethers.AbiCoder.defaultAbiCoder()
+                .encode(['address', 'bytes32', 'bytes'], [address, hash, signature]);
+            const result = await provider.call({ data: ethers.concat([ERC6492_VALIDATOR_BYTECODE, args]) });
+            return result === '0x01';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Export singleton instance
+export const siwe = new SiweSession();
+export { SiweSession, SiweError, buildMessage };
@@ -36,7 +36,8 @@ const QuestState = (function() {
     rewards: {
       pending: '0',
       claimed: '0',
-      total: '0'
+      total: '0',
+      boosted: '0'
     },
 
     // User stats
@@ -45,7 +46,24 @@ const QuestState = (function() {
       longestStreak: 0,
       totalQuests: 0,
       boosterTier: 0,
-      boosterMultiplier: 100
+      boosterMultiplier: 100,
+      streakBoost: 100,
+      specialBoost: 0,
+      referralBoost: 0,
+      referrals: 0
+    },
+
+    // Read-only address lookup (overrides the wallet address on the dashboard)
+    lookup: {
+      address: null
+    },
+
+    // On-chain activity for the viewed address (newest first)
+    activity: {
+      entries: [],
+      chainId: null,
+      syncing: false,
+      error: null
     },
 
     // UI state
@@ -188,14 +206,28 @@ const QuestState = (function() {
       rewards: {
         pending: '0',
         claimed: '0',
-        total: '0'
+        total: '0',
+        boosted: '0'
       },
       stats: {
         currentStreak: 0,
         longestStreak: 0,
         totalQuests: 0,
         boosterTier: 0,
-        boosterMultiplier: 100
+        boosterMultiplier: 100,
+        streakBoost: 100,
+        specialBoost: 0,
+        referralBoost: 0,
+        referrals: 0
+      },
+      lookup: {
+        address: null
+      },
+      activity: {
+        entries: [],
+        chainId: null,
+        syncing: false,
+        error: null
       },
       ui: {
         loading: false,
@@ -333,6 +365,47 @@ const QuestState = (function() {
     }
   };
 
+  /**
+   * Address lookup helpers
+   */
+  const lookup = {
+    set(address) {
+      setState('lookup.address', address);
+    },
+
+    clear() {
+      setState('lookup.address', null);
+    },
+
+    /**
+     * Address the dashboard shows: the looked-up one, else the wallet's
+     */
+    viewedAddress() {
+      return getState('lookup.address') || getState('wallet.address');
+    }
+  };
+
+  /**
+   * Activity history helpers
+   */
+  const activity = {
+    setEntries(entries, chainId) {
+      updateState('activity', { entries, chainId, error: null });
+    },
+
+    setSyncing(syncing) {
+      setState('activity.syncing', syncing);
+    },
+
+    setError(error) {
+      updateState('activity', { syncing: false, error });
+    },
+
+    clear() {
+      updateState('activity', { entries: [], chainId: null, syncing: false, error: null });
+    }
+  };
+
   /**
    * UI state helpers
    */
@@ -392,6 +465,8 @@ const QuestState = (function() {
     quests,
     rewards,
     stats,
+    lookup,
+    activity,
     ui,
     transactions
   };
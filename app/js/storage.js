@@ -8,6 +8,8 @@ const QuestStorage = (function() {
 
   const STORAGE_PREFIX = 'quest_';
   const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+  const HISTORY_LIMIT = 500; // Transactions kept per account and chain
+  const GAS_SAMPLES = 20;    // gasUsed values kept per contract method
 
   // In-memory cache
   const memoryCache = new Map();
@@ -183,7 +185,11 @@ const QuestStorage = (function() {
   const wallet = {
     getLastConnected: () => get('wallet_last_connected'),
     setLastConnected: (address) => set('wallet_last_connected', address),
-    clearLastConnected: () => remove('wallet_last_connected')
+    clearLastConnected: () => remove('wallet_last_connected'),
+    // EIP-6963 rdns of the wallet picked last (e.g. io.metamask)
+    getProviderRdns: () => get('wallet_provider_rdns'),
+    setProviderRdns: (rdns) => set('wallet_provider_rdns', rdns),
+    clearProviderRdns: () => remove('wallet_provider_rdns')
   };
 
   const settings = {
@@ -213,14 +219,102 @@ const QuestStorage = (function() {
     }
   };
 
+  // ============================================
+  // Per-account data
+  // Everything below is keyed by chain and address so one account's data
+  // never shows up under another
+  // ============================================
+
+  /**
+   * Key for data that belongs to an account on a chain
+   */
+  function accountKey(prefix, address, chainId) {
+    return `${prefix}_${chainId}_${address.toLowerCase()}`;
+  }
+
+  // Accounts used in this browser, most recent first
+  const accounts = {
+    list: () => get('accounts', []),
+    touch: (address, chainId) => {
+      const list = get('accounts', []);
+      const existing = list.find(a => a.address.toLowerCase() === address.toLowerCase());
+      const chainIds = existing ? existing.chainIds : [];
+      const entry = {
+        address,
+        chainIds: chainIds.includes(chainId) ? chainIds : [...chainIds, chainId],
+        lastUsed: Date.now()
+      };
+      set('accounts', [entry, ...list.filter(a => a !== existing)].slice(0, 10));
+    },
+    remove: (address) => {
+      set('accounts', get('accounts', []).filter(a => a.address.toLowerCase() !== address.toLowerCase()));
+    }
+  };
+
+  // Last dashboard values per account, shown straight away on a switch
+  const dashboard = {
+    get: (address, chainId) => get(accountKey('dashboard', address, chainId)),
+    set: (address, chainId, snapshot) => set(accountKey('dashboard', address, chainId), snapshot)
+  };
+
+  // SIWE sessions; the TTL is the message's expiration time
+  const session = {
+    get: (address, chainId) => get(accountKey('siwe', address, chainId)),
+    set: (address, chainId, data, ttl) => set(accountKey('siwe', address, chainId), data, ttl),
+    clear: (address, chainId) => remove(accountKey('siwe', address, chainId))
+  };
+
+  // A run is only resumable inside the hub's one-hour session window
+  const questRun = {
+    get: (address, chainId) => get(accountKey('quest_run', address, chainId)),
+    set: (address, chainId, run) => set(accountKey('quest_run', address, chainId), run, 60 * 60 * 1000),
+    clear: (address, chainId) => remove(accountKey('quest_run', address, chainId))
+  };
+
+  // Activity decoded from logs, per deployment (hub address) and user,
+  // with the last block scanned so later visits only fetch new logs
+  const activity = {
+    get: (address, chainId, hub) => get(`${accountKey('activity', address, chainId)}_${hub.toLowerCase()}`),
+    set: (address, chainId, hub, data) => set(`${accountKey('activity', address, chainId)}_${hub.toLowerCase()}`, data),
+    clear: (address, chainId, hub) => remove(`${accountKey('activity', address, chainId)}_${hub.toLowerCase()}`),
+    getStartBlock: (chainId, hub) => get(`activity_start_${chainId}_${hub.toLowerCase()}`),
+    setStartBlock: (chainId, hub, block) => set(`activity_start_${chainId}_${hub.toLowerCase()}`, block)
+  };
+
   const history = {
-    addTransaction: (tx) => {
-      const history = get('tx_history', []);
+    addTransaction: (address, chainId, tx) => {
+      const key = accountKey('tx_history', address, chainId);
+      const history = get(key, []);
       history.unshift(tx);
-      set('tx_history', history.slice(0, 100)); // Keep last 100
+      set(key, history.slice(0, HISTORY_LIMIT));
     },
-    getTransactions: () => get('tx_history', []),
-    clearTransactions: () => remove('tx_history')
+    // Insert or replace by id (txManager saves a record on every status change)
+    saveTransaction: (address, chainId, tx) => {
+      const key = accountKey('tx_history', address, chainId);
+      const history = get(key, []);
+      const index = history.findIndex(item => item.id === tx.id);
+      if (index === -1) {
+        history.unshift(tx);
+      } else {
+        history[index] = tx;
+      }
+      set(key, history.slice(0, HISTORY_LIMIT));
+    },
+    removeTransaction: (address, chainId, id) => {
+      const key = accountKey('tx_history', address, chainId);
+      set(key, get(key, []).filter(item => item.id !== id));
+    },
+    getTransactions: (address, chainId) => get(accountKey('tx_history', address, chainId), []),
+    clearTransactions: (address, chainId) => remove(accountKey('tx_history', address, chainId))
+  };
+
+  // gasUsed of mined transactions per chain, contract and method, newest first
+  const gasUsed = {
+    get: (chainId, contract, method) => get(`gas_used_${chainId}_${contract.toLowerCase()}_${method}`, []),
+    add: (chainId, contract, method, gas) => {
+      const key = `gas_used_${chainId}_${contract.toLowerCase()}_${method}`;
+      set(key, [gas, ...get(key, [])].slice(0, GAS_SAMPLES));
+    }
   };
 
   // Public API
@@ -238,7 +332,13 @@ const QuestStorage = (function() {
     wallet,
     settings,
     cache,
-    history
+    accounts,
+    dashboard,
+    session,
+    questRun,
+    activity,
+    history,
+    gasUsed
   };
 })();
 
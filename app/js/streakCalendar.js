@@ -0,0 +1,216 @@
+/**
+ * Quest Mini - Streak Calendar
+ * Month grid of quest, claim and bonus days built from the activity history
+ *
+ * QuestHubV2.updateStreak only runs on a vault claim: a claim less than 48
+ * hours after the previous one adds a day to the streak, a later one resets
+ * it to 1. The calendar replays the decoded claims to show where the streak
+ * advanced, the day the 48 hours ran out, and the claim that started over.
+ */
+
+import { DAILY_QUESTS, STREAK } from './constants.js';
+import { ActivityType } from './history.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Local calendar day key for a timestamp
+ * @param {number} time - Milliseconds
+ * @returns {string} YYYY-MM-DD
+ */
+function dayKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Replay activity entries into per-day marks
+ * @param {Array<Object>} entries - activityHistory entries (any order)
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} { days: Map<dayKey, day>, lastClaim, deadline }
+ */
+function buildStreakDays(entries, now = Date.now()) {
+    const days = new Map();
+    const getDay = (time) => {
+        const key = dayKey(time);
+        if (!days.has(key)) {
+            days.set(key, { quests: new Set(), claimed: false, bonus: false, broke: false, lapsed: false, streak: null });
+        }
+        return days.get(key);
+    };
+
+    const chronological = entries
+        .filter(entry => entry.timestamp)
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    let lastClaim = null;
+    let streak = 0;
+
+    for (const entry of chronological) {
+        const day = getDay(entry.timestamp);
+
+        switch (entry.type) {
+            case ActivityType.QUEST:
+                if (entry.quest) day.quests.add(entry.quest);
+                break;
+            case ActivityType.ALL_QUESTS:
+                day.bonus = true;
+                break;
+            case ActivityType.CLAIM:
+                if (lastClaim === null) {
+                    // Nothing earlier in the history to compare against
+                    streak = 1;
+                } else if (entry.timestamp - lastClaim >= STREAK.WINDOW) {
+                    getDay(lastClaim + STREAK.WINDOW).lapsed = true;
+                    day.broke = true;
+                    streak = 1;
+                } else {
+                    streak++;
+                }
+                day.claimed = true;
+                day.streak = streak;
+                lastClaim = entry.timestamp;
+                break;
+        }
+    }
+
+    const deadline = lastClaim === null ? null : lastClaim + STREAK.WINDOW;
+    if (deadline !== null && deadline <= now) {
+        getDay(deadline).lapsed = true;
+    }
+
+    return { days, lastClaim, deadline };
+}
+
+/**
+ * Streak Calendar Class
+ */
+class StreakCalendar {
+    constructor() {
+        const today = new Date();
+        this.year = today.getFullYear();
+        this.month = today.getMonth();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Render whenever the activity history changes
+     */
+    bind() {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = QuestState.subscribe('activity', () => this.render());
+        this.render();
+    }
+
+    /**
+     * Move the grid by a number of months
+     * @param {number} offset - e.g. -1 for the previous month
+     */
+    shiftMonth(offset) {
+        const date = new Date(this.year, this.month + offset, 1);
+        this.year = date.getFullYear();
+        this.month = date.getMonth();
+        this.render();
+    }
+
+    /**
+     * Draw the month grid and the streak note
+     */
+    render() {
+        const grid = document.getElementById('streakCalendarGrid');
+        if (!grid) return;
+
+        const { days, deadline } = buildStreakDays(QuestState.get('activity.entries') || []);
+        const title = document.getElementById('streakCalendarMonth');
+        if (title) {
+            title.textContent = new Date(this.year, this.month, 1)
+                .toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        }
+
+        const cells = WEEKDAYS.map(name => {
+            const cell = document.createElement('div');
+            cell.className = 'cal-weekday';
+            cell.textContent = name;
+            return cell;
+        });
+
+        const leading = new Date(this.year, this.month, 1).getDay();
+        for (let i = 0; i < leading; i++) {
+            cells.push(document.createElement('div'));
+        }
+
+        const today = dayKey(Date.now());
+        const count = new Date(this.year, this.month + 1, 0).getDate();
+        for (let date = 1; date <= count; date++) {
+            const key = dayKey(new Date(this.year, this.month, date).getTime());
+            cells.push(this.renderDay(date, days.get(key), key === today));
+        }
+
+        grid.replaceChildren(...cells);
+        this.renderNote(deadline);
+    }
+
+    /**
+     * One day cell
+     * @param {number} date - Day of month
+     * @param {Object} [day] - Marks from buildStreakDays
+     * @param {boolean} isToday
+     * @returns {HTMLElement}
+     */
+    renderDay(date, day, isToday) {
+        const cell = document.createElement('div');
+        cell.className = 'cal-day';
+        cell.classList.toggle('today', isToday);
+        cell.textContent = String(date);
+        if (!day) return cell;
+
+        const notes = [];
+        if (day.quests.size > 0) {
+            cell.classList.add('quests');
+            const labels = DAILY_QUESTS.filter(q => day.quests.has(q.key)).map(q => q.label);
+            notes.push(`Quests: ${labels.join(', ')}`);
+        }
+        if (day.bonus) {
+            cell.classList.add('bonus');
+            notes.push('All-quests bonus');
+        }
+        if (day.claimed) {
+            cell.classList.add('claimed');
+            notes.push(`Claimed, streak ${day.streak}`);
+        }
+        if (day.broke) {
+            cell.classList.add('broke');
+            notes.push('Streak restarted: more than 48h since the previous claim');
+        }
+        if (day.lapsed) {
+            cell.classList.add('lapsed');
+            notes.push('48h since the last claim ran out');
+        }
+
+        cell.title = notes.join('\n');
+        return cell;
+    }
+
+    /**
+     * Explain when the streak runs out
+     * @param {number|null} deadline - Last claim + 48h
+     */
+    renderNote(deadline) {
+        const note = document.getElementById('streakCalendarNote');
+        if (!note) return;
+
+        if (deadline === null) {
+            note.textContent = 'The streak starts with the first claim.';
+        } else if (deadline > Date.now()) {
+            note.textContent = `Claim again before ${QuestFormat.formatDateTime(new Date(deadline))} to keep the streak.`;
+        } else {
+            note.textContent = 'More than 48h since the last claim: the next claim starts a new streak.';
+        }
+    }
+}
+
+// Export singleton instance
+export const streakCalendar = new StreakCalendar();
+export { StreakCalendar, buildStreakDays };
@@ -0,0 +1,260 @@
+/**
+ * Quest Mini App - Contract Event Subscriptions
+ * Live QuestState updates from hub, vault and booster events for one user
+ *
+ * Decoded events are applied to QuestState straight away, then a debounced
+ * re-read reconciles anything derived on-chain (boosts, streaks). The last
+ * processed block is kept so a reconnect catches up with getLogs before
+ * listening again.
+ */
+
+import { LIVE_UPDATES } from './constants.js';
+import { contracts } from './contracts.js';
+
+// QuestHubV2.QuestType order
+const QUEST_TYPE_KEYS = ['checkin', 'engage', 'commit', 'claim'];
+
+/**
+ * Event Subscriptions Class
+ */
+class EventSubscriptions {
+    constructor() {
+        this.address = null;
+        this.active = false;
+        this.listeners = [];
+        this.seen = new Set();
+        this.lastBlock = null;
+        this.reconcileTimer = null;
+        this.onReconcile = null;
+        this.resubscribing = false;
+        this.handleProviderError = this.handleProviderError.bind(this);
+    }
+
+    /**
+     * Event filters for a user, with the handler for each
+     * @param {string} address - User address
+     * @returns {Array<Array>} [contract, filter, handler]
+     */
+    getSubscriptions(address) {
+        const { hub, vault, booster } = contracts;
+
+        return [
+            [hub, hub.filters.QuestCompleted(address), this.onQuestCompleted],
+            [hub, hub.filters.AllQuestsCompleted(address), this.onAllQuestsCompleted],
+            [vault, vault.filters.RewardAccumulated(address), this.onRewardAccumulated],
+            [vault, vault.filters.RewardClaimed(address), this.onRewardClaimed],
+            [booster, booster.filters.ReferralSet(address), this.onReferrerSet],
+            [booster, booster.filters.ReferralSet(null, address), this.onReferralReceived],
+            [booster, booster.filters.SpecialBoostSet(address), this.onSpecialBoostSet]
+        ];
+    }
+
+    /**
+     * Listen for a user's events
+     * @param {string} address - User address
+     * @param {Object} [options]
+     * @param {Function} [options.onReconcile] - Re-reads state after events
+     * @param {number} [options.fromBlock] - Catch up from this block first
+     */
+    async subscribe(address, { onReconcile = this.onReconcile, fromBlock = null } = {}) {
+        await this.unsubscribe();
+
+        const provider = contracts.provider;
+        if (!provider || !contracts.hub) {
+            throw new Error('Contracts not initialized');
+        }
+
+        if (address !== this.address) {
+            this.seen.clear();
+        }
+        this.address = address;
+        this.onReconcile = onReconcile;
+        provider.pollingInterval = LIVE_UPDATES.POLLING_INTERVAL;
+        this.lastBlock = await provider.getBlockNumber();
+
+        for (const [contract, filter, handler] of this.getSubscriptions(address)) {
+            // ethers passes the decoded args followed by the event payload
+            const listener = (...args) => this.handle(args[args.length - 1].log, handler);
+            await contract.on(filter, listener);
+            this.listeners.push([contract, filter, listener]);
+        }
+
+        provider.on('error', this.handleProviderError);
+        this.active = true;
+
+        if (fromBlock !== null && fromBlock < this.lastBlock) {
+            await this.catchUp(fromBlock + 1, this.lastBlock);
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    async unsubscribe() {
+        clearTimeout(this.reconcileTimer);
+        this.reconcileTimer = null;
+
+        if (contracts.provider) {
+            contracts.provider.off('error', this.handleProviderError);
+        }
+
+        await Promise.all(this.listeners.map(
+            ([contract, filter, listener]) => contract.off(filter, listener).catch(() => {})
+        ));
+
+        this.listeners = [];
+        this.active = false;
+    }
+
+    /**
+     * Subscribe again (after a reconnect or a suspended tab), replaying
+     * events since the last processed block
+     */
+    async resubscribe() {
+        if (!this.address || this.resubscribing) return;
+
+        this.resubscribing = true;
+        try {
+            await this.subscribe(this.address, { fromBlock: this.lastBlock });
+        } catch (error) {
+            console.warn('[Subscriptions] Resubscribe failed:', error);
+            this.active = false;
+        } finally {
+            this.resubscribing = false;
+        }
+    }
+
+    /**
+     * Apply events from a block range with getLogs
+     * @param {number} fromBlock
+     * @param {number} toBlock
+     */
+    async catchUp(fromBlock, toBlock) {
+        const batches = await Promise.all(this.getSubscriptions(this.address).map(
+            async ([contract, filter, handler]) => {
+                const logs = await contract.queryFilter(filter, fromBlock, toBlock);
+                return logs.map(log => ({ log, handler }));
+            }
+        ));
+
+        batches.flat()
+            .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index)
+            .forEach(({ log, handler }) => this.handle(log, handler));
+    }
+
+    /**
+     * Apply one log (once)
+     * @param {ethers.EventLog} log
+     * @param {Function} handler
+     */
+    handle(log, handler) {
+        const id = `${log.transactionHash}:${log.index}`;
+        if (this.seen.has(id)) return;
+        this.seen.add(id);
+
+        if (log.blockNumber > this.lastBlock) {
+            this.lastBlock = log.blockNumber;
+        }
+
+        // Reorged out: the reconcile re-read fixes state
+        if (!log.removed) {
+            try {
+                handler.call(this, log.args);
+            } catch (error) {
+                console.error('[Subscriptions] Event handler error:', error);
+            }
+        }
+
+        this.scheduleReconcile();
+    }
+
+    /**
+     * Provider errors usually mean the filter or connection was lost
+     */
+    handleProviderError(error) {
+        console.warn('[Subscriptions] Provider error, resubscribing:', error);
+        this.resubscribe();
+    }
+
+    scheduleReconcile() {
+        if (!this.onReconcile) return;
+
+        clearTimeout(this.reconcileTimer);
+        this.reconcileTimer = setTimeout(() => this.onReconcile(), LIVE_UPDATES.RECONCILE_DELAY);
+    }
+
+    // ==================== Event Handlers ====================
+
+    onQuestCompleted({ questType }) {
+        const key = QUEST_TYPE_KEYS[Number(questType)];
+        const completed = QuestState.get('quests.completed') || [];
+
+        if (key && !completed.includes(key)) {
+            QuestState.quests.markCompleted(key);
+        }
+        QuestState.stats.update({ totalQuests: QuestState.get('stats.totalQuests') + 1 });
+    }
+
+    onAllQuestsCompleted({ totalReward, streak }) {
+        QuestState.stats.update({ currentStreak: Number(streak) });
+        QuestEvents.emit(QuestEvents.Types.REWARD_EARNED, {
+            address: this.address,
+            amount: totalReward.toString(),
+            bonus: true
+        });
+    }
+
+    onRewardAccumulated({ amount }) {
+        const pending = BigInt(QuestState.get('rewards.pending') || '0') + amount;
+        this.setPending(pending);
+
+        QuestEvents.emit(QuestEvents.Types.REWARD_EARNED, {
+            address: this.address,
+            amount: amount.toString(),
+            bonus: false
+        });
+    }
+
+    onRewardClaimed({ amount, boostedAmount }) {
+        const pending = BigInt(QuestState.get('rewards.pending') || '0') - amount;
+        const claimed = BigInt(QuestState.get('rewards.claimed') || '0') + boostedAmount;
+        const balance = BigInt(QuestState.get('token.balance') || '0') + boostedAmount;
+
+        this.setPending(pending > 0n ? pending : 0n);
+        QuestState.update('rewards', { claimed: claimed.toString() });
+        QuestState.token.setBalance(balance.toString());
+
+        QuestEvents.emit(QuestEvents.Types.REWARD_CLAIMED, {
+            address: this.address,
+            amount: boostedAmount.toString()
+        });
+    }
+
+    onReferrerSet() {
+        // The user's own boost is unchanged; the reconcile re-read covers it
+    }
+
+    onReferralReceived() {
+        QuestState.stats.update({ referrals: QuestState.get('stats.referrals') + 1 });
+    }
+
+    onSpecialBoostSet({ boost }) {
+        QuestState.stats.update({ specialBoost: Number(boost) });
+    }
+
+    /**
+     * Set pending rewards and the boosted preview that goes with it
+     * @param {bigint} pending
+     */
+    setPending(pending) {
+        const multiplier = BigInt(QuestState.get('stats.boosterMultiplier') || 100);
+        QuestState.update('rewards', {
+            pending: pending.toString(),
+            boosted: (pending * multiplier / 100n).toString()
+        });
+    }
+}
+
+// Export singleton instance
+export const subscriptions = new EventSubscriptions();
+export { EventSubscriptions };
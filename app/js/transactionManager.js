@@ -1,10 +1,39 @@
 /**
  * Quest Mini - Transaction Manager
  * Handles transaction lifecycle, retries, and status tracking
+ *
+ * Every submission runs the txGuards pipeline first; a blocked transaction
+ * is recorded with status BLOCKED and the guard's reason, and never reaches
+ * the wallet. Blocked records stay in memory only, out of the saved history.
+ *
+ * A caller can pass `send` to deliver the call some other way than
+ * contract[method] (the gasless relayer); it must resolve to an object with
+ * a hash and wait(confirmations), like an ethers transaction.
+ *
+ * Records are saved per account and chain on every change. After a reload,
+ * restore() loads them and settles the ones that were still open: mined,
+ * reverted, sped up or replaced by another transaction with the same nonce,
+ * or dropped. The outcome is emitted as txConfirmed / txFailed like a live
+ * transaction, with `restored` set on the record.
+ *
+ * A pending transaction can be sped up (same call and nonce, higher fees) or
+ * cancelled (0-value transfer to self at its nonce). The replacement is
+ * listed on the original record, and the record settles on whichever of them
+ * gets mined: confirmed for the original or a speed-up, REPLACED for a cancel.
+ *
+ * With `queued`, a wallet transaction joins the nonce queue: queued
+ * transactions are broadcast strictly in submission order, each as soon as
+ * the one before it is broadcast (not mined), with nonces counted locally from
+ * the account's pending nonce. A queued transaction that fails invalidates
+ * the queue: the ones behind it that are not sent yet fail with a QueueError,
+ * and the next one starts again from the chain's pending nonce. Queued
+ * transactions are not retried, since a resend would break the order.
  */
 
 import { toast } from './toast.js';
-import { CHAIN_EXPLORER } from './constants.js';
+import { CHAIN_EXPLORER, NETWORKS } from './constants.js';
+import { txGuards, GuardCode } from './txGuards.js';
+import { classifyError, ErrorCode } from './errors.js';
 
 /**
  * Transaction status enum
@@ -16,9 +45,49 @@ const TxStatus = {
     CONFIRMED: 'confirmed',
     FAILED: 'failed',
     REJECTED: 'rejected',
-    REPLACED: 'replaced'
+    REPLACED: 'replaced',
+    DROPPED: 'dropped',
+    BLOCKED: 'blocked'
 };
 
+/**
+ * Raised for a queued transaction that was not sent because one ahead of it
+ * in the nonce queue failed
+ */
+class QueueError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueueError';
+        this.code = 'QUEUE_INVALIDATED';
+    }
+}
+
+/**
+ * Replacements a pending transaction can be given
+ */
+const ReplacementKind = {
+    SPEED_UP: 'speed-up',
+    CANCEL: 'cancel'
+};
+
+// Statuses a record can still move on from
+const OPEN_STATUSES = [TxStatus.PENDING, TxStatus.SUBMITTED, TxStatus.CONFIRMING];
+
+// Record fields written to storage (the receipt is reduced to its block)
+const SAVED_FIELDS = [
+    'id', 'description', 'account', 'chainId', 'status', 'hash', 'from', 'nonce', 'data',
+    'contract', 'method', 'args', 'value', 'createdAt', 'submittedAt', 'confirmedAt',
+    'error', 'blocked', 'relayed', 'startBlock', 'blockNumber', 'replacedBy', 'replacements', 'attempts',
+    'gasUsed', 'fee'
+];
+
+/**
+ * JSON-safe copy of a value (bigints as strings)
+ */
+function toStorable(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+}
+
 /**
  * Transaction Manager Class
  */
@@ -26,14 +95,21 @@ class TransactionManager {
     constructor() {
         this.transactions = new Map();
         this.listeners = new Map();
-        this.pendingQueue = [];
-        this.isProcessing = false;
+        this.pendingQueue = [];       // Nonce queue slots not broadcast yet
+        this.isProcessing = false;    // Whether the queue has slots
+        this.queueSeq = 0;            // Submission order of queue slots
+        this.queueNonces = new Map(); // Next nonce per account (lowercase)
+        this.replacing = new Set();
+        this.guards = txGuards;
         this.config = {
             confirmations: 1,
             timeout: 120000, // 2 minutes
             retryAttempts: 3,
             retryDelay: 5000,
-            gasPriceMultiplier: 1.1
+            gasPriceMultiplier: 1.1,
+            reconcileTimeout: 60000,      // Wait this long for a restored tx still in the mempool
+            replacementScanBlocks: 5000,  // How far back to look for a replacement without a start block
+            replacementFeeBump: 1.125     // Nodes only accept a replacement paying 10%+ more on both fees
         };
     }
 
@@ -48,7 +124,12 @@ class TransactionManager {
             method,
             args = [],
             value = 0,
+            overrides = {},
             description = 'Transaction',
+            account = null,
+            chainId = null,
+            send = null,
+            queued = false,
             onSubmit,
             onConfirm,
             onError
@@ -60,6 +141,8 @@ class TransactionManager {
         const txRecord = {
             id: txId,
             description,
+            account,
+            chainId,
             status: TxStatus.PENDING,
             hash: null,
             contract: contract.target || contract.address,
@@ -70,6 +153,17 @@ class TransactionManager {
             submittedAt: null,
             confirmedAt: null,
             error: null,
+            blocked: null,
+            relayed: Boolean(send),
+            from: null,
+            nonce: null,
+            data: null,
+            startBlock: null,
+            blockNumber: null,
+            replacedBy: null,
+            replacements: [],
+            gasUsed: null,
+            fee: null,
             receipt: null,
             attempts: 0
         };
@@ -77,60 +171,109 @@ class TransactionManager {
         this.transactions.set(txId, txRecord);
         this.emit('txCreated', txRecord);
 
+        // Taken before the guards so the queue keeps submission order
+        const slot = queued && !send && account ? this.joinQueue(txId, account) : null;
+
+        const guardContext = {
+            txId,
+            contract,
+            method,
+            args,
+            value,
+            overrides,
+            description,
+            account,
+            chainId,
+            relayed: Boolean(send),
+            // An earlier queued send failed, so this one won't go out
+            superseded: () => Boolean(slot?.invalidated)
+        };
+        try {
+            await this.guards.run(guardContext);
+        } catch (error) {
+            if (slot) this.leaveQueue(slot, false);
+            return this.block(txRecord, error, onError);
+        }
+
         try {
-            // Execute transaction with retry logic
-            const result = await this.executeWithRetry(async () => {
+            // Retry only the send: once it is broadcast, sending again
+            // would make a second transaction
+            let startBlock = null;
+            const tx = await this.executeWithRetry(async () => {
                 txRecord.attempts++;
                 txRecord.status = TxStatus.PENDING;
                 this.emit('txUpdated', txRecord);
 
-                // Send transaction
-                const tx = await contract[method](...args, { value });
-                
-                txRecord.hash = tx.hash;
-                txRecord.status = TxStatus.SUBMITTED;
-                txRecord.submittedAt = Date.now();
-                this.emit('txSubmitted', txRecord);
+                // Where to look for a replacement if this one disappears
+                const provider = contract.runner?.provider;
+                startBlock = provider && !send ? provider.getBlockNumber().catch(() => null) : null;
 
-                // Show toast notification
-                toast.transaction(tx.hash, `${description} submitted...`);
-                
-                // Call onSubmit callback
-                if (onSubmit) {
-                    onSubmit(tx);
-                }
+                // Send transaction, with the gas limit the gas guard set
+                const sendOverrides = slot
+                    ? { ...guardContext.overrides, nonce: await this.takeTurn(slot, provider) }
+                    : guardContext.overrides;
+                const sent = send
+                    ? await send(sendOverrides)
+                    : await contract[method](...args, { value, ...sendOverrides });
+                if (slot) this.leaveQueue(slot, true, sent.nonce);
+                return sent;
+            }, slot ? 1 : this.config.retryAttempts);
+            this.guards.record(guardContext);
 
-                // Wait for confirmation
-                txRecord.status = TxStatus.CONFIRMING;
-                this.emit('txUpdated', txRecord);
+            txRecord.hash = tx.hash;
+            txRecord.from = tx.from ?? null;
+            txRecord.nonce = tx.nonce ?? null;
+            txRecord.data = tx.data ?? null;
+            txRecord.startBlock = await startBlock;
+            txRecord.status = TxStatus.SUBMITTED;
+            txRecord.submittedAt = Date.now();
+            this.emit('txSubmitted', txRecord);
 
-                const receipt = await this.waitForConfirmation(tx);
-                
-                return { tx, receipt };
-            });
+            // Show toast notification
+            toast.transaction(tx.hash, `${description} submitted...`);
+
+            // Call onSubmit callback
+            if (onSubmit) {
+                onSubmit(tx);
+            }
+
+            // Wait for confirmation
+            txRecord.status = TxStatus.CONFIRMING;
+            this.emit('txUpdated', txRecord);
+
+            // Follow the nonce, not just the hash, so a speed-up or cancel
+            // (from here or the wallet) settles the wait. A network error or
+            // timeout waits on the same transaction again.
+            const followed = txRecord.startBlock !== null && tx.replaceableTransaction
+                ? tx.replaceableTransaction(txRecord.startBlock)
+                : tx;
+            const receipt = await this.executeWithRetry(() => this.waitForConfirmation(followed, txRecord));
 
             // Update record on success
             txRecord.status = TxStatus.CONFIRMED;
             txRecord.confirmedAt = Date.now();
-            txRecord.receipt = result.receipt;
+            txRecord.receipt = receipt;
+            txRecord.blockNumber = receipt.blockNumber;
             this.emit('txConfirmed', txRecord);
 
             toast.success(`${description} confirmed!`, {
-                txHash: txRecord.hash
+                txHash: txRecord.replacedBy || txRecord.hash
             });
 
             if (onConfirm) {
-                onConfirm(result.receipt);
+                onConfirm(receipt);
             }
 
             return {
                 success: true,
                 txId,
                 hash: txRecord.hash,
-                receipt: result.receipt
+                receipt: receipt
             };
 
         } catch (error) {
+            if (slot) this.leaveQueue(slot, false);
+
             // Handle failure
             txRecord.status = this.categorizeError(error);
             txRecord.error = error.message;
@@ -147,18 +290,55 @@ class TransactionManager {
                 txId,
                 error: error.message
             };
+        } finally {
+            this.guards.release(guardContext);
+        }
+    }
+
+    /**
+     * Record a transaction a guard stopped before it was sent
+     * @param {Object} txRecord
+     * @param {Error} error - GuardError (anything else is reported as a failure)
+     * @param {Function} [onError]
+     * @returns {Object} Result with blocked: { guard, code, message, details }
+     */
+    block(txRecord, error, onError) {
+        const blocked = error.name === 'GuardError'
+            ? error.toJSON()
+            : { guard: null, code: null, message: error.message, details: {} };
+
+        txRecord.status = TxStatus.BLOCKED;
+        txRecord.error = blocked.message;
+        txRecord.blocked = blocked;
+        this.emit('txBlocked', txRecord);
+
+        // A second click on the same action, or a cancelled review, needs no toast
+        if (blocked.code !== GuardCode.DUPLICATE && blocked.code !== GuardCode.REVIEW_CANCELLED) {
+            toast.warning(blocked.message, 'Not sent');
         }
+
+        if (onError) {
+            onError(error);
+        }
+
+        return {
+            success: false,
+            txId: txRecord.id,
+            error: blocked.message,
+            blocked
+        };
     }
 
     /**
      * Execute with retry logic
      * @param {Function} fn - Function to execute
+     * @param {number} [attempts] - Defaults to config.retryAttempts
      * @returns {Promise<*>} Result
      */
-    async executeWithRetry(fn) {
+    async executeWithRetry(fn, attempts = this.config.retryAttempts) {
         let lastError;
         
-        for (let i = 0; i < this.config.retryAttempts; i++) {
+        for (let i = 0; i < attempts; i++) {
             try {
                 return await fn();
             } catch (error) {
@@ -170,7 +350,7 @@ class TransactionManager {
                 }
 
                 // Wait before retry
-                if (i < this.config.retryAttempts - 1) {
+                if (i < attempts - 1) {
                     await this.sleep(this.config.retryDelay * (i + 1));
                 }
             }
@@ -182,15 +362,17 @@ class TransactionManager {
     /**
      * Wait for transaction confirmation
      * @param {Object} tx - Transaction object
-     * @returns {Promise<Object>} Receipt
+     * @param {Object} [txRecord] - Gets replacedBy if another tx takes the nonce
+     * @returns {Promise<Object>} Receipt (the replacement's, if it was sped up)
      */
-    async waitForConfirmation(tx) {
+    async waitForConfirmation(tx, txRecord = null) {
         const startTime = Date.now();
 
         return new Promise((resolve, reject) => {
             const checkConfirmation = async () => {
                 try {
                     const receipt = await tx.wait(this.config.confirmations);
+                    if (txRecord) await this.recordCost(txRecord, receipt);
                     
                     if (receipt.status === 0) {
                         reject(new Error('Transaction reverted'));
@@ -199,18 +381,26 @@ class TransactionManager {
                     
                     resolve(receipt);
                 } catch (error) {
-                    if (Date.now() - startTime > this.config.timeout) {
-                        reject(new Error('Transaction confirmation timeout'));
-                        return;
-                    }
-                    
-                    // Check if replaced
+                    // Check if replaced; a speed-up carries on as this
+                    // transaction, anything else (a cancel) ends it
                     if (error.code === 'TRANSACTION_REPLACED') {
-                        if (error.replacement) {
-                            resolve(await error.replacement.wait());
-                            return;
+                        if (txRecord) {
+                            txRecord.replacedBy = error.hash;
+                            await this.recordCost(txRecord, error.receipt);
+                        }
+
+                        if (error.cancelled) {
+                            reject(error);
+                        } else if (error.receipt.status === 0) {
+                            reject(new Error('Transaction reverted'));
+                        } else {
+                            resolve(error.receipt);
                         }
-                        reject(error);
+                        return;
+                    }
+
+                    if (Date.now() - startTime > this.config.timeout) {
+                        reject(new Error('Transaction confirmation timeout'));
                         return;
                     }
                     
@@ -228,15 +418,7 @@ class TransactionManager {
      * @returns {boolean}
      */
     isPermanentError(error) {
-        const permanentCodes = [
-            4001,  // User rejected
-            -32000, // Execution reverted
-            'UNPREDICTABLE_GAS_LIMIT',
-            'INSUFFICIENT_FUNDS'
-        ];
-
-        return permanentCodes.includes(error.code) || 
-               permanentCodes.includes(error.reason);
+        return !classifyError(error).retryable;
     }
 
     /**
@@ -245,10 +427,11 @@ class TransactionManager {
      * @returns {string} Status
      */
     categorizeError(error) {
-        if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        const { code } = classifyError(error);
+        if (code === ErrorCode.USER_REJECTED) {
             return TxStatus.REJECTED;
         }
-        if (error.code === 'TRANSACTION_REPLACED') {
+        if (code === ErrorCode.TRANSACTION_REPLACED || code === ErrorCode.TRANSACTION_CANCELLED) {
             return TxStatus.REPLACED;
         }
         return TxStatus.FAILED;
@@ -260,18 +443,7 @@ class TransactionManager {
      * @returns {string}
      */
     getUserFriendlyError(error) {
-        const errorMessages = {
-            4001: 'Transaction was rejected',
-            'ACTION_REJECTED': 'Transaction was rejected',
-            'INSUFFICIENT_FUNDS': 'Insufficient funds for gas',
-            'UNPREDICTABLE_GAS_LIMIT': 'Transaction will fail',
-            'CALL_EXCEPTION': 'Contract execution failed'
-        };
-
-        return errorMessages[error.code] || 
-               errorMessages[error.reason] || 
-               error.shortMessage ||
-               'Transaction failed';
+        return classifyError(error).message;
     }
 
     /**
@@ -285,12 +457,21 @@ class TransactionManager {
 
     /**
      * Get all transactions
-     * @param {Object} filter - Filter options
+     * @param {Object} filter - Filter options (status, since, account, chainId)
      * @returns {Array}
      */
     getAllTransactions(filter = {}) {
         let txs = Array.from(this.transactions.values());
 
+        if (filter.account) {
+            const account = filter.account.toLowerCase();
+            txs = txs.filter(tx => tx.account && tx.account.toLowerCase() === account);
+        }
+
+        if (filter.chainId) {
+            txs = txs.filter(tx => tx.chainId === filter.chainId);
+        }
+
         if (filter.status) {
             txs = txs.filter(tx => tx.status === filter.status);
         }
@@ -316,6 +497,519 @@ class TransactionManager {
         }));
     }
 
+    // ==================== Nonce Queue ====================
+
+    /**
+     * Take the last place in the nonce queue
+     * @param {string} txId
+     * @param {string} account - Sending address
+     * @returns {Object} Slot for takeTurn / leaveQueue
+     */
+    joinQueue(txId, account) {
+        const previous = this.pendingQueue[this.pendingQueue.length - 1];
+        const slot = {
+            txId,
+            account: account.toLowerCase(),
+            seq: ++this.queueSeq,
+            invalidated: false,
+            turn: previous ? previous.left : Promise.resolve(),
+            left: null,
+            leave: null
+        };
+        slot.left = new Promise((resolve) => {
+            slot.leave = resolve;
+        });
+
+        this.pendingQueue.push(slot);
+        this.isProcessing = true;
+        return slot;
+    }
+
+    /**
+     * Wait until every transaction ahead has been broadcast (or has failed)
+     * @param {Object} slot - From joinQueue
+     * @param {ethers.Provider} provider
+     * @returns {Promise<number>} Nonce to send with
+     * @throws {QueueError} If a failure ahead invalidated the queue
+     */
+    async takeTurn(slot, provider) {
+        await slot.turn;
+
+        if (slot.invalidated) {
+            throw new QueueError('Not sent: an earlier transaction in the queue failed');
+        }
+
+        if (!this.queueNonces.has(slot.account)) {
+            this.queueNonces.set(slot.account, await provider.getTransactionCount(slot.account, 'pending'));
+        }
+        return this.queueNonces.get(slot.account);
+    }
+
+    /**
+     * Let the next slot go: after a broadcast, or on failure, which
+     * invalidates every slot behind this one that is not sent yet (also
+     * when this transaction was already sent and failed later)
+     * @param {Object} slot - From joinQueue
+     * @param {boolean} broadcast - Whether the transaction went out
+     * @param {number} [nonce] - Nonce the wallet sent it with
+     */
+    leaveQueue(slot, broadcast, nonce) {
+        if (!broadcast) {
+            this.pendingQueue
+                .filter(waiting => waiting.seq > slot.seq)
+                .forEach((waiting) => {
+                    waiting.invalidated = true;
+                });
+            this.queueNonces.clear();
+        } else if (nonce !== undefined && nonce !== null) {
+            // The wallet has the last word on the nonce; count on from its choice
+            this.queueNonces.set(slot.account, nonce + 1);
+        }
+
+        const index = this.pendingQueue.indexOf(slot);
+        if (index === -1) return;
+
+        this.pendingQueue.splice(index, 1);
+        slot.leave();
+
+        // Rebuilt from the chain's pending nonce when the queue starts again,
+        // which also picks up anything sent from outside the app meanwhile
+        this.isProcessing = this.pendingQueue.length > 0;
+        if (!this.isProcessing) {
+            this.queueNonces.clear();
+        }
+    }
+
+    // ==================== Speed Up / Cancel ====================
+
+    /**
+     * Whether a record can be sped up or cancelled: sent from the user's
+     * wallet, not mined yet, and followed by nonce so the replacement is seen
+     * @param {Object} txRecord
+     * @returns {boolean}
+     */
+    canReplace(txRecord) {
+        return OPEN_STATUSES.includes(txRecord.status)
+            && Boolean(txRecord.hash && txRecord.from)
+            && txRecord.nonce !== null
+            && !txRecord.relayed
+            && (txRecord.restored || txRecord.startBlock !== null)
+            && !this.replacing.has(txRecord.id);
+    }
+
+    /**
+     * Resend a pending transaction's call at its nonce with higher fees
+     * @param {string} txId
+     * @param {ethers.Signer} signer - The account that sent it
+     * @returns {Promise<ethers.TransactionResponse>} The replacement
+     */
+    speedUp(txId, signer) {
+        return this.replace(txId, ReplacementKind.SPEED_UP, signer);
+    }
+
+    /**
+     * Take a pending transaction's nonce with a 0-value transfer to self
+     * @param {string} txId
+     * @param {ethers.Signer} signer - The account that sent it
+     * @returns {Promise<ethers.TransactionResponse>} The replacement
+     */
+    cancel(txId, signer) {
+        return this.replace(txId, ReplacementKind.CANCEL, signer);
+    }
+
+    /**
+     * Send a replacement at a record's nonce and link it to the record
+     * @param {string} txId
+     * @param {string} kind - ReplacementKind
+     * @param {ethers.Signer} signer
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    async replace(txId, kind, signer) {
+        const txRecord = this.transactions.get(txId);
+        if (!txRecord || !this.canReplace(txRecord)) {
+            throw new Error('This transaction can no longer be replaced');
+        }
+        if ((await signer.getAddress()).toLowerCase() !== txRecord.from.toLowerCase()) {
+            throw new Error('Switch to the account that sent this transaction');
+        }
+
+        const { provider } = signer;
+        const replacements = txRecord.replacements || [];
+        this.replacing.add(txId);
+        this.emit('txUpdated', txRecord);
+
+        try {
+            // Outbid the latest attempt at this nonce, not just the original
+            const latestHash = replacements.length ? replacements[replacements.length - 1].hash : txRecord.hash;
+            const [original, latest] = await Promise.all([
+                provider.getTransaction(txRecord.hash),
+                provider.getTransaction(latestHash)
+            ]);
+            if ([original, latest].some(tx => tx && tx.blockNumber !== null)) {
+                throw new Error('Already mined');
+            }
+
+            const call = kind === ReplacementKind.CANCEL
+                ? { to: txRecord.from, value: 0n, data: '0x', gasLimit: 21000n }
+                : {
+                    to: txRecord.contract,
+                    value: BigInt(txRecord.value || 0),
+                    data: txRecord.data,
+                    gasLimit: original ? original.gasLimit : undefined
+                };
+
+            const replacement = await signer.sendTransaction({
+                ...call,
+                nonce: txRecord.nonce,
+                ...await this.replacementFees(latest, provider)
+            });
+
+            txRecord.replacements = [...replacements, { hash: replacement.hash, kind, sentAt: Date.now() }];
+            this.replacing.delete(txId);
+            this.emit('txUpdated', txRecord);
+
+            toast.transaction(replacement.hash, kind === ReplacementKind.CANCEL
+                ? `Cancelling ${txRecord.description}...`
+                : `${txRecord.description} sped up...`);
+
+            // Live sends follow the nonce already; nothing waits on a restored one
+            if (txRecord.restored) {
+                this.followRestored(txRecord, provider);
+            }
+
+            return replacement;
+        } finally {
+            if (this.replacing.delete(txId)) {
+                this.emit('txUpdated', txRecord);
+            }
+        }
+    }
+
+    /**
+     * Fees for a replacement: the replaced transaction's bumped by
+     * replacementFeeBump, or the network's current fees if higher
+     * @param {ethers.TransactionResponse|null} replaced - null once the node
+     *   has dropped it; the current fees are bumped instead
+     * @param {ethers.Provider} provider
+     * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+     */
+    async replacementFees(replaced, provider) {
+        const feeData = await provider.getFeeData();
+        const base = replaced || feeData;
+        // ethers leaves fees a transaction or chain doesn't use as null
+        const bump = fee => (fee === null
+            ? null
+            : (BigInt(fee) * BigInt(Math.round(this.config.replacementFeeBump * 1000)) + 999n) / 1000n);
+        const max = (...fees) => fees.reduce((highest, fee) => (fee !== null && BigInt(fee) > highest ? BigInt(fee) : highest), 0n);
+
+        // Legacy (type 0) transaction or chain
+        if (base.maxFeePerGas === null) {
+            return { gasPrice: max(bump(base.gasPrice), feeData.gasPrice) };
+        }
+
+        const maxPriorityFeePerGas = max(bump(base.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas);
+        return {
+            maxPriorityFeePerGas,
+            maxFeePerGas: max(bump(base.maxFeePerGas), feeData.maxFeePerGas, maxPriorityFeePerGas)
+        };
+    }
+
+    /**
+     * Settle a restored record on whichever of its transactions is mined first
+     * @param {Object} txRecord
+     * @param {ethers.Provider} provider
+     */
+    async followRestored(txRecord, provider) {
+        const hashes = [txRecord.hash, ...txRecord.replacements.map(r => r.hash)];
+        try {
+            const receipt = await Promise.race(
+                hashes.map(hash => provider.waitForTransaction(hash, this.config.confirmations))
+            );
+            if (receipt) await this.settleMined(txRecord, receipt);
+        } catch (error) {
+            console.warn(`[TxManager] Could not follow ${txRecord.hash}:`, error);
+        }
+    }
+
+    // ==================== Persistence ====================
+
+    /**
+     * Save a record to its account's history. A blocked one is taken out
+     * again (it was saved when created): it never reached the chain.
+     * @param {Object} txRecord
+     */
+    save(txRecord) {
+        if (!txRecord.account || !txRecord.chainId) return;
+
+        if (txRecord.status === TxStatus.BLOCKED) {
+            QuestStorage.history.removeTransaction(txRecord.account, txRecord.chainId, txRecord.id);
+            return;
+        }
+
+        const saved = {};
+        SAVED_FIELDS.forEach((field) => {
+            saved[field] = txRecord[field] ?? null;
+        });
+        QuestStorage.history.saveTransaction(txRecord.account, txRecord.chainId, toStorable(saved));
+    }
+
+    /**
+     * Load an account's saved transactions and settle the ones that were
+     * still open when the page closed. Each open record is emitted as
+     * txRestored first, then txConfirmed or txFailed once settled (or
+     * txUpdated if it is still waiting in the mempool).
+     * @param {string} account
+     * @param {number} chainId
+     * @param {ethers.Provider} provider
+     * @returns {Promise<Array<Object>>} The records that were open
+     */
+    async restore(account, chainId, provider) {
+        const open = [];
+
+        QuestStorage.history.getTransactions(account, chainId).forEach((saved) => {
+            if (this.transactions.has(saved.id)) return;
+
+            const txRecord = { ...saved, receipt: null };
+            this.transactions.set(txRecord.id, txRecord);
+            if (OPEN_STATUSES.includes(txRecord.status)) {
+                txRecord.restored = true;
+                open.push(txRecord);
+            }
+        });
+
+        open.forEach(txRecord => this.emit('txRestored', txRecord));
+
+        await Promise.all(open.map(async (txRecord) => {
+            try {
+                await this.reconcile(txRecord, provider);
+            } catch (error) {
+                // Left open; the next load tries again
+                console.warn(`[TxManager] Could not reconcile ${txRecord.hash}:`, error);
+            }
+        }));
+
+        return open;
+    }
+
+    /**
+     * Work out what happened to a transaction sent before a reload
+     * @param {Object} txRecord - Open record
+     * @param {ethers.Provider} provider
+     */
+    async reconcile(txRecord, provider) {
+        if (!txRecord.hash) {
+            // The wallet prompt was open when the page closed
+            this.settleRestored(txRecord, TxStatus.FAILED, 'The page closed before it was sent');
+            return;
+        }
+
+        let receipt = await provider.getTransactionReceipt(txRecord.hash);
+        if (receipt) {
+            await this.settleReceipt(txRecord, receipt);
+            return;
+        }
+
+        if (await this.settleIfNonceUsed(txRecord, provider)) return;
+
+        // Not mined and nothing else took its nonce: wait a while
+        txRecord.status = TxStatus.CONFIRMING;
+        this.emit('txUpdated', txRecord);
+
+        try {
+            receipt = await provider.waitForTransaction(
+                txRecord.hash, this.config.confirmations, this.config.reconcileTimeout
+            );
+        } catch (error) {
+            if (error.code !== 'TIMEOUT') throw error;
+            receipt = null;
+        }
+        if (receipt) {
+            await this.settleReceipt(txRecord, receipt);
+            return;
+        }
+
+        if (await this.settleIfNonceUsed(txRecord, provider)) return;
+
+        if (await provider.getTransaction(txRecord.hash)) {
+            // Still pending; checked again on the next load
+            txRecord.status = TxStatus.SUBMITTED;
+            this.emit('txUpdated', txRecord);
+            return;
+        }
+
+        this.settleRestored(txRecord, TxStatus.DROPPED, 'Dropped without being mined');
+    }
+
+    /**
+     * Settle a record whose nonce was used by another transaction: sped up
+     * (same call, settled by the replacement's receipt) or replaced
+     * @returns {Promise<boolean>} Whether the record was settled
+     */
+    async settleIfNonceUsed(txRecord, provider) {
+        if (!txRecord.from || txRecord.nonce === null) return false;
+
+        const count = await provider.getTransactionCount(txRecord.from, 'latest');
+        if (count <= txRecord.nonce) return false;
+
+        // Mined after all (the receipt may have landed since the last look)
+        const receipt = await provider.getTransactionReceipt(txRecord.hash);
+        if (receipt) {
+            await this.settleReceipt(txRecord, receipt);
+            return true;
+        }
+
+        const replacement = await this.findReplacement(txRecord, provider);
+        if (!replacement) {
+            this.settleRestored(txRecord, TxStatus.REPLACED, 'Replaced by another transaction');
+            return true;
+        }
+
+        txRecord.replacedBy = replacement.hash;
+        const sameCall = replacement.to?.toLowerCase() === txRecord.contract?.toLowerCase()
+            && replacement.data === txRecord.data
+            && BigInt(replacement.value) === BigInt(txRecord.value || 0);
+
+        if (sameCall) {
+            await this.settleReceipt(txRecord, await provider.getTransactionReceipt(replacement.hash));
+        } else {
+            this.settleRestored(txRecord, TxStatus.REPLACED, this.replacedReason(txRecord, replacement.hash));
+        }
+        return true;
+    }
+
+    /**
+     * Settle a restored record from the receipt of its own transaction or
+     * of a replacement sent from here
+     */
+    async settleMined(txRecord, receipt) {
+        if (receipt.hash !== txRecord.hash) {
+            txRecord.replacedBy = receipt.hash;
+            const sent = (txRecord.replacements || []).find(r => r.hash === receipt.hash);
+            if (sent?.kind === ReplacementKind.CANCEL) {
+                txRecord.blockNumber = receipt.blockNumber;
+                await this.recordCost(txRecord, receipt);
+                this.settleRestored(txRecord, TxStatus.REPLACED, this.replacedReason(txRecord, receipt.hash));
+                return;
+            }
+        }
+        await this.settleReceipt(txRecord, receipt);
+    }
+
+    /**
+     * Why a record ended REPLACED
+     */
+    replacedReason(txRecord, hash) {
+        const sent = (txRecord.replacements || []).find(r => r.hash === hash);
+        return sent?.kind === ReplacementKind.CANCEL ? 'Cancelled' : 'Replaced by another transaction';
+    }
+
+    /**
+     * Find the mined transaction that used a record's nonce: binary search
+     * for the block where the sender's nonce passed it, then look in that
+     * block
+     * @returns {Promise<ethers.TransactionResponse|null>}
+     */
+    async findReplacement(txRecord, provider) {
+        const { from, nonce } = txRecord;
+        const latest = await provider.getBlockNumber();
+
+        let low = txRecord.startBlock ?? Math.max(latest - this.config.replacementScanBlocks, 0);
+        let high = latest;
+
+        try {
+            if (await provider.getTransactionCount(from, low) > nonce) return null;
+
+            while (low < high) {
+                const mid = Math.floor((low + high) / 2);
+                if (await provider.getTransactionCount(from, mid) > nonce) {
+                    high = mid;
+                } else {
+                    low = mid + 1;
+                }
+            }
+
+            const block = await provider.getBlock(high, true);
+            return block?.prefetchedTransactions.find(
+                tx => tx.from.toLowerCase() === from.toLowerCase() && tx.nonce === nonce
+            ) || null;
+        } catch (error) {
+            // Historical state not served by this RPC
+            console.warn('[TxManager] Replacement lookup failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Note the gas a mined transaction used and what the account paid for
+     * it (nothing when the relayer sent it), L1 data fee included
+     * @param {Object} txRecord
+     * @param {Object} receipt - Of the transaction that took the nonce
+     */
+    async recordCost(txRecord, receipt) {
+        txRecord.gasUsed = receipt.gasUsed.toString();
+        txRecord.fee = txRecord.relayed ? '0' : (receipt.fee + await this.getL1Fee(receipt)).toString();
+    }
+
+    /**
+     * L1 data fee an OP Stack transaction paid on top of its gas. ethers'
+     * receipt leaves it out, so it is read from the raw receipt.
+     * @param {Object} receipt
+     * @returns {Promise<BigInt>} Wei; 0 elsewhere or when it can't be read
+     */
+    async getL1Fee(receipt) {
+        try {
+            const { provider } = receipt;
+            if (!NETWORKS[Number((await provider.getNetwork()).chainId)]?.opStack) return 0n;
+
+            const raw = await provider.send('eth_getTransactionReceipt', [receipt.hash]);
+            return raw?.l1Fee ? BigInt(raw.l1Fee) : 0n;
+        } catch (error) {
+            console.warn(`[TxManager] Could not read the L1 fee of ${receipt.hash}:`, error);
+            return 0n;
+        }
+    }
+
+    /**
+     * Settle a restored record from a receipt
+     */
+    async settleReceipt(txRecord, receipt) {
+        txRecord.blockNumber = receipt.blockNumber;
+        txRecord.receipt = receipt;
+        await this.recordCost(txRecord, receipt);
+
+        if (receipt.status === 0) {
+            this.settleRestored(txRecord, TxStatus.FAILED, 'Transaction reverted');
+        } else {
+            this.settleRestored(txRecord, TxStatus.CONFIRMED);
+        }
+    }
+
+    /**
+     * Move a restored record to its final status and tell listeners
+     * @param {Object} txRecord
+     * @param {string} status - TxStatus
+     * @param {string} [error] - Reason, for anything but CONFIRMED
+     */
+    settleRestored(txRecord, status, error = null) {
+        // Reconcile and a replacement's wait can both get here
+        if (!OPEN_STATUSES.includes(txRecord.status)) return;
+
+        txRecord.status = status;
+        txRecord.error = error;
+
+        if (status === TxStatus.CONFIRMED) {
+            txRecord.confirmedAt = Date.now();
+            this.emit('txConfirmed', txRecord);
+            toast.success(`${txRecord.description} confirmed!`, { txHash: txRecord.replacedBy || txRecord.hash });
+        } else if (error === 'Cancelled') {
+            this.emit('txFailed', txRecord);
+            toast.info(`${txRecord.description} cancelled`);
+        } else {
+            this.emit('txFailed', txRecord);
+            toast.error(`${txRecord.description} failed: ${error}`);
+        }
+    }
+
     /**
      * Get explorer URL for transaction
      * @param {string} hash - Transaction hash
@@ -349,9 +1043,14 @@ class TransactionManager {
     }
 
     /**
-     * Emit event
+     * Emit event; transaction records are saved first, so storage never
+     * lags behind what listeners saw
      */
     emit(event, data) {
+        if (data && this.transactions.get(data.id) === data) {
+            this.save(data);
+        }
+
         if (this.listeners.has(event)) {
             this.listeners.get(event).forEach(cb => {
                 try {
@@ -394,4 +1093,4 @@ class TransactionManager {
 
 // Export singleton instance
 export const txManager = new TransactionManager();
-export { TransactionManager, TxStatus };
+export { TransactionManager, TxStatus, ReplacementKind, QueueError };
@@ -0,0 +1,336 @@
+/**
+ * Quest Mini - Transaction Guards
+ * Pre-flight checks txManager runs before a transaction reaches the wallet
+ *
+ * Guards run in order and share one context. A guard blocks the send by
+ * throwing a GuardError, whose code and message the UI can show as is:
+ *
+ *   chain       wallet on the chain the contracts are on (switches if not)
+ *   lock        one in-flight transaction per action and account
+ *   rateLimit   txRateLimiter per account, questRateLimiter for quests (counted
+ *               by record() once the send is broadcast)
+ *   arguments   argument count, plus the QuestValidation validators where a
+ *               method has one
+ *   gas         enough ETH (unless relayed); sets the gas limit from gasLimits, or
+ *               checks the estimate fits the override from settings
+ *   simulation  eth_call from the sender, decoding the revert reason
+ *
+ * main.js adds txReview's `review` guard last, so the user confirms what
+ * passed every check (GuardCode.REVIEW_CANCELLED when they don't).
+ */
+
+import { DAILY_QUESTS } from './constants.js';
+import { wallet } from './wallet.js';
+import { txRateLimiter, questRateLimiter } from './rateLimiter.js';
+import { classifyError, ErrorCode } from './errors.js';
+import { gasLimits } from './gasLimits.js';
+
+/**
+ * Guard block codes
+ */
+const GuardCode = {
+    WRONG_CHAIN: 'WRONG_CHAIN',
+    DUPLICATE: 'DUPLICATE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
+    GAS_LIMIT_TOO_LOW: 'GAS_LIMIT_TOO_LOW',
+    INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+    WILL_REVERT: 'WILL_REVERT',
+    REVIEW_CANCELLED: 'REVIEW_CANCELLED'
+};
+
+// Hub quest methods (the claim has no status flag)
+const QUEST_METHODS = DAILY_QUESTS.filter(quest => quest.statusFlag).map(quest => quest.method);
+
+/**
+ * Raised by a guard to stop a transaction before it is sent
+ */
+class GuardError extends Error {
+    /**
+     * @param {string} guard - Guard name
+     * @param {string} code - GuardCode value
+     * @param {string} message - Shown to the user
+     * @param {Object} [details] - Anything else the UI may want
+     */
+    constructor(guard, code, message, details = {}) {
+        super(message);
+        this.name = 'GuardError';
+        this.guard = guard;
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * Plain object for transaction records and results
+     * @returns {Object} { guard, code, message, details }
+     */
+    toJSON() {
+        return { guard: this.guard, code: this.code, message: this.message, details: this.details };
+    }
+}
+
+// ==================== Guards ====================
+
+/**
+ * The wallet must be on the chain the contracts were set up for. The wallet
+ * is asked live, since a missed chainChanged would leave wallet.chainId stale.
+ */
+async function chainGuard(context) {
+    if (!context.chainId || !wallet.isConnected()) return;
+
+    let current = await wallet.getChainId();
+    if (current === context.chainId) return;
+
+    try {
+        await wallet.switchNetwork(context.chainId);
+        current = await wallet.getChainId();
+    } catch (error) {
+        // Rejected or unknown chain: reported below
+    }
+
+    if (current !== context.chainId) {
+        throw new GuardError('chain', GuardCode.WRONG_CHAIN,
+            'Switch your wallet to the network the app is using', { expected: context.chainId, current });
+    }
+}
+
+/**
+ * Held locks, by account, contract and method
+ */
+const locks = new Set();
+
+function lockKey(context) {
+    return `${context.account || ''}:${context.chainId || ''}:${context.contractAddress}:${context.method}`.toLowerCase();
+}
+
+/**
+ * Only one transaction per action at a time (double clicks, a run and a
+ * quest card racing). The lock is released by txManager when it finishes.
+ */
+function lockGuard(context) {
+    const key = lockKey(context);
+    if (locks.has(key)) {
+        throw new GuardError('lock', GuardCode.DUPLICATE, `${context.description} is already being sent`);
+    }
+
+    locks.add(key);
+    context.lock = key;
+}
+
+/**
+ * Transactions per account per minute, and quests per account per hour.
+ * Only checked here: a send a later guard blocks, or the user cancels, must
+ * not count, so TxGuardPipeline.record() counts it once broadcast.
+ */
+function rateLimitGuard(context) {
+    const account = (context.account || 'anonymous').toLowerCase();
+    const limiters = [txRateLimiter];
+    if (QUEST_METHODS.includes(context.method)) {
+        limiters.push(questRateLimiter);
+    }
+
+    for (const limiter of limiters) {
+        const status = limiter.check(account);
+        if (!status.allowed) {
+            const seconds = Math.max(Math.ceil((status.resetAt - Date.now()) / 1000), 1);
+            throw new GuardError('rateLimit', GuardCode.RATE_LIMITED,
+                `Too many transactions, try again in ${seconds}s`, { resetAt: status.resetAt });
+        }
+    }
+
+    context.rateLimit = { account, limiters };
+}
+
+/**
+ * Arguments match the ABI and pass the QuestValidation schema for the
+ * method. Quests take no arguments, so the ABI count is all there is to check.
+ */
+function argumentsGuard(context) {
+    const { contract, method, args, account } = context;
+    const fragment = contract.interface.getFunction(method);
+
+    const fail = (errors) => {
+        throw new GuardError('arguments', GuardCode.INVALID_ARGUMENTS,
+            errors.map(e => e.error).join('; '), { errors });
+    };
+
+    if (!fragment) {
+        fail([{ field: 'method', error: `Unknown method ${method}` }]);
+    }
+    if (fragment.inputs.length !== args.length) {
+        fail([{ field: 'args', error: `${method} takes ${fragment.inputs.length} argument(s), got ${args.length}` }]);
+    }
+
+    const { validators, isValidAddress } = QuestValidation;
+    let result = { valid: true, errors: [] };
+
+    if (method === 'claimRewards') {
+        result = validators.claimRewards({ address: account });
+    } else if (method === 'setReferrer') {
+        const [referrer] = args;
+        if (!isValidAddress(referrer)) {
+            result = { valid: false, errors: [{ field: 'referrer', error: 'Invalid referrer address' }] };
+        } else if (account && referrer.toLowerCase() === account.toLowerCase()) {
+            result = { valid: false, errors: [{ field: 'referrer', error: 'You cannot refer yourself' }] };
+        }
+    }
+
+    if (!result.valid) fail(result.errors);
+}
+
+/**
+ * Estimate gas and set the gas limit, or check the estimate fits the gas
+ * limit override. Reverts are left to the simulation guard, which reports
+ * the reason. Relayed calls are paid by the relayer, so the sender's balance
+ * doesn't matter.
+ */
+async function gasGuard(context) {
+    const { contract, method, args, value, overrides, relayed, chainId, contractAddress } = context;
+    const { gasLimit, ...rest } = overrides;
+
+    let estimate = null;
+    try {
+        estimate = await contract[method].estimateGas(...args, { ...rest, value });
+    } catch (error) {
+        if (error.code === 'INSUFFICIENT_FUNDS' && !relayed) {
+            throw new GuardError('gas', GuardCode.INSUFFICIENT_FUNDS, 'Not enough ETH to pay for gas');
+        }
+        if (error.code !== 'CALL_EXCEPTION') {
+            // RPC trouble: the limit falls back to the method's gasUsed history
+            console.warn('[TxGuards] Gas estimate failed:', error);
+        }
+    }
+
+    if (gasLimit === undefined) {
+        // A copy: callers reuse their overrides across sends
+        context.overrides = {
+            ...overrides,
+            gasLimit: gasLimits.limitFor({ chainId, contract: contractAddress, method }, estimate)
+        };
+        if (estimate !== null) context.gasEstimate = estimate;
+        return;
+    }
+
+    if (estimate === null) return;
+    context.gasEstimate = estimate;
+    if (BigInt(gasLimit) < estimate) {
+        throw new GuardError('gas', GuardCode.GAS_LIMIT_TOO_LOW,
+            `Gas limit ${gasLimit} is below the ${estimate} this transaction needs; raise it in settings`,
+            { gasLimit: String(gasLimit), estimate: estimate.toString() });
+    }
+}
+
+/**
+ * Run the call against the latest state and stop it if it would revert
+ */
+async function simulationGuard(context) {
+    const { contract, method, args, value, overrides } = context;
+
+    try {
+        // Kept for the review screen (a quest's return value is its reward)
+        context.simulation = { result: await contract[method].staticCall(...args, { ...overrides, value }) };
+    } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+            // Simulation unavailable (RPC hiccup); let the wallet decide
+            console.warn('[TxGuards] Simulation failed:', error);
+            return;
+        }
+        // Known reverts read as their message, others as the raw reason
+        const { code, message, reason } = classifyError(error);
+        const detail = code === ErrorCode.REVERTED ? reason : message;
+        throw new GuardError('simulation', GuardCode.WILL_REVERT,
+            detail ? `${context.description} would fail: ${detail}` : `${context.description} would fail`,
+            { reason, errorCode: code });
+    }
+}
+
+/**
+ * Transaction Guard Pipeline Class
+ */
+class TxGuardPipeline {
+    constructor() {
+        this.guards = [];
+    }
+
+    /**
+     * Add a guard to the end of the pipeline
+     * @param {string} name
+     * @param {Function} guard - (context) => void | Promise<void>; throws GuardError to block
+     * @returns {TxGuardPipeline}
+     */
+    use(name, guard) {
+        this.guards.push({ name, guard });
+        return this;
+    }
+
+    /**
+     * Remove a guard by name
+     * @param {string} name
+     */
+    remove(name) {
+        this.guards = this.guards.filter(entry => entry.name !== name);
+    }
+
+    /**
+     * Run every guard in order
+     * @param {Object} context - { txId, contract, method, args, value, overrides, description, account, chainId,
+     *        relayed, superseded } (superseded() is true once the send is no longer wanted)
+     * @returns {Promise<Object>} The context, with anything guards added (gasEstimate, simulation,
+     *          overrides.gasLimit)
+     * @throws {GuardError}
+     */
+    async run(context) {
+        context.contractAddress = context.contract.target || context.contract.address;
+
+        try {
+            for (const { guard } of this.guards) {
+                await guard(context);
+            }
+        } catch (error) {
+            this.release(context);
+            throw error;
+        }
+        return context;
+    }
+
+    /**
+     * Count a broadcast send against the rate limits the run checked
+     * @param {Object} context - As passed to run()
+     */
+    record(context) {
+        if (context.rateLimit) {
+            const { account, limiters } = context.rateLimit;
+            limiters.forEach(limiter => limiter.record(account));
+            context.rateLimit = null;
+        }
+    }
+
+    /**
+     * Release what a run held (the action lock)
+     * @param {Object} context - As passed to run()
+     */
+    release(context) {
+        if (context.lock) {
+            locks.delete(context.lock);
+            context.lock = null;
+        }
+    }
+}
+
+/**
+ * Pipeline with the default guards
+ * @returns {TxGuardPipeline}
+ */
+function createDefaultGuards() {
+    return new TxGuardPipeline()
+        .use('chain', chainGuard)
+        .use('lock', lockGuard)
+        .use('rateLimit', rateLimitGuard)
+        .use('arguments', argumentsGuard)
+        .use('gas', gasGuard)
+        .use('simulation', simulationGuard);
+}
+
+// Export singleton instance
+export const txGuards = createDefaultGuards();
+export { TxGuardPipeline, GuardError, GuardCode, createDefaultGuards };
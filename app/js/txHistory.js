@@ -0,0 +1,348 @@
+/**
+ * Quest Mini - Transaction History
+ * Every quest, claim and referral transaction sent from this browser, with
+ * CSV and JSON export
+ *
+ * Records come from txManager, which keeps them per account and chain (up to
+ * QuestStorage's history limit), and the list follows their status changes.
+ * Rows have a fixed height, so only the ones under the scroll position (plus
+ * a few either side) are in the DOM however long the history gets. Exports
+ * cover what the filters show, with the explorer link for each transaction.
+ * Sends the guards blocked are listed only when the status filter asks for
+ * them.
+ */
+
+import { DAILY_QUESTS, NETWORKS } from './constants.js';
+import { txManager, TxStatus } from './transactionManager.js';
+import { shortenAddress } from './utils.js';
+
+/**
+ * Transaction types the panel filters on
+ */
+const TxType = {
+    QUEST: 'quest',
+    CLAIM: 'claim',
+    REFERRAL: 'referral',
+    OTHER: 'other'
+};
+
+const ROW_HEIGHT = 56; // px, .txhistory-item's height
+const OVERSCAN = 4;    // Rows rendered above and below the visible ones
+
+// Export columns, in order
+const EXPORT_COLUMNS = [
+    'createdAt', 'type', 'description', 'status', 'hash', 'blockNumber', 'from', 'contract', 'method',
+    'nonce', 'submittedAt', 'confirmedAt', 'gasUsed', 'fee', 'relayed', 'error', 'explorerUrl'
+];
+
+// Status badge colour per status
+const STATUS_CLASSES = {
+    [TxStatus.CONFIRMED]: 'ok',
+    [TxStatus.FAILED]: 'error',
+    [TxStatus.REJECTED]: 'error',
+    [TxStatus.DROPPED]: 'error',
+    [TxStatus.REPLACED]: 'muted',
+    [TxStatus.BLOCKED]: 'muted'
+};
+
+/**
+ * Type of a txManager record
+ * @param {Object} record
+ * @returns {string} TxType
+ */
+function txType(record) {
+    if (record.method === 'setReferrer') return TxType.REFERRAL;
+
+    const quest = DAILY_QUESTS.find(q => q.method === record.method);
+    if (!quest) return TxType.OTHER;
+    return quest.statusFlag ? TxType.QUEST : TxType.CLAIM;
+}
+
+/**
+ * Hash of the transaction that settled a record (a speed-up's, if any)
+ * @param {Object} record
+ * @returns {string|null}
+ */
+function settledHash(record) {
+    return record.replacedBy || record.hash || null;
+}
+
+/**
+ * Flat export row: times as ISO strings, gas and fee in wei
+ * @param {Object} record - txManager record
+ * @param {string} [explorer] - Explorer base URL
+ * @returns {Object} Keyed by EXPORT_COLUMNS
+ */
+function toExportRow(record, explorer) {
+    const iso = time => (time ? new Date(time).toISOString() : null);
+    const hash = settledHash(record);
+
+    return {
+        createdAt: iso(record.createdAt),
+        type: txType(record),
+        description: record.description,
+        status: record.status,
+        hash,
+        blockNumber: record.blockNumber ?? null,
+        from: record.from || record.account,
+        contract: record.contract,
+        method: record.method,
+        nonce: record.nonce ?? null,
+        submittedAt: iso(record.submittedAt),
+        confirmedAt: iso(record.confirmedAt),
+        gasUsed: record.gasUsed ?? null,
+        fee: record.fee ?? null,
+        relayed: Boolean(record.relayed),
+        error: record.error ?? null,
+        explorerUrl: hash && explorer ? `${explorer}/tx/${hash}` : null
+    };
+}
+
+/**
+ * CSV (RFC 4180) for export rows. Text starting with a formula character is
+ * prefixed with ' so spreadsheets don't run it.
+ * @param {Array<Object>} rows - From toExportRow
+ * @returns {string}
+ */
+function toCsv(rows) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        EXPORT_COLUMNS.join(','),
+        ...rows.map(row => EXPORT_COLUMNS.map(column => cell(row[column])).join(','))
+    ].join('\r\n');
+}
+
+/**
+ * Transaction History Panel Class
+ */
+class TxHistoryPanel {
+    constructor() {
+        this.account = null;
+        this.chainId = null;
+        this.filters = { type: '', status: '' };
+        this.records = []; // Filtered, newest first
+        this.unsubscribers = [];
+        this.frame = null;
+    }
+
+    /**
+     * Follow txManager and the panel's scroll and filter controls
+     */
+    bind() {
+        this.unbind();
+
+        const refresh = () => this.refresh();
+        this.unsubscribers = ['txCreated', 'txUpdated', 'txSubmitted', 'txConfirmed', 'txFailed', 'txBlocked', 'txRestored']
+            .map(event => txManager.on(event, refresh));
+
+        const viewport = document.getElementById('txHistoryViewport');
+        if (viewport) {
+            const onScroll = () => this.scheduleRender();
+            viewport.addEventListener('scroll', onScroll, { passive: true });
+            this.unsubscribers.push(() => viewport.removeEventListener('scroll', onScroll));
+        }
+
+        [['txHistoryType', 'type', TxType], ['txHistoryStatus', 'status', TxStatus]].forEach(([id, name, values]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            // First option is "all"
+            select.replaceChildren(select.options[0], ...Object.values(values).map(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                return option;
+            }));
+
+            const onChange = () => this.setFilter(name, select.value);
+            select.addEventListener('change', onChange);
+            this.unsubscribers.push(() => select.removeEventListener('change', onChange));
+        });
+    }
+
+    unbind() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Show an account's history (null hides the panel)
+     * @param {string|null} account
+     * @param {number|null} chainId
+     */
+    show(account, chainId) {
+        this.account = account;
+        this.chainId = chainId;
+        this.scrollToTop();
+        this.refresh();
+    }
+
+    /**
+     * @param {string} name - type or status
+     * @param {string} value - TxType / TxStatus value, '' for all
+     */
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.scrollToTop();
+        this.refresh();
+    }
+
+    /**
+     * Re-read the records and redraw
+     */
+    refresh() {
+        const section = document.getElementById('txHistory');
+        if (!section) return;
+
+        const { type, status } = this.filters;
+        const all = this.account
+            ? txManager.getAllTransactions({ account: this.account, chainId: this.chainId })
+                .filter(record => record.status !== TxStatus.BLOCKED || status === TxStatus.BLOCKED)
+            : [];
+
+        this.records = all.filter(record => (!type || txType(record) === type) && (!status || record.status === status));
+
+        section.classList.toggle('show', Boolean(this.account));
+        const count = document.getElementById('txHistoryCount');
+        if (count) {
+            count.textContent = this.records.length === all.length
+                ? `${all.length}`
+                : `${this.records.length} of ${all.length}`;
+        }
+        const spacer = document.getElementById('txHistorySpacer');
+        if (spacer) spacer.style.height = `${this.records.length * ROW_HEIGHT}px`;
+
+        this.renderRows();
+    }
+
+    scheduleRender() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.renderRows();
+        });
+    }
+
+    scrollToTop() {
+        const viewport = document.getElementById('txHistoryViewport');
+        if (viewport) viewport.scrollTop = 0;
+    }
+
+    /**
+     * Draw the rows in view
+     */
+    renderRows() {
+        const viewport = document.getElementById('txHistoryViewport');
+        const list = document.getElementById('txHistoryList');
+        if (!viewport || !list) return;
+
+        if (this.records.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'activity-empty';
+            empty.textContent = 'No transactions sent from this browser yet';
+            list.style.transform = '';
+            list.replaceChildren(empty);
+            return;
+        }
+
+        const first = Math.max(Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN, 0);
+        const last = Math.min(
+            Math.ceil((viewport.scrollTop + viewport.clientHeight) / ROW_HEIGHT) + OVERSCAN,
+            this.records.length
+        );
+
+        list.style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+        list.replaceChildren(...this.records.slice(first, last).map(record => this.renderRow(record)));
+    }
+
+    /**
+     * One transaction row
+     * @param {Object} record - txManager record
+     * @returns {HTMLElement}
+     */
+    renderRow(record) {
+        const item = document.createElement('li');
+        item.className = 'txhistory-item';
+
+        const label = document.createElement('span');
+        label.className = 'txhistory-label';
+        label.textContent = record.description;
+
+        const status = document.createElement('span');
+        status.className = `txhistory-status ${STATUS_CLASSES[record.status] || 'open'}`;
+        status.textContent = record.status;
+        if (record.error) status.title = record.error;
+
+        const meta = document.createElement('span');
+        meta.className = 'txhistory-meta';
+        const parts = [QuestFormat.formatDateTime(new Date(record.createdAt))];
+        if (record.gasUsed) parts.push(`${QuestFormat.formatNumber(Number(record.gasUsed))} gas`);
+        if (record.relayed) {
+            parts.push('gasless');
+        } else if (record.fee) {
+            // Exact: L2 fees are often below formatEth's 6 decimals
+            parts.push(`${ethers.formatEther(record.fee)} ETH`);
+        }
+        meta.textContent = parts.join(' · ');
+        meta.title = [
+            ['Created', record.createdAt],
+            ['Sent', record.submittedAt],
+            ['Confirmed', record.confirmedAt]
+        ].filter(([, time]) => time).map(([name, time]) => `${name}: ${new Date(time).toLocaleString()}`).join('\n');
+
+        const hash = settledHash(record);
+        const explorer = NETWORKS[record.chainId]?.explorer;
+        const link = document.createElement(hash && explorer ? 'a' : 'span');
+        link.className = 'txhistory-hash';
+        link.textContent = hash ? shortenAddress(hash, 6) : 'not sent';
+        if (hash && explorer) {
+            link.href = `${explorer}/tx/${hash}`;
+            link.target = '_blank';
+            link.rel = 'noopener';
+        }
+
+        item.append(label, status, meta, link);
+        return item;
+    }
+
+    // ==================== Export ====================
+
+    /**
+     * Download what the filters show
+     * @param {string} format - csv or json
+     */
+    download(format) {
+        if (!this.account) return;
+
+        const explorer = NETWORKS[this.chainId]?.explorer;
+        const rows = this.records.map(record => toExportRow(record, explorer));
+        const data = format === 'csv'
+            ? toCsv(rows)
+            : JSON.stringify({
+                account: this.account,
+                chainId: this.chainId,
+                exportedAt: new Date().toISOString(),
+                transactions: rows
+            }, null, 2);
+
+        const blob = new Blob([data], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `quest-transactions-${this.chainId}-${this.account.slice(0, 8).toLowerCase()}.${format}`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export singleton instance
+export const txHistory = new TxHistoryPanel();
+export { TxHistoryPanel, TxType, txType, toExportRow, toCsv };
@@ -0,0 +1,385 @@
+/**
+ * Quest Mini - Transaction Review
+ * What a transaction will do, shown before it reaches the wallet
+ *
+ * Every txManager send passes the `review` guard, which main.js adds after
+ * the other guards, and quest bundles are reviewed before wallet_sendCalls.
+ * The screen lists each call's target contract (with a warning when the
+ * address is not part of a registry deployment for the chain) and its
+ * decoded calldata. Where the call touches rewards, it adds the expected
+ * effect worked out by simulation:
+ *   quests  the reward the call returns from eth_call, the all-quests bonus
+ *           when the call would finish the set within QUEST_RUN.BONUS_WINDOW,
+ *           and pending rewards after
+ *   claim   the boosted amount (getPreviewBoostedRewards' own when nothing is
+ *           added before it, else its multiplier applied to what is pending by
+ *           then) and whether remainingSupply covers it
+ *
+ * A send the account pays for also lists the network fee at each gas tier
+ * (gasEstimator), and goes out with the fees of the tier picked.
+ *
+ * One review is on screen at a time; the rest wait their turn, and each is
+ * built only when its turn comes. Quests confirmed in an earlier review but not
+ * mined yet (the daily run pipelines them) count as done in later ones, so
+ * their rewards and the bonus they complete show up. Cancelling blocks the
+ * send with GuardCode.REVIEW_CANCELLED.
+ */
+
+import { DAILY_QUESTS, QUEST_RUN } from './constants.js';
+import { contracts } from './contracts.js';
+import { deployments } from './deployments.js';
+import { dashboard } from './dashboard.js';
+import { gasEstimator, GasTier } from './gasEstimator.js';
+import { GuardError, GuardCode } from './txGuards.js';
+import { getErrorMessage } from './errors.js';
+
+/**
+ * Transaction Review Class
+ */
+class TxReview {
+    constructor() {
+        this.current = null;          // { review, resolve } on screen
+        this.turn = Promise.resolve(); // Settles when the last queued review does
+        this.unmined = [];            // { txId, account, chainId, key, reward, at } confirmed, not mined
+    }
+
+    // ==================== Guard ====================
+
+    /**
+     * txGuards guard: review the call and block it unless confirmed. The
+     * picked gas tier's fees are added to context.overrides.
+     * @param {Object} context - Guard context (see TxGuardPipeline.run)
+     * @throws {GuardError}
+     */
+    async guard(context) {
+        const { contract, method, args, value, overrides, description, account, chainId, relayed } = context;
+
+        let review = null;
+        const confirmed = await this.present(async () => {
+            const fees = await this.feeTiers(context);
+            review = await this.build([{
+                contract,
+                method,
+                args,
+                value,
+                description,
+                gasLimit: overrides.gasLimit ?? null,
+                gasEstimate: context.gasEstimate ?? null,
+                simulation: context.simulation ?? null
+            }], { title: description, account, chainId, relayed, fees });
+            return review;
+        }, () => !context.superseded?.());
+
+        if (confirmed) {
+            this.trackQuest(context, review);
+            const { fees } = review;
+            if (fees) {
+                const { maxFeePerGas, maxPriorityFeePerGas } = fees.costs[fees.selected];
+                context.overrides = {
+                    ...context.overrides,
+                    maxFeePerGas: BigInt(maxFeePerGas),
+                    maxPriorityFeePerGas: BigInt(maxPriorityFeePerGas)
+                };
+            }
+            return;
+        }
+
+        throw confirmed === null
+            ? new GuardError('review', GuardCode.REVIEW_CANCELLED, 'Not sent: an earlier transaction in the queue failed')
+            : new GuardError('review', GuardCode.REVIEW_CANCELLED, `${description} cancelled`);
+    }
+
+    /**
+     * Review several calls on one screen (a wallet_sendCalls bundle)
+     * @param {Array<Object>} calls - { contract, method, args, description }
+     * @param {Object} options - { title, account, chainId }
+     * @returns {Promise<boolean>} Whether the user confirmed
+     */
+    async reviewCalls(calls, options) {
+        const build = () => this.build(calls.map(call => ({ value: 0, ...call })), options);
+        return (await this.present(build)) === true;
+    }
+
+    // ==================== Unmined Quests ====================
+
+    /**
+     * Count a confirmed quest in later reviews until it is mined
+     * @param {Object} context - Guard context
+     * @param {Object} review - The confirmed review
+     */
+    trackQuest(context, review) {
+        const quest = this.questFor(context);
+        const reviewed = review.effects?.quests[0];
+        if (!quest?.statusFlag || !reviewed || !context.account) return;
+
+        this.unmined.push({
+            txId: context.txId,
+            account: context.account.toLowerCase(),
+            chainId: context.chainId,
+            key: quest.key,
+            reward: (BigInt(reviewed.reward) + BigInt(review.effects.bonus ?? 0)).toString(),
+            at: Date.now()
+        });
+    }
+
+    /**
+     * Stop counting a quest once txManager has settled it (mined or failed)
+     * @param {string} txId
+     */
+    release(txId) {
+        this.unmined = this.unmined.filter(entry => entry.txId !== txId);
+    }
+
+    /**
+     * Quests confirmed for an account that are not mined yet
+     * @param {string} account
+     * @param {number} chainId
+     * @returns {Array<Object>}
+     */
+    unminedFor(account, chainId) {
+        return this.unmined.filter(entry => entry.account === account?.toLowerCase() && entry.chainId === chainId);
+    }
+
+    /**
+     * Cost of the call at each gas tier, from the gas guard's estimate
+     * @param {Object} context - Guard context
+     * @returns {Promise<Object|null>} { costs, waits, selected } - costs from
+     *          gasEstimator.getTierCosts; null for relayed sends, fees already
+     *          set, no estimate, or no fee history (the fallback prices are
+     *          not sent)
+     */
+    async feeTiers(context) {
+        const { contract, method, args, value, overrides, account, relayed, gasEstimate } = context;
+        if (relayed || gasEstimate === undefined || gasEstimate === null) return null;
+        if (overrides.maxFeePerGas !== undefined || overrides.gasPrice !== undefined) return null;
+
+        try {
+            const { costs, isDefault } = await gasEstimator.getTierCosts({
+                contract,
+                method,
+                args,
+                value,
+                from: account,
+                gasUsed: gasEstimate,
+                gasLimit: overrides.gasLimit ?? gasEstimate
+            });
+            // No fee history, only fallback prices: the wallet picks the fees
+            if (isDefault) return null;
+            return { costs, waits: gasEstimator.getEstimatedWaitTimes(), selected: GasTier.STANDARD };
+        } catch (error) {
+            // The wallet picks the fees
+            console.warn('[TxReview] Could not price the gas tiers:', error);
+            return null;
+        }
+    }
+
+    // ==================== Building ====================
+
+    /**
+     * Everything the review screen shows
+     * @param {Array<Object>} calls - { contract, method, args, value, description, gasLimit?,
+     *        gasEstimate?, simulation? }
+     * @param {Object} options - { title, account, chainId, relayed?, fees? }
+     * @returns {Promise<Object>} { title, account, chainId, relayed, calls, effects, fees, warnings }
+     */
+    async build(calls, { title, account, chainId, relayed = false, fees = null }) {
+        const warnings = [];
+
+        const decoded = calls.map(call => {
+            const target = call.contract.target;
+            const fragment = call.contract.interface.getFunction(call.method);
+            const known = deployments.isKnownAddress(chainId, target);
+            if (!known) {
+                warnings.push(`${target} is not part of a known deployment on this network`);
+            }
+
+            return {
+                description: call.description,
+                target,
+                contractName: contracts.nameOf(target),
+                known,
+                signature: fragment.format(),
+                args: fragment.inputs.map((input, index) => ({
+                    name: input.name || `arg${index}`,
+                    type: input.type,
+                    value: String(call.args[index])
+                })),
+                data: call.contract.interface.encodeFunctionData(call.method, call.args),
+                value: String(call.value ?? 0),
+                gasLimit: call.gasLimit === null || call.gasLimit === undefined ? null : String(call.gasLimit),
+                gasEstimate: call.gasEstimate === null || call.gasEstimate === undefined
+                    ? null
+                    : String(call.gasEstimate)
+            };
+        });
+
+        let effects = null;
+        try {
+            effects = await this.simulate(calls, account, chainId, warnings);
+        } catch (error) {
+            warnings.push(`Could not work out the effect: ${getErrorMessage(error)}`);
+        }
+
+        return { title, account, chainId, relayed, calls: decoded, effects, fees, warnings };
+    }
+
+    /**
+     * Expected effect on rewards, in call order. Quest rewards come from the
+     * calls' eth_call results, plus the all-quests bonus the hub adds on its
+     * own; the claim is worked out from the preview so a claim bundled after
+     * quests counts what they add. Quests confirmed earlier and not mined yet
+     * are counted as done before the calls.
+     * @param {Array<Object>} calls - As build()
+     * @param {string} account
+     * @param {number} chainId
+     * @param {Array<string>} warnings - Problems found are added here
+     * @returns {Promise<Object|null>} { quests, bonus, pendingBefore, pendingAfter, claim },
+     *          null when no call touches rewards
+     */
+    async simulate(calls, account, chainId, warnings) {
+        const steps = calls.map(call => ({ call, quest: this.questFor(call) }));
+        if (!steps.some(step => step.quest)) return null;
+
+        const questing = steps.some(step => step.quest?.statusFlag);
+        const [preview, timestamps, allQuestsBonus] = await Promise.all([
+            contracts.getPreviewBoostedRewards(account),
+            questing ? contracts.getQuestTimestamps(account) : null,
+            questing ? contracts.getAllQuestsBonus() : null
+        ]);
+        let pending = BigInt(preview.base);
+        let bonus = 0n;
+
+        for (const entry of this.unminedFor(account, chainId)) {
+            pending += BigInt(entry.reward);
+            if (timestamps) timestamps[entry.key] = entry.at;
+        }
+
+        const effects = { quests: [], bonus: null, pendingBefore: pending.toString(), pendingAfter: null, claim: null };
+
+        for (const { call, quest } of steps) {
+            if (!quest) continue;
+
+            if (quest.statusFlag) {
+                try {
+                    const reward = call.simulation
+                        ? call.simulation.result
+                        : await call.contract[call.method].staticCall(...call.args);
+                    effects.quests.push({ description: call.description, reward: reward.toString() });
+                    pending += reward;
+
+                    timestamps[quest.key] = Date.now();
+                    if (this.finishesBonus(timestamps)) {
+                        bonus += BigInt(allQuestsBonus);
+                        pending += BigInt(allQuestsBonus);
+                    }
+                } catch (error) {
+                    warnings.push(`${call.description} would fail: ${getErrorMessage(error)}`);
+                }
+                continue;
+            }
+
+            // Nothing added before the claim: the vault's own preview
+            const boosted = pending === BigInt(preview.base)
+                ? BigInt(preview.boosted)
+                : pending * BigInt(preview.multiplier) / 100n;
+            const remainingSupply = BigInt(await contracts.getRemainingSupply());
+            const covered = remainingSupply >= boosted;
+
+            effects.claim = {
+                amount: pending.toString(),
+                boosted: boosted.toString(),
+                multiplier: preview.multiplier,
+                remainingSupply: remainingSupply.toString(),
+                covered
+            };
+            if (pending === 0n) {
+                warnings.push('There is nothing to claim yet');
+            } else if (!covered) {
+                warnings.push('The remaining QUEST supply does not cover this claim');
+            }
+            pending = 0n;
+        }
+
+        effects.bonus = bonus > 0n ? bonus.toString() : null;
+        effects.pendingAfter = pending.toString();
+        return effects;
+    }
+
+    /**
+     * Whether the quest just done earns the all-quests bonus, as
+     * QuestHubV2._checkAllQuestsBonus decides: every quest done, the first
+     * less than BONUS_WINDOW before the last
+     * @param {Object} timestamps - { checkin, engage, commit } in ms, the
+     *        quest just done at now
+     * @returns {boolean}
+     */
+    finishesBonus(timestamps) {
+        const times = Object.values(timestamps);
+        return times.every(time => time > 0) && Date.now() - Math.min(...times) < QUEST_RUN.BONUS_WINDOW;
+    }
+
+    /**
+     * Daily quest (or the claim) a call is, if any
+     * @param {Object} call
+     * @returns {Object|null} DAILY_QUESTS entry
+     */
+    questFor(call) {
+        const key = contracts.keyOf(call.contract.target);
+        return DAILY_QUESTS.find(quest => quest.contract === key && quest.method === call.method) || null;
+    }
+
+    // ==================== Screen ====================
+
+    /**
+     * Build and show a review once the ones before it are settled, so it
+     * sees what they sent
+     * @param {Function} build - () => Promise<Object> review (see build())
+     * @param {Function} [stillWanted] - Checked when its turn comes; false skips it
+     * @returns {Promise<boolean|null>} Whether the user confirmed; null when skipped
+     */
+    present(build, stillWanted = () => true) {
+        const shown = this.turn.then(async () => {
+            if (!stillWanted()) return null;
+            const review = await build();
+            if (!stillWanted()) return null;
+
+            return new Promise(resolve => {
+                this.current = { review, resolve };
+                dashboard.showTxReview(review);
+            });
+        });
+
+        // A review that failed to build doesn't hold up the ones after it
+        this.turn = shown.catch(() => null);
+        return shown;
+    }
+
+    /**
+     * Confirm the review on screen, with the gas tier picked
+     */
+    confirm() {
+        const fees = this.current?.review.fees;
+        if (fees) fees.selected = dashboard.readReviewTier() ?? fees.selected;
+        this.settle(true);
+    }
+
+    /**
+     * Cancel the review on screen
+     */
+    cancel() {
+        this.settle(false);
+    }
+
+    settle(confirmed) {
+        if (!this.current) return;
+
+        const { resolve } = this.current;
+        this.current = null;
+        dashboard.hideTxReview();
+        resolve(confirmed);
+    }
+}
+
+// Export singleton instance
+export const txReview = new TxReview();
+export { TxReview };
@@ -115,6 +115,24 @@ const QuestValidation = (function() {
     }
   }
 
+  /**
+   * EIP-55 checksum form of an address
+   * Uses keccak256 from the ethers bundle loaded before this script.
+   * @param {string} address - Valid address in any case
+   * @returns {string}
+   */
+  function toChecksumAddress(address) {
+    const hex = address.slice(2).toLowerCase();
+    const hash = ethers.keccak256(ethers.toUtf8Bytes(hex)).slice(2);
+
+    let result = '0x';
+    for (let i = 0; i < hex.length; i++) {
+      // Uppercase a letter when the matching hash nibble is 8 or more
+      result += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+    }
+    return result;
+  }
+
   /**
    * Checksummed address validation (EIP-55)
    * @param {string} address - Address to check
@@ -124,14 +142,13 @@ const QuestValidation = (function() {
     if (!isValidAddress(address)) return false;
     
     // Mixed case means it should be checksummed
-    const isMixedCase = address !== address.toLowerCase() && 
-                        address !== address.toUpperCase();
+    const body = address.slice(2);
+    const isMixedCase = body !== body.toLowerCase() && 
+                        body !== body.toUpperCase();
     
-    if (!isMixedCase) return true; // All lowercase/uppercase is valid
+    if (!isMixedCase) return true; // All lowercase/uppercase carries no checksum
     
-    // For proper checksum validation, we'd need keccak256
-    // This is a simplified check
-    return true;
+    return toChecksumAddress(address) === address;
   }
 
   /**
@@ -240,6 +257,7 @@ const QuestValidation = (function() {
     isValidAddress,
     isValidTxHash,
     isChecksummedAddress,
+    toChecksumAddress,
 
     // Number validation
     isPositiveInteger,
@@ -1,19 +1,141 @@
 /**
  * Quest Mini App - Wallet Connection Manager
  * Handles wallet connections and provider management
+ *
+ * Wallets are discovered through EIP-6963 announcements, so several
+ * installed extensions can each be picked by name instead of whichever one
+ * won window.ethereum. The global provider is only a fallback for wallets
+ * that don't announce themselves.
+ *
+ * Wallets that support EIP-5792 can take several calls as one bundle
+ * (wallet_sendCalls); getCapabilities says whether they run it atomically.
  */
 
-import { CHAIN_ID, CHAIN_NAME, CHAIN_RPC, CHAIN_EXPLORER, NATIVE_CURRENCY } from './constants.js';
+import { CHAIN_ID, NETWORKS, NATIVE_CURRENCY, WALLET_DISCOVERY } from './constants.js';
 import { toast } from './toast.js';
 import { shortenAddress } from './utils.js';
 
+// Pseudo-rdns for the window.ethereum fallback
+const INJECTED_RDNS = 'injected';
+
+// EIP-5792 wallet_getCallsStatus codes (v2); v1 wallets answer with strings
+const CALLS_STATUS = {
+    100: 'pending',
+    200: 'confirmed',
+    400: 'failed',      // Not included onchain, wallet won't retry
+    500: 'failed',      // Reverted completely
+    600: 'failed',      // Reverted partially
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed'
+};
+
 class WalletManager {
     constructor() {
         this.provider = null;
         this.signer = null;
         this.address = null;
         this.chainId = null;
+        this.supportedChains = [CHAIN_ID];
         this.listeners = new Map();
+
+        // EIP-6963 providers by rdns, and the one in use
+        this.providers = new Map();
+        this.ethereum = null;
+        this.walletInfo = null;
+
+        // EIP-5792 capabilities per account and chain
+        this.capabilities = new Map();
+
+        // Bound once so removeListener gets the same references
+        this.handleAccountsChanged = this.handleAccountsChanged.bind(this);
+        this.handleChainChanged = this.handleChainChanged.bind(this);
+        this.handleDisconnect = this.handleDisconnect.bind(this);
+        this.handleAnnouncement = this.handleAnnouncement.bind(this);
+    }
+
+    // ==================== Discovery (EIP-6963) ====================
+
+    /**
+     * Listen for wallet announcements and ask installed wallets to announce
+     */
+    discover() {
+        window.removeEventListener('eip6963:announceProvider', this.handleAnnouncement);
+        window.addEventListener('eip6963:announceProvider', this.handleAnnouncement);
+        window.dispatchEvent(new Event('eip6963:requestProvider'));
+    }
+
+    /**
+     * Record an announced provider
+     * @param {CustomEvent} event - detail: { info: { uuid, name, icon, rdns }, provider }
+     */
+    handleAnnouncement(event) {
+        const { info, provider } = event.detail || {};
+        if (!info?.rdns || !provider) return;
+
+        this.providers.set(info.rdns, { info, provider });
+        this.emit('providersChanged', this.getProviders());
+    }
+
+    /**
+     * Wallets the user can pick from
+     * @returns {Array<Object>} EIP-6963 info objects ({ uuid, name, icon, rdns })
+     */
+    getProviders() {
+        const announced = Array.from(this.providers.values()).map(({ info }) => info);
+        if (announced.length === 0 && typeof window.ethereum !== 'undefined') {
+            return [{ uuid: INJECTED_RDNS, name: 'Browser Wallet', icon: null, rdns: INJECTED_RDNS }];
+        }
+        return announced;
+    }
+
+    /**
+     * EIP-1193 provider for a wallet
+     * @param {string} rdns
+     * @returns {Object|null}
+     */
+    getProvider(rdns) {
+        if (this.providers.has(rdns)) {
+            return this.providers.get(rdns).provider;
+        }
+        if (rdns === INJECTED_RDNS && typeof window.ethereum !== 'undefined') {
+            return window.ethereum;
+        }
+        return null;
+    }
+
+    /**
+     * Wait until a wallet announces itself (extensions can be slow to load)
+     * @param {string} rdns
+     * @returns {Promise<Object|null>} The provider, or null after the timeout
+     */
+    waitForProvider(rdns) {
+        const provider = this.getProvider(rdns);
+        if (provider) return Promise.resolve(provider);
+
+        return new Promise(resolve => {
+            const onChange = () => {
+                const found = this.getProvider(rdns);
+                if (found) {
+                    clearTimeout(timer);
+                    this.off('providersChanged', onChange);
+                    resolve(found);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.off('providersChanged', onChange);
+                resolve(this.getProvider(rdns));
+            }, WALLET_DISCOVERY.TIMEOUT);
+
+            this.on('providersChanged', onChange);
+        });
+    }
+
+    /**
+     * Whether connect() has to be told which wallet to use
+     * @returns {boolean}
+     */
+    needsWalletChoice() {
+        return this.getProviders().length > 1;
     }
 
     /**
@@ -21,7 +143,24 @@ class WalletManager {
      * @returns {boolean}
      */
     isWalletAvailable() {
-        return typeof window.ethereum !== 'undefined';
+        return this.getProviders().length > 0;
+    }
+
+    /**
+     * Set the chains the app has deployments on
+     * @param {number[]} chainIds
+     */
+    setSupportedChains(chainIds) {
+        this.supportedChains = chainIds.length > 0 ? chainIds : [CHAIN_ID];
+    }
+
+    /**
+     * Check if a chain has a deployment
+     * @param {number} chainId
+     * @returns {boolean}
+     */
+    isSupportedChain(chainId) {
+        return this.supportedChains.includes(chainId);
     }
 
     /**
@@ -34,16 +173,25 @@ class WalletManager {
 
     /**
      * Connect wallet
+     * @param {string} [rdns] - Wallet to use; may be omitted when only one is installed
      * @returns {Promise<string>} Connected address
      */
-    async connect() {
+    async connect(rdns = null) {
         if (!this.isWalletAvailable()) {
             throw new Error('No wallet detected. Please install MetaMask or another Web3 wallet.');
         }
 
+        const chosen = rdns || this.getProviders()[0].rdns;
+        const ethereum = this.getProvider(chosen);
+        if (!ethereum) {
+            throw new Error('Selected wallet is no longer available');
+        }
+
         try {
+            this.selectProvider(chosen, ethereum);
+
             // Request accounts
-            const accounts = await window.ethereum.request({
+            const accounts = await this.ethereum.request({
                 method: 'eth_requestAccounts'
             });
 
@@ -56,18 +204,20 @@ class WalletManager {
 
             // Setup provider (ethers v6)
             if (typeof ethers !== 'undefined') {
-                this.provider = new ethers.BrowserProvider(window.ethereum);
+                this.provider = new ethers.BrowserProvider(this.ethereum);
                 this.signer = await this.provider.getSigner();
             }
 
             // Setup listeners
             this.setupListeners();
 
-            // Check network
-            if (this.chainId !== CHAIN_ID) {
+            // Check network (any chain with a deployment is fine)
+            if (!this.isSupportedChain(this.chainId)) {
                 await this.switchNetwork();
             }
 
+            QuestStorage.wallet.setProviderRdns(chosen);
+
             this.emit('connected', this.address);
             toast.success(`Connected: ${shortenAddress(this.address)}`);
             
@@ -78,6 +228,54 @@ class WalletManager {
         }
     }
 
+    /**
+     * Reconnect to the wallet used last time without a prompt, if it still
+     * has an authorized account
+     * @returns {Promise<string|null>} Address, or null when there is nothing to restore
+     */
+    async reconnect() {
+        const rdns = QuestStorage.wallet.getProviderRdns() || this.getProviders()[0]?.rdns;
+        if (!rdns) return null;
+
+        const ethereum = await this.waitForProvider(rdns);
+        if (!ethereum) return null;
+
+        const accounts = await ethereum.request({ method: 'eth_accounts' });
+        if (!accounts || accounts.length === 0) return null;
+
+        return this.connect(rdns);
+    }
+
+    /**
+     * Ask the wallet to let the user pick another account. The choice
+     * also arrives through accountsChanged like any other account change.
+     * @returns {Promise<string|null>} Selected account
+     */
+    async requestAccountSwitch() {
+        if (!this.ethereum) throw new Error('Wallet not connected');
+
+        await this.ethereum.request({
+            method: 'wallet_requestPermissions',
+            params: [{ eth_accounts: {} }]
+        });
+        const accounts = await this.ethereum.request({ method: 'eth_accounts' });
+        return accounts[0] || null;
+    }
+
+    /**
+     * Switch to another wallet's provider, moving the event listeners over
+     * @param {string} rdns
+     * @param {Object} ethereum - EIP-1193 provider
+     */
+    selectProvider(rdns, ethereum) {
+        if (this.ethereum === ethereum) return;
+
+        this.removeListeners();
+        this.ethereum = ethereum;
+        this.capabilities.clear();
+        this.walletInfo = this.getProviders().find(info => info.rdns === rdns) || null;
+    }
+
     /**
      * Disconnect wallet
      */
@@ -87,6 +285,10 @@ class WalletManager {
         this.address = null;
         this.chainId = null;
         this.removeListeners();
+        this.ethereum = null;
+        this.walletInfo = null;
+        this.capabilities.clear();
+        QuestStorage.wallet.clearProviderRdns();
         this.emit('disconnected');
         toast.info('Wallet disconnected');
     }
@@ -96,26 +298,27 @@ class WalletManager {
      * @returns {Promise<number>}
      */
     async getChainId() {
-        const chainIdHex = await window.ethereum.request({
+        const chainIdHex = await this.ethereum.request({
             method: 'eth_chainId'
         });
         return parseInt(chainIdHex, 16);
     }
 
     /**
-     * Switch to Base network
+     * Switch network (Base by default)
+     * @param {number} [chainId]
      * @returns {Promise<void>}
      */
-    async switchNetwork() {
+    async switchNetwork(chainId = CHAIN_ID) {
         try {
-            await window.ethereum.request({
+            await this.ethereum.request({
                 method: 'wallet_switchEthereumChain',
-                params: [{ chainId: `0x${CHAIN_ID.toString(16)}` }]
+                params: [{ chainId: `0x${chainId.toString(16)}` }]
             });
         } catch (switchError) {
             // Chain not added, try to add it
             if (switchError.code === 4902) {
-                await this.addNetwork();
+                await this.addNetwork(chainId);
             } else {
                 throw switchError;
             }
@@ -123,18 +326,24 @@ class WalletManager {
     }
 
     /**
-     * Add Base network to wallet
+     * Add a network to the wallet
+     * @param {number} [chainId]
      * @returns {Promise<void>}
      */
-    async addNetwork() {
-        await window.ethereum.request({
+    async addNetwork(chainId = CHAIN_ID) {
+        const network = NETWORKS[chainId];
+        if (!network) {
+            throw new Error(`Unknown network ${chainId}`);
+        }
+
+        await this.ethereum.request({
             method: 'wallet_addEthereumChain',
             params: [{
-                chainId: `0x${CHAIN_ID.toString(16)}`,
-                chainName: CHAIN_NAME,
+                chainId: `0x${chainId.toString(16)}`,
+                chainName: network.name,
                 nativeCurrency: NATIVE_CURRENCY,
-                rpcUrls: [CHAIN_RPC],
-                blockExplorerUrls: [CHAIN_EXPLORER]
+                rpcUrls: [network.rpc],
+                blockExplorerUrls: network.explorer ? [network.explorer] : []
             }]
         });
     }
@@ -159,37 +368,142 @@ class WalletManager {
         return await this.signer.signMessage(message);
     }
 
+    /**
+     * Sign EIP-712 typed data
+     * @param {Object} domain
+     * @param {Object} types - Without EIP712Domain
+     * @param {Object} value
+     * @returns {Promise<string>} Signature
+     */
+    signTypedData(domain, types, value) {
+        if (!this.signer) return Promise.reject(new Error('Wallet not connected'));
+        return this.signer.signTypedData(domain, types, value);
+    }
+
+    // ==================== Batched Calls (EIP-5792) ====================
+
+    /**
+     * Capabilities the wallet reports for the connected account on the
+     * current chain
+     * @returns {Promise<Object>} Empty when the wallet doesn't support EIP-5792
+     */
+    async getCapabilities() {
+        if (!this.ethereum || !this.address) return {};
+
+        const chainHex = `0x${this.chainId.toString(16)}`;
+        const key = `${this.address.toLowerCase()}:${chainHex}`;
+
+        if (!this.capabilities.has(key)) {
+            let capabilities = {};
+            try {
+                const result = await this.ethereum.request({
+                    method: 'wallet_getCapabilities',
+                    params: [this.address, [chainHex]]
+                });
+                // "0x0" holds capabilities that apply to every chain
+                capabilities = { ...result?.['0x0'], ...result?.[chainHex] };
+            } catch (error) {
+                // Method not supported: treat as no capabilities
+            }
+            this.capabilities.set(key, capabilities);
+        }
+        return this.capabilities.get(key);
+    }
+
+    /**
+     * Whether the wallet runs a wallet_sendCalls bundle all-or-nothing
+     * @returns {Promise<boolean>}
+     */
+    async supportsAtomicBatch() {
+        const { atomic, atomicBatch } = await this.getCapabilities();
+        // v2 reports atomic.status; v1 wallets report atomicBatch.supported
+        return ['supported', 'ready'].includes(atomic?.status) || atomicBatch?.supported === true;
+    }
+
+    /**
+     * Send calls as one atomic bundle
+     * @param {Array<Object>} calls - { to, data, value? }
+     * @returns {Promise<string>} Bundle id for getCallsStatus
+     */
+    async sendCalls(calls) {
+        if (!this.ethereum || !this.address) throw new Error('Wallet not connected');
+
+        const result = await this.ethereum.request({
+            method: 'wallet_sendCalls',
+            params: [{
+                version: '2.0.0',
+                chainId: `0x${this.chainId.toString(16)}`,
+                from: this.address,
+                atomicRequired: true,
+                calls: calls.map(({ to, data, value = 0n }) => ({
+                    to,
+                    data,
+                    value: ethers.toQuantity(value)
+                }))
+            }]
+        });
+
+        // v2 answers { id }, v1 the id itself
+        return typeof result === 'string' ? result : result.id;
+    }
+
+    /**
+     * Where a bundle is
+     * @param {string} id - From sendCalls
+     * @returns {Promise<Object>} { status: 'pending'|'confirmed'|'failed', receipts }
+     */
+    async getCallsStatus(id) {
+        const result = await this.ethereum.request({
+            method: 'wallet_getCallsStatus',
+            params: [id]
+        });
+
+        const receipts = result.receipts || [];
+        let status = CALLS_STATUS[result.status] || 'pending';
+
+        // A confirmed bundle with a reverted receipt did not go through
+        if (status === 'confirmed' && receipts.some(receipt => Number(receipt.status) !== 1)) {
+            status = 'failed';
+        }
+        return { status, receipts };
+    }
+
     /**
      * Setup wallet event listeners
      */
     setupListeners() {
-        if (!window.ethereum) return;
+        if (!this.ethereum) return;
 
-        window.ethereum.on('accountsChanged', this.handleAccountsChanged.bind(this));
-        window.ethereum.on('chainChanged', this.handleChainChanged.bind(this));
-        window.ethereum.on('disconnect', this.handleDisconnect.bind(this));
+        // Connecting again to the same wallet must not stack listeners
+        this.removeListeners();
+        this.ethereum.on('accountsChanged', this.handleAccountsChanged);
+        this.ethereum.on('chainChanged', this.handleChainChanged);
+        this.ethereum.on('disconnect', this.handleDisconnect);
     }
 
     /**
      * Remove wallet event listeners
      */
     removeListeners() {
-        if (!window.ethereum) return;
+        if (!this.ethereum) return;
 
-        window.ethereum.removeListener('accountsChanged', this.handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', this.handleChainChanged);
-        window.ethereum.removeListener('disconnect', this.handleDisconnect);
+        this.ethereum.removeListener('accountsChanged', this.handleAccountsChanged);
+        this.ethereum.removeListener('chainChanged', this.handleChainChanged);
+        this.ethereum.removeListener('disconnect', this.handleDisconnect);
     }
 
     /**
      * Handle account change
      * @param {string[]} accounts - New accounts
      */
-    handleAccountsChanged(accounts) {
+    async handleAccountsChanged(accounts) {
         if (accounts.length === 0) {
             this.disconnect();
-        } else if (accounts[0] !== this.address) {
+        } else if (accounts[0].toLowerCase() !== this.address?.toLowerCase()) {
             this.address = accounts[0];
+            if (this.provider) {
+                this.signer = await this.provider.getSigner();
+            }
             this.emit('accountChanged', this.address);
             toast.info(`Account changed: ${shortenAddress(this.address)}`);
         }
@@ -204,8 +518,8 @@ class WalletManager {
         this.chainId = newChainId;
         this.emit('chainChanged', newChainId);
         
-        if (newChainId !== CHAIN_ID) {
-            toast.warning('Please switch to Base network');
+        if (!this.isSupportedChain(newChainId)) {
+            toast.warning(`Please switch to ${NETWORKS[CHAIN_ID].name} network`);
         }
     }
 
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title QuestForwarder
+ * @notice EIP-2771 forwarder for gasless quests
+ * @dev OpenZeppelin's ERC2771Forwarder under the "QuestForwarder" EIP-712
+ *      name. A relayer submits a user's signed ForwardRequest and pays the
+ *      gas. The forwarder appends the signer's address to the calldata, so a
+ *      target that trusts this forwarder (QuestHubV2) credits the signer. A
+ *      request whose call reverts reverts as a whole and keeps its nonce.
+ */
+contract QuestForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("QuestForwarder") {}
+}
@@ -4,11 +4,15 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 /**
  * @title QuestHubV2
  * @notice Central contract managing all quest completions
  * @dev FIXED: Now calls Vault to accumulate rewards automatically
+ * @dev Quests can be sent gasless through an EIP-2771 trusted forwarder
+ *      (QuestForwarder): the user is read from the end of the calldata. The
+ *      forwarder is fixed at deployment.
  */
 
 interface IQuestVault {
@@ -16,7 +20,7 @@ interface IQuestVault {
     function addAllQuestsBonus(address _user, uint256 _bonus) external;
 }
 
-contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
+contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard, ERC2771Context {
     
     // Quest types
     enum QuestType { CHECKIN, ENGAGE, COMMIT, CLAIM }
@@ -55,7 +59,11 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
     event AllQuestsCompleted(address indexed user, uint256 totalReward, uint256 streak);
     event RewardsUpdated(uint256 checkin, uint256 engage, uint256 commit, uint256 bonus);
     
-    constructor() Ownable(msg.sender) {
+    /**
+     * @param _trustedForwarder QuestForwarder relayed quests come through
+     *        (zero for none)
+     */
+    constructor(address _trustedForwarder) Ownable(msg.sender) ERC2771Context(_trustedForwarder) {
         // Default rewards: 10 QUEST per action
         rewards = QuestRewards({
             checkinReward: 10 * 10**18,
@@ -85,7 +93,8 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
      * @notice Complete check-in quest - ACCUMULATES REWARD TO VAULT
      */
     function completeCheckin() external whenNotPaused nonReentrant returns (uint256) {
-        UserQuests storage user = userQuests[msg.sender];
+        address sender = _msgSender();
+        UserQuests storage user = userQuests[sender];
         
         if (user.lastCheckin == 0) {
             totalUsers++;
@@ -96,12 +105,12 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
         totalQuestsCompleted++;
         
         // FIXED: Accumulate reward to vault
-        questVault.accumulateReward(msg.sender, rewards.checkinReward);
+        questVault.accumulateReward(sender, rewards.checkinReward);
         
-        emit QuestCompleted(msg.sender, QuestType.CHECKIN, rewards.checkinReward, block.timestamp);
+        emit QuestCompleted(sender, QuestType.CHECKIN, rewards.checkinReward, block.timestamp);
         
         // Check if all quests completed, add bonus
-        _checkAllQuestsBonus(msg.sender);
+        _checkAllQuestsBonus(sender);
         
         return rewards.checkinReward;
     }
@@ -110,7 +119,8 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
      * @notice Complete engage quest - ACCUMULATES REWARD TO VAULT
      */
     function completeEngage() external whenNotPaused nonReentrant returns (uint256) {
-        UserQuests storage user = userQuests[msg.sender];
+        address sender = _msgSender();
+        UserQuests storage user = userQuests[sender];
         
         if (user.lastEngage == 0 && user.lastCheckin == 0) {
             totalUsers++;
@@ -121,12 +131,12 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
         totalQuestsCompleted++;
         
         // FIXED: Accumulate reward to vault
-        questVault.accumulateReward(msg.sender, rewards.engageReward);
+        questVault.accumulateReward(sender, rewards.engageReward);
         
-        emit QuestCompleted(msg.sender, QuestType.ENGAGE, rewards.engageReward, block.timestamp);
+        emit QuestCompleted(sender, QuestType.ENGAGE, rewards.engageReward, block.timestamp);
         
         // Check if all quests completed, add bonus
-        _checkAllQuestsBonus(msg.sender);
+        _checkAllQuestsBonus(sender);
         
         return rewards.engageReward;
     }
@@ -135,7 +145,8 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
      * @notice Complete commit quest - ACCUMULATES REWARD TO VAULT
      */
     function completeCommit() external whenNotPaused nonReentrant returns (uint256) {
-        UserQuests storage user = userQuests[msg.sender];
+        address sender = _msgSender();
+        UserQuests storage user = userQuests[sender];
         
         if (user.lastCommit == 0 && user.lastCheckin == 0) {
             totalUsers++;
@@ -146,12 +157,12 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
         totalQuestsCompleted++;
         
         // FIXED: Accumulate reward to vault
-        questVault.accumulateReward(msg.sender, rewards.commitReward);
+        questVault.accumulateReward(sender, rewards.commitReward);
         
-        emit QuestCompleted(msg.sender, QuestType.COMMIT, rewards.commitReward, block.timestamp);
+        emit QuestCompleted(sender, QuestType.COMMIT, rewards.commitReward, block.timestamp);
         
         // Check if all quests completed, add bonus
-        _checkAllQuestsBonus(msg.sender);
+        _checkAllQuestsBonus(sender);
         
         return rewards.commitReward;
     }
@@ -273,4 +284,20 @@ contract QuestHubV2 is Ownable, Pausable, ReentrancyGuard {
     
     function pause() external onlyOwner { _pause(); }
     function unpause() external onlyOwner { _unpause(); }
+    
+    /**
+     * @dev EIP-2771: calls from the trusted forwarder carry the signer's
+     *      address at the end of the calldata
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
@@ -4,13 +4,15 @@ require("dotenv").config();
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.24",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200
       },
-      viaIR: true
+      viaIR: true,
+      // OpenZeppelin 5 (ERC2771Forwarder) uses mcopy
+      evmVersion: "cancun"
     }
   },
   networks: {
@@ -0,0 +1,453 @@
+/**
+ * Quest Mini - Gasless Quest Relayer
+ * Checks signed QuestForwarder (OpenZeppelin ERC2771Forwarder) requests and
+ * submits them, paying the gas
+ *
+ * Only the three quest calls on the configured QuestHubV2 are relayed. Each
+ * address gets a request rate limit and a daily gas budget (wei of gas paid,
+ * reset at 00:00 UTC). Requests are checked against the pending block, the
+ * one the app signs against, so a quest can be relayed while the previous one
+ * is still unmined; a nonce stays claimed until its transaction is mined. Every request is appended to the log file as a JSON
+ * line; mined calls in today's log count against the budget again after a
+ * restart.
+ */
+
+const fs = require("fs");
+const { ethers } = require("hardhat");
+
+// Hub calls the relayer pays for
+const RELAYED_METHODS = ["completeCheckin", "completeEngage", "completeCommit"];
+
+// Gas the forwarder itself uses on top of the request's gas
+const FORWARDER_OVERHEAD = 50000n;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Default limits
+const defaults = {
+  maxGas: 300000n,                        // Highest request gas accepted
+  dailyBudget: ethers.parseEther("0.005"), // Wei of gas per address per day
+  rateLimit: 5,                           // Requests per address ...
+  ipRateLimit: 20,                        // ... and per client IP ...
+  rateWindow: 60 * 1000,                  // ... per this many ms
+  logFile: null
+};
+
+/**
+ * A request the relayer refused, with the HTTP status to answer with
+ */
+class RelayError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "RelayError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Parse the JSON forward request into contract argument form
+ * @param {Object} request - { from, to, value, gas, nonce, deadline, data }
+ * @returns {Object}
+ */
+function parseRequest(request) {
+  if (!request || typeof request !== "object") {
+    throw new RelayError(400, "INVALID_REQUEST", "Missing forward request");
+  }
+
+  try {
+    return {
+      from: ethers.getAddress(request.from),
+      to: ethers.getAddress(request.to),
+      value: BigInt(request.value),
+      gas: BigInt(request.gas),
+      nonce: BigInt(request.nonce),
+      deadline: BigInt(request.deadline),
+      data: ethers.hexlify(request.data)
+    };
+  } catch (error) {
+    throw new RelayError(400, "INVALID_REQUEST", "Malformed forward request");
+  }
+}
+
+/**
+ * ERC2771Forwarder.ForwardRequestData for a parsed request; the forwarder
+ * signs over its current nonce for the address instead of a nonce field
+ * @param {Object} request - Parsed request
+ * @param {string} signature
+ * @returns {Object}
+ */
+function toForwardRequest(request, signature) {
+  const { from, to, value, gas, deadline, data } = request;
+  return { from, to, value, gas, deadline, data, signature };
+}
+
+/**
+ * Quest Relayer Class
+ */
+class QuestRelayer {
+  /**
+   * @param {Object} options
+   * @param {ethers.Contract} options.forwarder - QuestForwarder, connected to the paying signer
+   * @param {ethers.Contract} options.hub - QuestHubV2 the requests must target
+   * @param {bigint} [options.maxGas]
+   * @param {bigint} [options.dailyBudget]
+   * @param {number} [options.rateLimit]
+   * @param {number} [options.ipRateLimit]
+   * @param {number} [options.rateWindow]
+   * @param {string} [options.logFile] - JSON lines log; nothing is written when unset
+   */
+  constructor(options) {
+    this.forwarder = options.forwarder;
+    this.hub = options.hub;
+    this.config = { ...defaults };
+    for (const key of Object.keys(defaults)) {
+      if (options[key] !== undefined && options[key] !== null) {
+        this.config[key] = options[key];
+      }
+    }
+
+    // address (or "ip:" client) -> request timestamps in the current window
+    this.requests = new Map();
+    // address -> { day, spent }
+    this.spending = new Map();
+    // "address:nonce" of requests being relayed and not yet mined
+    this.inFlight = new Set();
+
+    this.loadLog();
+  }
+
+  // ==================== Relaying ====================
+
+  /**
+   * Check, simulate and submit a signed request
+   * @param {Object} body - { request, signature }
+   * @returns {Promise<Object>} { hash, from, method, nonce }
+   * @throws {RelayError}
+   */
+  async relay(body = {}) {
+    const entry = { from: body.request?.from || null, method: null };
+    let claim = null;
+
+    try {
+      const request = parseRequest(body.request);
+      const { signature } = body;
+      entry.from = request.from;
+      entry.nonce = request.nonce.toString();
+
+      // Before any node call, so rejected requests are throttled too
+      this.checkRate(request.from);
+      this.recordRequest(request.from);
+
+      entry.method = this.checkTarget(request);
+
+      if (request.gas > this.config.maxGas) {
+        throw new RelayError(400, "GAS_TOO_HIGH", `Request gas is capped at ${this.config.maxGas}`);
+      }
+      if (request.deadline * 1000n < BigInt(Date.now())) {
+        throw new RelayError(400, "EXPIRED", "Request deadline has passed");
+      }
+      claim = this.claimNonce(request);
+      if (!await this.verifySignature(request, signature)) {
+        throw new RelayError(401, "INVALID_SIGNATURE", "Signature, nonce or deadline does not match");
+      }
+
+      const gasLimit = await this.estimate(request, signature);
+      const maxCost = gasLimit * await this.getGasPrice();
+
+      // Check and reserve with no await in between, so parallel requests
+      // see each other's reservations
+      this.reserve(request.from, maxCost);
+
+      let tx;
+      try {
+        tx = await this.forwarder.execute(toForwardRequest(request, signature), { gasLimit });
+      } catch (error) {
+        this.spend(request.from, -maxCost);
+        throw error;
+      }
+
+      entry.hash = tx.hash;
+      this.log("submitted", entry);
+      this.settle(tx, entry, maxCost, claim);
+
+      return { hash: tx.hash, from: request.from, method: entry.method, nonce: entry.nonce };
+    } catch (error) {
+      if (claim && !entry.hash) {
+        this.inFlight.delete(claim);
+      }
+      const relayError = error instanceof RelayError
+        ? error
+        : new RelayError(502, "SUBMIT_FAILED", error.shortMessage || error.message);
+      this.log("rejected", { ...entry, code: relayError.code, reason: relayError.message });
+      throw relayError;
+    }
+  }
+
+  /**
+   * The request must call a quest on the hub, without value
+   * @param {Object} request - Parsed request
+   * @returns {string} Hub method name
+   */
+  checkTarget(request) {
+    if (request.to !== ethers.getAddress(this.hub.target)) {
+      throw new RelayError(403, "TARGET_NOT_ALLOWED", "Only QuestHub quests are relayed");
+    }
+    if (request.value !== 0n) {
+      throw new RelayError(403, "VALUE_NOT_ALLOWED", "Relayed calls cannot send ETH");
+    }
+
+    let call = null;
+    try {
+      call = this.hub.interface.parseTransaction({ data: request.data });
+    } catch (error) {
+      // Unknown selector, reported below
+    }
+    if (!call || !RELAYED_METHODS.includes(call.name)) {
+      throw new RelayError(403, "METHOD_NOT_ALLOWED", "Only completeCheckin, completeEngage and completeCommit are relayed");
+    }
+    return call.name;
+  }
+
+  /**
+   * Hold the request's nonce until its transaction is mined, so two requests
+   * with the same nonce are never both submitted
+   * @param {Object} request - Parsed request
+   * @returns {string} Claim, released by relay() or settle()
+   * @throws {RelayError} NONCE_IN_FLIGHT when the nonce is already held
+   */
+  claimNonce(request) {
+    const claim = `${request.from.toLowerCase()}:${request.nonce}`;
+    if (this.inFlight.has(claim)) {
+      throw new RelayError(409, "NONCE_IN_FLIGHT", "A request with this nonce is already being relayed");
+    }
+    this.inFlight.add(claim);
+    return claim;
+  }
+
+  /**
+   * QuestForwarder.verify (nonce, deadline, signer and trusted target) on the
+   * pending block, and the request's nonce is the one it was signed with
+   */
+  async verifySignature(request, signature) {
+    if (typeof signature !== "string" || !ethers.isHexString(signature)) return false;
+    try {
+      const [valid, nonce] = await Promise.all([
+        this.forwarder.verify(toForwardRequest(request, signature), { blockTag: "pending" }),
+        this.forwarder.nonces(request.from, { blockTag: "pending" })
+      ]);
+      return valid && nonce === request.nonce;
+    } catch (error) {
+      // Malformed signature
+      return false;
+    }
+  }
+
+  /**
+   * Gas limit for execute(), failing with the hub's reason if the quest
+   * would revert
+   * @returns {Promise<bigint>}
+   */
+  async estimate(request, signature) {
+    // The forwarder turns any failed call into a bare FailedCall, so the
+    // quest is first run as the forwarder would send it, for the hub's reason
+    const call = {
+      from: this.forwarder.target,
+      to: request.to,
+      data: ethers.concat([request.data, request.from]),
+      blockTag: "pending"
+    };
+    try {
+      await this.forwarder.runner.provider.call(call);
+      const estimate = await this.forwarder.execute.estimateGas(
+        toForwardRequest(request, signature),
+        { blockTag: "pending" }
+      );
+      const floor = request.gas + FORWARDER_OVERHEAD;
+      return estimate > floor ? estimate : floor;
+    } catch (error) {
+      throw new RelayError(422, "WILL_REVERT", `Quest would fail: ${this.revertReason(error, call)}`);
+    }
+  }
+
+  /**
+   * Revert reason of a failed hub call or forwarder estimate
+   * @param {Error} error
+   * @param {Object} call - { from, to, data } that reverted
+   * @returns {string}
+   */
+  revertReason(error, call) {
+    const data = error.data?.data ?? error.data;
+    if (ethers.isHexString(data) && data !== "0x") {
+      for (const contract of [this.hub, this.forwarder]) {
+        const decoded = contract.interface.makeError(data, call);
+        if (decoded.reason || decoded.revert) {
+          return decoded.reason || decoded.revert.name;
+        }
+      }
+    }
+    return error.reason || error.shortMessage || "execution reverted";
+  }
+
+  /**
+   * Highest price per gas the transaction may pay
+   * @returns {Promise<bigint>}
+   */
+  async getGasPrice() {
+    const feeData = await this.forwarder.runner.provider.getFeeData();
+    return feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  }
+
+  /**
+   * Wait for the receipt, then swap the reserved cost for the real one and
+   * release the nonce
+   */
+  settle(tx, entry, reserved, claim) {
+    tx.wait().finally(() => {
+      this.inFlight.delete(claim);
+    }).then((receipt) => {
+      const cost = receipt.fee;
+      this.spend(entry.from, cost - reserved);
+      this.log("confirmed", {
+        ...entry,
+        gasUsed: receipt.gasUsed.toString(),
+        cost: cost.toString()
+      });
+    }).catch((error) => {
+      // A revert still used gas: settle from its receipt when there is one,
+      // otherwise the reserved amount stands in for it
+      const { receipt } = error;
+      if (receipt) {
+        this.spend(entry.from, receipt.fee - reserved);
+      }
+      this.log("failed", {
+        ...entry,
+        reason: error.shortMessage || error.message,
+        ...(receipt && { gasUsed: receipt.gasUsed.toString(), cost: receipt.fee.toString() })
+      });
+    });
+  }
+
+  // ==================== Limits ====================
+
+  /**
+   * Requests per address per window
+   * @param {string} address
+   * @param {number} [limit]
+   */
+  checkRate(address, limit = this.config.rateLimit) {
+    const key = address.toLowerCase();
+    const since = Date.now() - this.config.rateWindow;
+    const recent = (this.requests.get(key) || []).filter(time => time > since);
+    this.requests.set(key, recent);
+
+    if (recent.length >= limit) {
+      const seconds = Math.ceil((recent[0] + this.config.rateWindow - Date.now()) / 1000);
+      throw new RelayError(429, "RATE_LIMITED", `Too many requests, try again in ${seconds}s`);
+    }
+  }
+
+  recordRequest(address) {
+    const key = address.toLowerCase();
+    this.requests.set(key, [...(this.requests.get(key) || []), Date.now()]);
+  }
+
+  /**
+   * Requests per client IP per window; the server checks it before reading
+   * the body
+   * @param {string} ip
+   * @throws {RelayError} RATE_LIMITED
+   */
+  limitClient(ip) {
+    const key = `ip:${ip}`;
+    this.checkRate(key, this.config.ipRateLimit);
+    this.recordRequest(key);
+  }
+
+  /**
+   * Today's budget for an address
+   * @param {string} address
+   * @returns {Object} { limit, spent, remaining, resetsAt } (wei, ms)
+   */
+  getBudget(address) {
+    const day = Math.floor(Date.now() / DAY);
+    const record = this.spending.get(address.toLowerCase());
+    const spent = record && record.day === day ? record.spent : 0n;
+    const limit = this.config.dailyBudget;
+
+    return {
+      limit,
+      spent,
+      remaining: spent < limit ? limit - spent : 0n,
+      resetsAt: (day + 1) * DAY
+    };
+  }
+
+  /**
+   * Count a transaction's highest cost against today's budget before it is
+   * sent; settle() swaps it for the real cost
+   * @param {string} address
+   * @param {bigint} amount - Wei
+   * @throws {RelayError} BUDGET_EXCEEDED when it doesn't fit
+   */
+  reserve(address, amount) {
+    const budget = this.getBudget(address);
+    if (amount > budget.remaining) {
+      throw new RelayError(429, "BUDGET_EXCEEDED",
+        `Daily gas budget used up; resets at ${new Date(budget.resetsAt).toISOString()}`);
+    }
+    this.spend(address, amount);
+  }
+
+  /**
+   * Add (or with a negative amount, give back) gas spent today
+   * @param {string} address
+   * @param {bigint} amount - Wei
+   * @param {number} [day] - UTC day number, today by default
+   */
+  spend(address, amount, day = Math.floor(Date.now() / DAY)) {
+    const key = address.toLowerCase();
+    const record = this.spending.get(key);
+    const spent = record && record.day === day ? record.spent : 0n;
+    this.spending.set(key, { day, spent: spent + amount > 0n ? spent + amount : 0n });
+  }
+
+  // ==================== Log ====================
+
+  /**
+   * Append one JSON line to the log file and echo it to the console
+   * @param {string} event - submitted, confirmed, failed or rejected
+   * @param {Object} fields
+   */
+  log(event, fields) {
+    const line = JSON.stringify({ time: new Date().toISOString(), event, ...fields });
+    console.log(line);
+    if (this.config.logFile) {
+      fs.appendFileSync(this.config.logFile, line + "\n");
+    }
+  }
+
+  /**
+   * Count today's mined calls (confirmed or reverted) from an earlier run
+   * against the budgets
+   */
+  loadLog() {
+    const { logFile } = this.config;
+    if (!logFile || !fs.existsSync(logFile)) return;
+
+    const today = Math.floor(Date.now() / DAY);
+    for (const line of fs.readFileSync(logFile, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.cost && Math.floor(Date.parse(entry.time) / DAY) === today) {
+          this.spend(entry.from, BigInt(entry.cost), today);
+        }
+      } catch (error) {
+        // Skip a line cut short by a crash
+      }
+    }
+  }
+}
+
+module.exports = { QuestRelayer, RelayError, RELAYED_METHODS, parseRequest, toForwardRequest };
@@ -0,0 +1,201 @@
+/**
+ * Quest Mini - Gasless Relayer Server
+ * HTTP front for QuestRelayer, run against a node with hardhat:
+ *
+ *   npx hardhat node
+ *   npm run deploy:local
+ *   npm run relayer
+ *
+ *   GET  /health              relayer account, balance and contracts
+ *   GET  /budget/:address     today's gas budget for an address
+ *   POST /relay               { request, signature } -> { hash }
+ *
+ * Contract addresses come from the newest deployment manifest for the
+ * network (or RELAYER_FORWARDER / RELAYER_HUB). The relayer pays with the
+ * first hardhat account, or the one at RELAYER_ACCOUNT.
+ */
+
+const hre = require("hardhat");
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { QuestRelayer, RelayError } = require("./relayer");
+
+// Server configuration (environment overrides)
+const config = {
+  host: process.env.RELAYER_HOST || "127.0.0.1",
+  port: Number(process.env.RELAYER_PORT || 8787),
+  allowedOrigin: process.env.RELAYER_ORIGIN || "*",
+  account: Number(process.env.RELAYER_ACCOUNT || 0),
+  dailyBudget: process.env.RELAYER_DAILY_BUDGET
+    ? hre.ethers.parseEther(process.env.RELAYER_DAILY_BUDGET)
+    : null,
+  maxGas: process.env.RELAYER_MAX_GAS ? BigInt(process.env.RELAYER_MAX_GAS) : null,
+  rateLimit: process.env.RELAYER_RATE_LIMIT ? Number(process.env.RELAYER_RATE_LIMIT) : null,
+  ipRateLimit: process.env.RELAYER_IP_RATE_LIMIT ? Number(process.env.RELAYER_IP_RATE_LIMIT) : null,
+  rateWindow: process.env.RELAYER_RATE_WINDOW ? Number(process.env.RELAYER_RATE_WINDOW) : null,
+  logFile: process.env.RELAYER_LOG || path.join(__dirname, "relayer.log"),
+  deploymentsDir: path.join(__dirname, "..", "deployments"),
+  maxBodySize: 16 * 1024
+};
+
+/**
+ * Forwarder and hub addresses for the network
+ * @param {string} network
+ * @returns {Object} { forwarder, hub }
+ */
+function loadAddresses(network) {
+  if (process.env.RELAYER_FORWARDER && process.env.RELAYER_HUB) {
+    return { forwarder: process.env.RELAYER_FORWARDER, hub: process.env.RELAYER_HUB };
+  }
+
+  const files = fs.existsSync(config.deploymentsDir)
+    ? fs.readdirSync(config.deploymentsDir)
+      .filter(f => f.startsWith(`${network}-`) && f.endsWith(".json"))
+      .sort()
+      .reverse()
+    : [];
+
+  for (const file of files) {
+    const { contracts } = JSON.parse(fs.readFileSync(path.join(config.deploymentsDir, file), "utf8"));
+    if (contracts.QuestForwarder && contracts.QuestHubV2) {
+      return { forwarder: contracts.QuestForwarder, hub: contracts.QuestHubV2 };
+    }
+  }
+
+  throw new Error(`No ${network} deployment with a QuestForwarder; run the deploy script first`);
+}
+
+/**
+ * JSON response with CORS headers; bigints are sent as strings
+ */
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": config.allowedOrigin,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @returns {Promise<Object>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > config.maxBodySize) {
+        reject(new RelayError(413, "TOO_LARGE", "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (error) {
+        reject(new RelayError(400, "INVALID_REQUEST", "Body is not JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function main() {
+  console.log("⛽ Quest Mini Gasless Relayer");
+  console.log("=============================\n");
+
+  const network = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[config.account];
+  if (!signer) {
+    throw new Error(`No account at index ${config.account} on ${network}`);
+  }
+
+  const addresses = loadAddresses(network);
+  const forwarder = await hre.ethers.getContractAt("QuestForwarder", addresses.forwarder, signer);
+  const hub = await hre.ethers.getContractAt("QuestHubV2", addresses.hub, signer);
+
+  const trusted = await hub.trustedForwarder();
+  if (trusted.toLowerCase() !== addresses.forwarder.toLowerCase()) {
+    throw new Error(`QuestHubV2 trusts ${trusted}, not the forwarder at ${addresses.forwarder}`);
+  }
+
+  const relayer = new QuestRelayer({
+    forwarder,
+    hub,
+    dailyBudget: config.dailyBudget,
+    maxGas: config.maxGas,
+    rateLimit: config.rateLimit,
+    ipRateLimit: config.ipRateLimit,
+    rateWindow: config.rateWindow,
+    logFile: config.logFile
+  });
+
+  console.log(`Network:   ${network} (Chain ID: ${chainId})`);
+  console.log(`Relayer:   ${signer.address}`);
+  console.log(`Forwarder: ${addresses.forwarder}`);
+  console.log(`Hub:       ${addresses.hub}`);
+  console.log(`Budget:    ${hre.ethers.formatEther(relayer.config.dailyBudget)} ETH per address per day`);
+  console.log(`Log:       ${config.logFile}\n`);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || config.host}`);
+
+    try {
+      if (req.method === "OPTIONS") {
+        send(res, 204, {});
+        return;
+      }
+
+      if (req.method === "GET" && url.pathname === "/health") {
+        const balance = await hre.ethers.provider.getBalance(signer.address);
+        send(res, 200, {
+          ok: true,
+          chainId: Number(chainId),
+          relayer: signer.address,
+          balance,
+          forwarder: addresses.forwarder,
+          hub: addresses.hub
+        });
+        return;
+      }
+
+      const budgetMatch = url.pathname.match(/^\/budget\/(0x[0-9a-fA-F]{40})$/);
+      if (req.method === "GET" && budgetMatch) {
+        send(res, 200, relayer.getBudget(budgetMatch[1]));
+        return;
+      }
+
+      if (req.method === "POST" && url.pathname === "/relay") {
+        relayer.limitClient(req.socket.remoteAddress);
+        const result = await relayer.relay(await readBody(req));
+        send(res, 200, result);
+        return;
+      }
+
+      send(res, 404, { error: "Not found", code: "NOT_FOUND" });
+    } catch (error) {
+      if (error instanceof RelayError) {
+        send(res, error.status, { error: error.message, code: error.code });
+        return;
+      }
+      console.error(error);
+      send(res, 500, { error: "Relayer error", code: "INTERNAL" });
+    }
+  });
+
+  await new Promise(resolve => server.listen(config.port, config.host, resolve));
+  console.log(`🚀 Listening on http://${config.host}:${config.port}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+module.exports = { main, config };
@@ -6,6 +6,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { exportDeployments } = require("./export-deployments");
 
 // Deployment configuration
 const config = {
@@ -24,6 +25,11 @@ const config = {
   
   // Gas settings
   gasLimit: 5000000,
+
+  // Gasless quest relayer the app should use (relayer/server.js); the
+  // local default matches the relayer's default port
+  relayerUrl: process.env.RELAYER_URL || null,
+  localRelayerUrl: "http://127.0.0.1:8787",
   
   // Output directory for deployment artifacts
   outputDir: "./deployments"
@@ -52,6 +58,9 @@ async function main() {
   // Track deployed addresses
   const deployed = {};
 
+  // Logs before this block can't involve the new contracts (app history scan)
+  const startBlock = await hre.ethers.provider.getBlockNumber();
+
   try {
     // Step 1: Deploy QuestToken
     console.log("📦 Deploying QuestToken...");
@@ -61,23 +70,31 @@ async function main() {
     deployed.token = await token.getAddress();
     console.log(`   ✅ QuestToken deployed: ${deployed.token}\n`);
 
-    // Step 2: Deploy QuestHub
-    console.log("📦 Deploying QuestHub...");
-    const QuestHub = await hre.ethers.getContractFactory("QuestHub");
-    const hub = await QuestHub.deploy();
+    // Step 2: Deploy QuestForwarder
+    console.log("📦 Deploying QuestForwarder...");
+    const QuestForwarder = await hre.ethers.getContractFactory("QuestForwarder");
+    const forwarder = await QuestForwarder.deploy();
+    await forwarder.waitForDeployment();
+    deployed.forwarder = await forwarder.getAddress();
+    console.log(`   ✅ QuestForwarder deployed: ${deployed.forwarder}\n`);
+
+    // Step 3: Deploy QuestHubV2 (relayed quests credit the signer, not the relayer)
+    console.log("📦 Deploying QuestHubV2...");
+    const QuestHub = await hre.ethers.getContractFactory("QuestHubV2");
+    const hub = await QuestHub.deploy(deployed.forwarder);
     await hub.waitForDeployment();
     deployed.hub = await hub.getAddress();
-    console.log(`   ✅ QuestHub deployed: ${deployed.hub}\n`);
+    console.log(`   ✅ QuestHubV2 deployed: ${deployed.hub}\n`);
 
-    // Step 3: Deploy QuestVault
-    console.log("📦 Deploying QuestVault...");
-    const QuestVault = await hre.ethers.getContractFactory("QuestVault");
+    // Step 4: Deploy QuestVaultV2
+    console.log("📦 Deploying QuestVaultV2...");
+    const QuestVault = await hre.ethers.getContractFactory("QuestVaultV2");
     const vault = await QuestVault.deploy();
     await vault.waitForDeployment();
     deployed.vault = await vault.getAddress();
-    console.log(`   ✅ QuestVault deployed: ${deployed.vault}\n`);
+    console.log(`   ✅ QuestVaultV2 deployed: ${deployed.vault}\n`);
 
-    // Step 4: Deploy QuestBooster
+    // Step 5: Deploy QuestBooster
     console.log("📦 Deploying QuestBooster...");
     const QuestBooster = await hre.ethers.getContractFactory("QuestBooster");
     const booster = await QuestBooster.deploy();
@@ -85,7 +102,7 @@ async function main() {
     deployed.booster = await booster.getAddress();
     console.log(`   ✅ QuestBooster deployed: ${deployed.booster}\n`);
 
-    // Step 5: Link contracts
+    // Step 6: Link contracts
     console.log("🔗 Linking contracts...");
     
     // Add vault as minter on token
@@ -112,11 +129,14 @@ async function main() {
       chainId: Number(chainId),
       deployer: deployer.address,
       timestamp: new Date().toISOString(),
+      blockNumber: startBlock,
+      relayerUrl: config.relayerUrl || (Number(chainId) === 31337 ? config.localRelayerUrl : null),
       contracts: {
         QuestToken: deployed.token,
-        QuestHub: deployed.hub,
-        QuestVault: deployed.vault,
-        QuestBooster: deployed.booster
+        QuestHubV2: deployed.hub,
+        QuestVaultV2: deployed.vault,
+        QuestBooster: deployed.booster,
+        QuestForwarder: deployed.forwarder
       }
     };
 
@@ -131,19 +151,25 @@ async function main() {
     fs.writeFileSync(filepath, JSON.stringify(deployment, null, 2));
     console.log(`📝 Deployment saved: ${filepath}\n`);
 
+    // Make the new deployment selectable in the app
+    exportDeployments();
+    console.log("");
+
     // Print summary
     console.log("================================");
     console.log("🎉 Deployment Complete!");
     console.log("================================\n");
     console.log("Contract Addresses:");
-    console.log(`  QuestToken:   ${deployed.token}`);
-    console.log(`  QuestHub:     ${deployed.hub}`);
-    console.log(`  QuestVault:   ${deployed.vault}`);
-    console.log(`  QuestBooster: ${deployed.booster}`);
+    console.log(`  QuestToken:     ${deployed.token}`);
+    console.log(`  QuestHubV2:     ${deployed.hub}`);
+    console.log(`  QuestVaultV2:   ${deployed.vault}`);
+    console.log(`  QuestBooster:   ${deployed.booster}`);
+    console.log(`  QuestForwarder: ${deployed.forwarder}`);
     console.log("\n📋 Next Steps:");
     console.log("  1. Verify contracts on block explorer");
-    console.log("  2. Update frontend contract addresses");
-    console.log("  3. Test contract interactions");
+    console.log("  2. Pick the deployment in the app's settings panel");
+    console.log("  3. Start the gasless relayer (npm run relayer) for gas-free quests");
+    console.log("  4. Test contract interactions");
 
     return deployed;
 
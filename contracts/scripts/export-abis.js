@@ -0,0 +1,51 @@
+/**
+ * Quest Mini - ABI Export Script
+ * Copies the compiled contract ABIs into the frontend (app/abi)
+ */
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Export configuration
+const config = {
+  // Contracts the frontend talks to
+  contracts: ["QuestToken", "QuestHubV2", "QuestVaultV2", "QuestBooster"],
+
+  // Output directory (relative to contracts/)
+  outputDir: "../app/abi"
+};
+
+async function main() {
+  console.log("📦 Quest Mini ABI Export");
+  console.log("========================\n");
+
+  await hre.run("compile");
+
+  const outputDir = path.resolve(__dirname, "..", config.outputDir);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  for (const name of config.contracts) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const file = path.join(outputDir, `${name}.json`);
+
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ contractName: artifact.contractName, abi: artifact.abi }, null, 2) + "\n"
+    );
+    console.log(`   ✅ ${name} → ${path.relative(process.cwd(), file)}`);
+  }
+
+  console.log("\n✨ ABIs exported");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = { main, config };
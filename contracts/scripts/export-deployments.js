@@ -0,0 +1,130 @@
+/**
+ * Quest Mini - Deployment Registry Export
+ * Merges the deploy.js manifests (deployments/<network>-<ts>.json) into the
+ * frontend registry (app/deployments.json)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Export configuration
+const config = {
+  // Manifests written by deploy.js (relative to contracts/)
+  deploymentsDir: "./deployments",
+
+  // Frontend registry (relative to contracts/)
+  registryFile: "../app/deployments.json",
+
+  // Chains the frontend knows how to talk to
+  chainIds: [8453, 84532, 31337]
+};
+
+// Manifest contract names -> frontend address keys. Only the V2 hub and
+// vault: the app's startup check rejects the V1 ones.
+const CONTRACT_KEYS = {
+  QuestToken: "QUEST_TOKEN",
+  QuestHubV2: "QUEST_HUB",
+  QuestVaultV2: "QUEST_VAULT",
+  QuestBooster: "QUEST_BOOSTER",
+  QuestForwarder: "QUEST_FORWARDER"
+};
+
+// Names in manifests from before deploy.js moved to V2
+const V1_CONTRACTS = ["QuestHub", "QuestVault"];
+
+// Keys every deployment needs (the forwarder is optional)
+const REQUIRED_KEYS = ["QUEST_TOKEN", "QUEST_HUB", "QUEST_VAULT", "QUEST_BOOSTER"];
+
+/**
+ * Convert a deploy.js manifest into a registry entry
+ * @param {string} name - Manifest file name without extension
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Object}
+ */
+function toEntry(name, manifest) {
+  const contracts = {};
+  for (const [contractName, address] of Object.entries(manifest.contracts || {})) {
+    if (CONTRACT_KEYS[contractName]) {
+      contracts[CONTRACT_KEYS[contractName]] = address;
+    }
+  }
+
+  return {
+    name,
+    network: manifest.network,
+    chainId: Number(manifest.chainId),
+    timestamp: manifest.timestamp || null,
+    startBlock: Number.isInteger(manifest.blockNumber) ? manifest.blockNumber : null,
+    relayerUrl: manifest.relayerUrl || null,
+    contracts
+  };
+}
+
+/**
+ * Rebuild the registry. Entries without a manifest (e.g. the original
+ * mainnet deployment) are kept as they are.
+ * @param {Object} [options] - Override config paths
+ * @returns {Object} The written registry
+ */
+function exportDeployments(options = {}) {
+  const baseDir = path.resolve(__dirname, "..");
+  const deploymentsDir = path.resolve(baseDir, options.deploymentsDir || config.deploymentsDir);
+  const registryFile = path.resolve(baseDir, options.registryFile || config.registryFile);
+
+  const registry = fs.existsSync(registryFile)
+    ? JSON.parse(fs.readFileSync(registryFile, "utf8"))
+    : { deployments: [] };
+
+  const entries = new Map(registry.deployments.map(entry => [entry.name, entry]));
+
+  const files = fs.existsSync(deploymentsDir)
+    ? fs.readdirSync(deploymentsDir).filter(f => f.endsWith(".json")).sort()
+    : [];
+
+  for (const file of files) {
+    const name = path.basename(file, ".json");
+    const manifest = JSON.parse(fs.readFileSync(path.join(deploymentsDir, file), "utf8"));
+    const entry = toEntry(name, manifest);
+
+    if (!config.chainIds.includes(entry.chainId)) {
+      console.log(`   ⏭️  ${name}: chain ${entry.chainId} not supported by the app`);
+      continue;
+    }
+    if (V1_CONTRACTS.some(contractName => manifest.contracts?.[contractName])) {
+      console.log(`   ⏭️  ${name}: V1 hub/vault, not supported by the app`);
+      continue;
+    }
+    if (!REQUIRED_KEYS.every(key => entry.contracts[key])) {
+      console.log(`   ⚠️  ${name}: incomplete manifest, skipped`);
+      continue;
+    }
+
+    // Keep a hand-set default flag when re-exporting
+    const existing = entries.get(name);
+    if (existing && existing.default) {
+      entry.default = true;
+    }
+
+    entries.set(name, entry);
+    console.log(`   ✅ ${name} (chain ${entry.chainId})`);
+  }
+
+  const output = { deployments: Array.from(entries.values()) };
+  fs.writeFileSync(registryFile, JSON.stringify(output, null, 2) + "\n");
+  console.log(`📝 Registry saved: ${registryFile}`);
+
+  return output;
+}
+
+if (require.main === module) {
+  try {
+    console.log("🗂️  Quest Mini Deployment Registry Export");
+    console.log("========================================\n");
+    exportDeployments();
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+module.exports = { exportDeployments, config };
@@ -33,59 +33,25 @@ async function main() {
   const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf-8"));
   const { contracts } = deployment;
 
-  // Verify each contract
   const results = {};
 
-  // Verify QuestToken
-  console.log("📝 Verifying QuestToken...");
-  try {
-    await hre.run("verify:verify", {
-      address: contracts.QuestToken,
-      constructorArguments: []
-    });
-    results.QuestToken = "✅ Verified";
-  } catch (error) {
-    results.QuestToken = handleVerificationError(error);
-  }
-
-  // Verify QuestHub
-  console.log("\n📝 Verifying QuestHub...");
-  try {
-    await hre.run("verify:verify", {
-      address: contracts.QuestHub,
-      constructorArguments: []
-    });
-    results.QuestHub = "✅ Verified";
-  } catch (error) {
-    results.QuestHub = handleVerificationError(error);
-  }
-
-  // Verify QuestVault
-  console.log("\n📝 Verifying QuestVault...");
-  try {
-    await hre.run("verify:verify", {
-      address: contracts.QuestVault,
-      constructorArguments: []
-    });
-    results.QuestVault = "✅ Verified";
-  } catch (error) {
-    results.QuestVault = handleVerificationError(error);
-  }
-
-  // Verify QuestBooster
-  console.log("\n📝 Verifying QuestBooster...");
-  try {
-    await hre.run("verify:verify", {
-      address: contracts.QuestBooster,
-      constructorArguments: []
-    });
-    results.QuestBooster = "✅ Verified";
-  } catch (error) {
-    results.QuestBooster = handleVerificationError(error);
+  // Verify every contract in the manifest (none take constructor arguments)
+  for (const [name, address] of Object.entries(contracts)) {
+    console.log(`📝 Verifying ${name}...`);
+    try {
+      await hre.run("verify:verify", {
+        address,
+        constructorArguments: []
+      });
+      results[name] = "✅ Verified";
+    } catch (error) {
+      results[name] = handleVerificationError(error);
+    }
+    console.log("");
   }
 
   // Print summary
-  console.log("\n====================================");
+  console.log("====================================");
   console.log("📊 Verification Summary");
   console.log("====================================");
   for (const [name, result] of Object.entries(results)) {
@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("QuestForwarder", function () {
+    let token, vault, hub, forwarder;
+    let owner, user1, relayer, attacker;
+
+    const TYPES = {
+        ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint48" },
+            { name: "data", type: "bytes" }
+        ]
+    };
+
+    async function buildRequest(from, method, overrides = {}) {
+        return {
+            from: from.address,
+            to: await hub.getAddress(),
+            value: 0n,
+            gas: 200000n,
+            nonce: await forwarder.nonces(from.address),
+            deadline: BigInt(await time.latest()) + 600n,
+            data: hub.interface.encodeFunctionData(method, []),
+            ...overrides
+        };
+    }
+
+    async function sign(signer, request) {
+        const domain = {
+            name: "QuestForwarder",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await forwarder.getAddress()
+        };
+        return signer.signTypedData(domain, TYPES, request);
+    }
+
+    // ERC2771Forwarder.ForwardRequestData: the signature goes in, the nonce is the forwarder's
+    function forwardRequest(request, signature) {
+        const { nonce, ...fields } = request;
+        return { ...fields, signature };
+    }
+
+    beforeEach(async function () {
+        [owner, user1, relayer, attacker] = await ethers.getSigners();
+
+        token = await (await ethers.getContractFactory("QuestToken")).deploy();
+        vault = await (await ethers.getContractFactory("QuestVaultV2")).deploy();
+        forwarder = await (await ethers.getContractFactory("QuestForwarder")).deploy();
+        hub = await (await ethers.getContractFactory("QuestHubV2")).deploy(await forwarder.getAddress());
+
+        await token.addMinter(await vault.getAddress());
+        await vault.setContracts(await token.getAddress(), await hub.getAddress(), owner.address);
+        await hub.setContracts(await vault.getAddress(), owner.address);
+    });
+
+    describe("Trusted forwarder", function () {
+        it("Should trust only the configured forwarder", async function () {
+            expect(await hub.isTrustedForwarder(await forwarder.getAddress())).to.be.true;
+            expect(await hub.isTrustedForwarder(relayer.address)).to.be.false;
+        });
+
+        it("Should fix the forwarder at deployment", async function () {
+            expect(await hub.trustedForwarder()).to.equal(await forwarder.getAddress());
+            expect(hub.interface.getFunction("setTrustedForwarder")).to.be.null;
+        });
+    });
+
+    describe("Relayed quests", function () {
+        it("Should credit the signer, not the relayer", async function () {
+            const request = await buildRequest(user1, "completeCheckin");
+            const signature = await sign(user1, request);
+
+            await expect(forwarder.connect(relayer).execute(forwardRequest(request, signature)))
+                .to.emit(hub, "QuestCompleted");
+
+            expect(await vault.getPendingRewards(user1.address)).to.equal(ethers.parseEther("10"));
+            expect(await vault.getPendingRewards(relayer.address)).to.equal(0);
+
+            const status = await hub.getUserStatus(user1.address);
+            expect(status.checkinDone).to.be.true;
+        });
+
+        it("Should increment the signer's nonce", async function () {
+            const request = await buildRequest(user1, "completeEngage");
+            await forwarder.connect(relayer).execute(forwardRequest(request, await sign(user1, request)));
+
+            expect(await forwarder.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Should reject a replayed request", async function () {
+            const request = await buildRequest(user1, "completeCommit");
+            const signature = await sign(user1, request);
+            await forwarder.connect(relayer).execute(forwardRequest(request, signature));
+
+            await expect(
+                forwarder.connect(relayer).execute(forwardRequest(request, signature))
+            ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+        });
+
+        it("Should reject a request signed by someone else", async function () {
+            const request = await buildRequest(user1, "completeCheckin");
+            const signature = await sign(attacker, request);
+
+            expect(await forwarder.verify(forwardRequest(request, signature))).to.be.false;
+            await expect(
+                forwarder.connect(relayer).execute(forwardRequest(request, signature))
+            ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+        });
+
+        it("Should reject an expired request", async function () {
+            const request = await buildRequest(user1, "completeCheckin", {
+                deadline: BigInt(await time.latest()) + 60n
+            });
+            const signature = await sign(user1, request);
+            await time.increase(120);
+
+            await expect(
+                forwarder.connect(relayer).execute(forwardRequest(request, signature))
+            ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest");
+        });
+
+        it("Should reject a mismatched value", async function () {
+            const request = await buildRequest(user1, "completeCheckin");
+            const signature = await sign(user1, request);
+
+            await expect(
+                forwarder.connect(relayer).execute(forwardRequest(request, signature), { value: 1 })
+            ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderMismatchedValue");
+        });
+
+        it("Should revert with the hub and keep the nonce", async function () {
+            await hub.pause();
+            const request = await buildRequest(user1, "completeCheckin");
+            const signature = await sign(user1, request);
+
+            await expect(
+                forwarder.connect(relayer).execute(forwardRequest(request, signature))
+            ).to.be.revertedWithCustomError(forwarder, "FailedCall");
+            expect(await forwarder.nonces(user1.address)).to.equal(0);
+        });
+    });
+
+    describe("Direct calls", function () {
+        it("Should ignore an appended address from an untrusted caller", async function () {
+            const data = ethers.concat([
+                hub.interface.encodeFunctionData("completeCheckin", []),
+                user1.address
+            ]);
+            await attacker.sendTransaction({ to: await hub.getAddress(), data });
+
+            expect(await vault.getPendingRewards(attacker.address)).to.equal(ethers.parseEther("10"));
+            expect(await vault.getPendingRewards(user1.address)).to.equal(0);
+        });
+
+        it("Should still credit msg.sender on a normal call", async function () {
+            await hub.connect(user1).completeCheckin();
+            expect(await vault.getPendingRewards(user1.address)).to.equal(ethers.parseEther("10"));
+        });
+    });
+});
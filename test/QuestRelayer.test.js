@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { QuestRelayer } = require("../contracts/relayer/relayer");
+
+describe("QuestRelayer", function () {
+    let vault, hub, forwarder;
+    let owner, user1, relayerSigner;
+    let logFile;
+
+    const TYPES = {
+        ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint48" },
+            { name: "data", type: "bytes" }
+        ]
+    };
+
+    // Signed request body as the app posts it (numbers as strings, pending nonce)
+    async function signedBody(from, method, target = hub) {
+        const request = {
+            from: from.address,
+            to: await target.getAddress(),
+            value: 0n,
+            gas: 200000n,
+            nonce: await forwarder.nonces(from.address, { blockTag: "pending" }),
+            deadline: BigInt(await time.latest()) + 600n,
+            data: target.interface.encodeFunctionData(method, [])
+        };
+        const domain = {
+            name: "QuestForwarder",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await forwarder.getAddress()
+        };
+        const signature = await from.signTypedData(domain, TYPES, request);
+
+        return {
+            request: Object.fromEntries(Object.entries(request).map(([key, value]) => [key, value.toString()])),
+            signature
+        };
+    }
+
+    async function expectRelayError(promise, code) {
+        try {
+            await promise;
+        } catch (error) {
+            expect(error.name).to.equal("RelayError");
+            expect(error.code).to.equal(code);
+            return;
+        }
+        expect.fail(`Expected a ${code} RelayError`);
+    }
+
+    function createRelayer(options = {}) {
+        return new QuestRelayer({
+            forwarder: forwarder.connect(relayerSigner),
+            hub,
+            logFile,
+            ...options
+        });
+    }
+
+    beforeEach(async function () {
+        [owner, user1, relayerSigner] = await ethers.getSigners();
+
+        const token = await (await ethers.getContractFactory("QuestToken")).deploy();
+        vault = await (await ethers.getContractFactory("QuestVaultV2")).deploy();
+        forwarder = await (await ethers.getContractFactory("QuestForwarder")).deploy();
+        hub = await (await ethers.getContractFactory("QuestHubV2")).deploy(await forwarder.getAddress());
+
+        await token.addMinter(await vault.getAddress());
+        await vault.setContracts(await token.getAddress(), await hub.getAddress(), owner.address);
+        await hub.setContracts(await vault.getAddress(), owner.address);
+
+        logFile = path.join(os.tmpdir(), `quest-relayer-${Date.now()}.log`);
+    });
+
+    afterEach(function () {
+        if (fs.existsSync(logFile)) fs.unlinkSync(logFile);
+    });
+
+    it("Should relay a signed quest and credit the signer", async function () {
+        const relayer = createRelayer();
+        const result = await relayer.relay(await signedBody(user1, "completeCheckin"));
+
+        expect(result.method).to.equal("completeCheckin");
+        await (await ethers.provider.getTransaction(result.hash)).wait();
+        expect(await vault.getPendingRewards(user1.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should only relay quest methods", async function () {
+        const relayer = createRelayer();
+        const body = await signedBody(user1, "pause");
+
+        await expectRelayError(relayer.relay(body), "METHOD_NOT_ALLOWED");
+    });
+
+    it("Should reject a bad signature", async function () {
+        const relayer = createRelayer();
+        const body = await signedBody(user1, "completeCheckin");
+        body.request.from = owner.address;
+
+        await expectRelayError(relayer.relay(body), "INVALID_SIGNATURE");
+    });
+
+    it("Should relay a quest while the previous one is unmined", async function () {
+        const relayer = createRelayer();
+        await ethers.provider.send("evm_setAutomine", [false]);
+        try {
+            await relayer.relay(await signedBody(user1, "completeCheckin"));
+            await relayer.relay(await signedBody(user1, "completeEngage"));
+            await ethers.provider.send("evm_mine", []);
+        } finally {
+            await ethers.provider.send("evm_setAutomine", [true]);
+        }
+
+        expect(await forwarder.nonces(user1.address)).to.equal(2);
+        expect(await vault.getPendingRewards(user1.address)).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should submit a nonce only once", async function () {
+        const relayer = createRelayer();
+        const body = await signedBody(user1, "completeCheckin");
+
+        const results = await Promise.allSettled([relayer.relay(body), relayer.relay(body)]);
+        expect(results.map(result => result.status)).to.have.members(["fulfilled", "rejected"]);
+        expect(results.find(result => result.status === "rejected").reason.code).to.equal("NONCE_IN_FLIGHT");
+    });
+
+    it("Should report the hub's reason for a quest that would fail", async function () {
+        const relayer = createRelayer();
+        await hub.pause();
+
+        await expectRelayError(relayer.relay(await signedBody(user1, "completeCheckin")), "WILL_REVERT");
+    });
+
+    it("Should rate-limit each address", async function () {
+        const relayer = createRelayer({ rateLimit: 1 });
+        await relayer.relay(await signedBody(user1, "completeCheckin"));
+
+        await expectRelayError(relayer.relay(await signedBody(user1, "completeEngage")), "RATE_LIMITED");
+    });
+
+    it("Should count rejected requests against the rate limit", async function () {
+        const relayer = createRelayer({ rateLimit: 1 });
+        const body = await signedBody(user1, "completeCheckin");
+        body.request.deadline = body.request.deadline + "0";
+
+        await expectRelayError(relayer.relay(body), "INVALID_SIGNATURE");
+        await expectRelayError(relayer.relay(await signedBody(user1, "completeCheckin")), "RATE_LIMITED");
+    });
+
+    it("Should rate-limit each client IP", function () {
+        const relayer = createRelayer({ ipRateLimit: 2 });
+        relayer.limitClient("10.0.0.1");
+        relayer.limitClient("10.0.0.1");
+
+        expect(() => relayer.limitClient("10.0.0.1")).to.throw().with.property("code", "RATE_LIMITED");
+        expect(() => relayer.limitClient("10.0.0.2")).not.to.throw();
+    });
+
+    it("Should stop at the daily budget", async function () {
+        const relayer = createRelayer({ dailyBudget: 1n });
+
+        await expectRelayError(relayer.relay(await signedBody(user1, "completeCheckin")), "BUDGET_EXCEEDED");
+        expect(await forwarder.nonces(user1.address)).to.equal(0);
+    });
+
+    it("Should log every call and count confirmed spending after a restart", async function () {
+        const relayer = createRelayer();
+        const { hash } = await relayer.relay(await signedBody(user1, "completeCheckin"));
+        await (await ethers.provider.getTransaction(hash)).wait();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const events = fs.readFileSync(logFile, "utf8").trim().split("\n").map(line => JSON.parse(line).event);
+        expect(events).to.deep.equal(["submitted", "confirmed"]);
+
+        const restarted = createRelayer();
+        expect(restarted.getBudget(user1.address).spent).to.be.greaterThan(0n);
+    });
+});